@@ -0,0 +1,42 @@
+/**
+ * ANSI Styles
+ * Terminal colors, disabled when the stream is not a terminal or NO_COLOR is set
+ */
+
+const wrap = (open, close) => (text) => `\x1b[${open}m${text}\x1b[${close}m`;
+
+const STYLES = {
+  bold: wrap(1, 22),
+  dim: wrap(2, 22),
+  italic: wrap(3, 23),
+  underline: wrap(4, 24),
+  strike: wrap(9, 29),
+  red: wrap(31, 39),
+  green: wrap(32, 39),
+  yellow: wrap(33, 39),
+  blue: wrap(34, 39),
+  magenta: wrap(35, 39),
+  cyan: wrap(36, 39),
+  gray: wrap(90, 39),
+};
+
+/**
+ * Check whether a stream should get colors
+ * @param {tty.WriteStream} stream - Output stream
+ * @returns {boolean}
+ */
+export const supportsColor = (stream) => Boolean(stream.isTTY) && !('NO_COLOR' in process.env);
+
+/**
+ * Create a set of style functions
+ * @param {boolean} enabled - When false every style returns its input unchanged
+ * @returns {Object<string, Function>}
+ */
+export const createStyle = (enabled) => Object.fromEntries(
+  Object.entries(STYLES).map(([name, apply]) => [name, enabled ? apply : (text) => text]),
+);
+
+export default {
+  supportsColor,
+  createStyle,
+};
@@ -0,0 +1,446 @@
+#!/usr/bin/env node
+/**
+ * JARVIS Terminal Client
+ * Chat with JARVIS from the terminal through ChatService
+ *
+ * Usage:
+ *   jarvis                          Interactive session
+ *   jarvis "question"               Ask once and print the answer
+ *   cat file | jarvis "review this" Piped input is attached as a file
+ *   jarvis -c chat.json             Continue a saved conversation and save it back
+ *
+ * Conversations are read and written in the web app's conversation format
+ * (see src/services/conversationFormat.js). Runs from a Vite SSR build, like
+ * the API server, since the providers rely on Vite's `import.meta.env`; the
+ * build reads it from `process.env` when the command runs (see jarvisRuntimeEnv).
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { createInterface } from 'node:readline';
+import { parseArgs } from 'node:util';
+import { createAIProvider, DEFAULT_PROVIDER } from '../src/services/aiService.js';
+import { ChatService } from '../src/services/chatService.js';
+import { ContextManager } from '../src/services/contextManager.js';
+import { createDefaultToolRegistry } from '../src/services/toolRegistry.js';
+import { createFileAttachment } from '../src/services/attachments.js';
+import {
+  createConversation,
+  parseConversation,
+  serializeConversation,
+} from '../src/services/conversationFormat.js';
+import { estimateCost, sumUsage } from '../src/services/usageTracker.js';
+import { MESSAGE_STATUS, SENDER } from '../src/constants/index.js';
+import { setSystemPrompt } from '../src/constants/prompts.js';
+import {
+  formatCost,
+  formatDuration,
+  formatTokenCount,
+  generateId,
+  truncateText,
+} from '../src/utils/helpers.js';
+import { createStyle, supportsColor } from './ansi.js';
+import { MarkdownRenderer } from './markdown.js';
+import pkg from '../package.json';
+
+const HELP = `Usage: jarvis [options] [question]
+
+Without a question an interactive session starts. Text piped to stdin is
+attached to the question as a file, or used as the question if none is given.
+
+Options:
+  -m, --model <name>          Model to use
+  -p, --provider <type>       gemini, openai, local or mock (default: $JARVIS_PROVIDER)
+  -c, --conversation <file>   Load a saved conversation and save it back after each reply
+  -o, --save <file>           Save the conversation to this file
+      --raw                   Print Markdown as-is
+      --verbose               Show provider diagnostics (model attempts, warnings)
+  -h, --help                  Show this help
+  -v, --version               Show the version`;
+
+const COMMANDS_HELP = `Commands:
+  /new            Start a new conversation
+  /save [file]    Save the conversation (to the last used file by default)
+  /load <file>    Load a saved conversation
+  /model [name]   Show or switch the model
+  /usage          Tokens and estimated cost of this session
+  /history        List the messages in this conversation
+  /help           Show this list
+  /exit           Quit (or press Ctrl+D)
+
+End a line with \\ to continue on the next one. Ctrl+C stops a reply.`;
+
+const out = process.stdout;
+const style = createStyle(supportsColor(out));
+const noteStyle = createStyle(supportsColor(process.stderr));
+
+/**
+ * Write a line to stdout
+ * @private
+ */
+const print = (text) => out.write(`${text}\n`);
+
+/**
+ * Write a notice to stderr, keeping stdout for answers
+ * @private
+ */
+const note = (text) => process.stderr.write(`${noteStyle.gray(text)}\n`);
+
+/**
+ * Read everything piped to stdin
+ * @private
+ * @returns {Promise<string|null>} - Null when stdin is a terminal
+ */
+const readStdin = async () => {
+  if (process.stdin.isTTY) return null;
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Create the provider for a session
+ * The browser-only proxy provider maps to Gemini with the local key
+ * @private
+ */
+const createProvider = (type, model) => createAIProvider(type, {
+  ...(type === 'gemini' && process.env.GEMINI_API_KEY && { apiKey: process.env.GEMINI_API_KEY }),
+  ...(model && { model }),
+  record: false,
+});
+
+/**
+ * Identity of a conversation that has not been saved yet
+ * The title stays empty so it is derived from the messages on save
+ * @private
+ */
+const newConversationInfo = () => ({ id: generateId(), title: null, createdAt: null, persona: null });
+
+/**
+ * A chat session: the service, the conversation it belongs to and usage totals
+ */
+class Session {
+  constructor({ providerType, raw }) {
+    this.providerType = providerType;
+    this.raw = raw;
+    this.chat = null;
+    this.conversation = newConversationInfo();
+    this.file = null;
+    this.autosave = false;
+    this.usage = null;
+    this.cost = null;
+  }
+
+  /**
+   * Connect to a provider, keeping the current history
+   * @param {string} model - Model name, or empty for the provider's default
+   */
+  async connect(model) {
+    const provider = await createProvider(this.providerType, model);
+    if (!provider.isConfigured()) {
+      throw new Error(this.providerType === 'gemini'
+        ? 'No API key found. Set GEMINI_API_KEY or pick another provider with --provider.'
+        : `The ${this.providerType} provider is not configured.`);
+    }
+
+    const history = this.chat?.getHistory() || [];
+    this.chat = new ChatService(provider, { contextManager: new ContextManager(provider) });
+    this.chat.setHistory(history);
+    this.tools = createDefaultToolRegistry({
+      getConversations: () => [createConversation(this.chat.getHistory(), this.conversation)],
+    });
+  }
+
+  getModelName() {
+    return this.chat.aiProvider.getModelName() || this.providerType;
+  }
+
+  /**
+   * Start a new conversation
+   */
+  reset() {
+    this.chat.clearHistory();
+    this.conversation = newConversationInfo();
+    setSystemPrompt(null);
+    this.file = null;
+    this.autosave = false;
+  }
+
+  /**
+   * Load a conversation file
+   * @param {string} file - Path
+   * @returns {Promise<Object>} - The conversation
+   */
+  async load(file) {
+    const conversation = parseConversation(await readFile(file, 'utf8'));
+    const { id, title, createdAt, pinned, archived, persona } = conversation;
+    this.chat.setHistory(conversation.messages);
+    // Kept so saving back doesn't drop the web app's sidebar state or persona
+    this.conversation = { id, title, createdAt, pinned, archived, persona };
+    setSystemPrompt(persona);
+    this.file = file;
+    return conversation;
+  }
+
+  /**
+   * Save the conversation
+   * @param {string} file - Path (defaults to the last one used)
+   * @returns {Promise<string>} - The path written
+   */
+  async save(file = this.file) {
+    if (!file) throw new Error('No file given. Use /save <file>.');
+    const conversation = createConversation(this.chat.getHistory(), this.conversation);
+    await writeFile(file, `${serializeConversation(conversation)}\n`);
+    this.conversation.createdAt = conversation.createdAt;
+    this.file = file;
+    return file;
+  }
+
+  /**
+   * Send a message and stream the rendered answer to stdout
+   * @param {string} prompt - User's message
+   * @param {Array} attachments - Files sent with it
+   * @returns {Promise<Error|null>} - The error the reply ended with, if any
+   */
+  async ask(prompt, attachments = []) {
+    const renderer = this.raw ? null : new MarkdownRenderer(style, { width: out.columns || 80 });
+    let written = 0;
+
+    const { message, error } = await this.chat.streamMessage(prompt, {
+      attachments,
+      tools: this.tools,
+      onChunk: (accumulated) => {
+        const delta = accumulated.slice(written);
+        written = accumulated.length;
+        out.write(renderer ? renderer.push(delta) : delta);
+      },
+      onRetry: ({ attempt, maxAttempts, delayMs, error: retryError }) => {
+        note(`${retryError.message} Retrying in ${formatDuration(delayMs)} (${attempt}/${maxAttempts})…`);
+      },
+      onToolStep: ({ name, error: toolError, durationMs }) => {
+        note(`⚙ ${name} ${toolError ? `failed: ${toolError}` : `(${formatDuration(durationMs)})`}`);
+      },
+    });
+
+    // Whatever was streamed is on screen; print the rest (e.g. a timeout notice)
+    const text = message?.status === MESSAGE_STATUS.ERROR ? '' : message?.text || '';
+    if (text.length > written) out.write(renderer ? renderer.push(text.slice(written)) : text.slice(written));
+    if (renderer) out.write(renderer.end());
+    else if (written > 0 || text) out.write('\n');
+
+    if (error) {
+      process.stderr.write(`${noteStyle.red(`✖ ${error.message}`)}\n`);
+    } else if (!message) {
+      note('Stopped.');
+    }
+
+    if (message?.metadata?.usage) this.recordUsage(message.metadata);
+    if (message && message.status !== MESSAGE_STATUS.ERROR && message.metadata?.model) {
+      note(this.describeReply(message.metadata));
+    }
+    if (this.autosave) await this.save();
+    return error;
+  }
+
+  /**
+   * Add a reply's tokens and cost to the session totals
+   * @private
+   */
+  recordUsage({ usage, model }) {
+    const cost = estimateCost(usage, model);
+    this.usage = sumUsage(this.usage, usage);
+    if (cost != null) this.cost = (this.cost || 0) + cost;
+  }
+
+  /**
+   * One-line summary of how a reply was produced
+   * @private
+   */
+  describeReply({ model, usage, latencyMs }) {
+    const cost = usage && estimateCost(usage, model);
+    return [
+      model,
+      usage && `${formatTokenCount(usage.totalTokens)} tokens`,
+      cost != null && formatCost(cost),
+      formatDuration(latencyMs),
+    ].filter(Boolean).join(' · ');
+  }
+}
+
+/**
+ * Slash commands, keyed by name
+ * Each receives the session and the rest of the line
+ */
+const COMMANDS = {
+  help: () => print(COMMANDS_HELP),
+
+  new: (session) => {
+    session.reset();
+    note('Started a new conversation.');
+  },
+
+  save: async (session, file) => {
+    note(`Saved to ${await session.save(file || undefined)}.`);
+  },
+
+  load: async (session, file) => {
+    if (!file) throw new Error('Usage: /load <file>');
+    const conversation = await session.load(file);
+    note(`Loaded "${conversation.title}" (${conversation.messages.length} messages).`);
+  },
+
+  model: async (session, name) => {
+    if (name) await session.connect(name);
+    note(`Model: ${session.getModelName()}`);
+  },
+
+  usage: (session) => {
+    if (!session.usage) {
+      note('No usage reported yet.');
+      return;
+    }
+    const { promptTokens, outputTokens, totalTokens } = session.usage;
+    const tokens = `${formatTokenCount(totalTokens)} tokens (${formatTokenCount(promptTokens)} in, ` +
+      `${formatTokenCount(outputTokens)} out)`;
+    print(session.cost == null ? tokens : `${tokens} · ${formatCost(session.cost)}`);
+  },
+
+  history: (session) => {
+    const messages = session.chat.getHistory();
+    if (messages.length === 0) note('No messages yet.');
+    messages.forEach((message, index) => {
+      const who = message.sender === SENDER.USER ? style.cyan('you   ') : style.magenta('jarvis');
+      const text = truncateText(message.text.replace(/\s+/g, ' ').trim(), 70);
+      print(`${style.gray(String(index + 1).padStart(3))} ${who} ${text}`);
+    });
+  },
+
+  exit: (session, _args, rl) => rl.close(),
+};
+COMMANDS.quit = COMMANDS.exit;
+
+/**
+ * Interactive session
+ * @private
+ */
+const runRepl = async (session) => {
+  const rl = createInterface({ input: process.stdin, output: out, terminal: true });
+  const prompt = style.cyan('› ');
+  let busy = false;
+  let closed = false;
+  let pending = [];
+
+  note(`JARVIS ${pkg.version} · ${session.getModelName()} · /help for commands`);
+
+  rl.on('close', () => { closed = true; });
+  rl.on('SIGINT', () => {
+    if (busy) {
+      session.chat.cancel();
+    } else if (rl.line || pending.length > 0) {
+      pending = [];
+      out.write('\n');
+      rl.setPrompt(prompt);
+      rl.write(null, { ctrl: true, name: 'u' });
+      rl.prompt();
+    } else {
+      rl.close();
+    }
+  });
+
+  rl.setPrompt(prompt);
+  rl.prompt();
+
+  for await (const line of rl) {
+    if (line.endsWith('\\')) {
+      pending.push(line.slice(0, -1));
+      rl.setPrompt(style.gray('… '));
+      rl.prompt();
+      continue;
+    }
+
+    const input = [...pending, line].join('\n').trim();
+    pending = [];
+    rl.setPrompt(prompt);
+
+    if (input.startsWith('/')) {
+      const [name, ...rest] = input.slice(1).split(/\s+/);
+      const command = COMMANDS[name.toLowerCase()];
+      try {
+        if (!command) throw new Error(`Unknown command /${name}. Type /help for the list.`);
+        await command(session, rest.join(' '), rl);
+      } catch (error) {
+        process.stderr.write(`${noteStyle.red(`✖ ${error.message}`)}\n`);
+      }
+    } else if (input) {
+      busy = true;
+      await session.ask(input);
+      busy = false;
+    }
+    if (!closed) rl.prompt();
+  }
+  out.write('\n');
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      model: { type: 'string', short: 'm' },
+      provider: { type: 'string', short: 'p' },
+      conversation: { type: 'string', short: 'c' },
+      save: { type: 'string', short: 'o' },
+      raw: { type: 'boolean' },
+      verbose: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' },
+      version: { type: 'boolean', short: 'v' },
+    },
+  });
+
+  if (values.help) {
+    print(HELP);
+    return;
+  }
+  if (values.version) {
+    print(pkg.version);
+    return;
+  }
+
+  // Providers trace every model attempt on the console; keep it off stdout, where answers go
+  console.log = console.info = console.warn = values.verbose ? console.error : () => {};
+
+  const providerType = values.provider || process.env.JARVIS_PROVIDER ||
+    (DEFAULT_PROVIDER === 'proxy' ? 'gemini' : DEFAULT_PROVIDER);
+  const session = new Session({ providerType, raw: values.raw || !out.isTTY });
+  await session.connect(values.model);
+
+  if (values.conversation) {
+    await session.load(values.conversation);
+    session.autosave = true;
+  }
+  if (values.save) {
+    session.file = values.save;
+    session.autosave = true;
+  }
+
+  const question = positionals.join(' ').trim();
+  const stdin = await readStdin();
+
+  if (stdin !== null || question) {
+    const attachments = question && stdin?.trim()
+      ? [createFileAttachment({ name: 'stdin', size: Buffer.byteLength(stdin), text: stdin })]
+      : [];
+    const prompt = question || stdin.trim();
+    if (!prompt) throw new Error('Nothing to ask: stdin was empty.');
+
+    process.on('SIGINT', () => session.chat.cancel());
+    const error = await session.ask(prompt, attachments);
+    process.exitCode = error ? 1 : 0;
+    return;
+  }
+
+  await runRepl(session);
+};
+
+main().catch((error) => {
+  process.stderr.write(`${noteStyle.red(`✖ ${error.message}`)}\n`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,132 @@
+/**
+ * Markdown to ANSI
+ * Renders the Markdown JARVIS answers in (headings, lists, quotes, code
+ * blocks, inline emphasis and links) for the terminal
+ *
+ * Rendering is line based so it can follow a stream: text is buffered until a
+ * line is complete, and fenced code blocks are tracked across lines.
+ */
+
+const FENCE_PATTERN = /^\s*(```|~~~)\s*([\w#+.-]*)/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*)$/;
+const RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^\s*>\s?(.*)$/;
+const LIST_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/;
+const TABLE_RULE_PATTERN = /^\s*\|?(\s*:?-+:?\s*\|)+\s*:?-*:?\s*\|?\s*$/;
+
+/**
+ * Render inline Markdown: code spans, bold, italic, strikethrough and links
+ * Code spans are left untouched by the other rules
+ * @param {string} text - One line of text
+ * @param {Object} style - Style functions from createStyle
+ * @returns {string}
+ */
+export const renderInline = (text, style) => text
+  .split(/(`[^`]+`)/)
+  .map((segment, index) => {
+    if (index % 2 === 1) return style.yellow(segment.slice(1, -1));
+    return segment
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, label, url) => `${style.underline(label)} ${style.gray(`(${url})`)}`)
+      .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, (_, __, content) => style.bold(content))
+      .replace(/(?<![\w*])\*(?=\S)(.+?)(?<=\S)\*(?![\w*])/g, (_, content) => style.italic(content))
+      .replace(/(?<!\w)_(?=\S)(.+?)(?<=\S)_(?!\w)/g, (_, content) => style.italic(content))
+      .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, (_, content) => style.strike(content));
+  })
+  .join('');
+
+/**
+ * Streaming Markdown renderer
+ */
+export class MarkdownRenderer {
+  /**
+   * @param {Object} style - Style functions from createStyle
+   * @param {Object} options - Options
+   * @param {number} options.width - Terminal width, used for rules
+   */
+  constructor(style, { width = 80 } = {}) {
+    this.style = style;
+    this.width = Math.max(20, Math.min(width, 100));
+    this.buffer = '';
+    this.fence = null;
+  }
+
+  /**
+   * Add streamed text
+   * @param {string} text - Newly received text
+   * @returns {string} - Rendered output for every line completed so far
+   */
+  push(text) {
+    this.buffer += text;
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+    return lines.map(line => `${this.renderLine(line)}\n`).join('');
+  }
+
+  /**
+   * Render whatever is left once the stream ends
+   * @returns {string}
+   */
+  end() {
+    const rest = this.buffer ? `${this.renderLine(this.buffer)}\n` : '';
+    this.buffer = '';
+    this.fence = null;
+    return rest;
+  }
+
+  /**
+   * Render a complete document
+   * @param {string} text - Markdown
+   * @returns {string}
+   */
+  render(text) {
+    return this.push(text) + this.end();
+  }
+
+  /**
+   * Render one line
+   * @private
+   */
+  renderLine(line) {
+    const { style } = this;
+    const fence = FENCE_PATTERN.exec(line);
+
+    if (this.fence) {
+      if (fence && fence[1] === this.fence && !fence[2]) {
+        this.fence = null;
+        return style.gray('└' + '─'.repeat(this.width - 1));
+      }
+      return `${style.gray('│')} ${style.cyan(line)}`;
+    }
+    if (fence) {
+      this.fence = fence[1];
+      const label = fence[2] ? ` ${fence[2]} ` : '';
+      return style.gray(`┌${label}${'─'.repeat(Math.max(0, this.width - 1 - label.length))}`);
+    }
+
+    const heading = HEADING_PATTERN.exec(line);
+    if (heading) {
+      const text = renderInline(heading[2], style);
+      return heading[1].length === 1 ? style.bold(style.underline(text)) : style.bold(style.magenta(text));
+    }
+
+    if (RULE_PATTERN.test(line)) return style.gray('─'.repeat(this.width));
+
+    const quote = QUOTE_PATTERN.exec(line);
+    if (quote) return `${style.gray('│')} ${style.italic(renderInline(quote[1], style))}`;
+
+    const item = LIST_PATTERN.exec(line);
+    if (item) {
+      const [, indent, marker, task, text] = item;
+      const ordered = /\d/.test(marker);
+      let bullet = ordered ? marker : '•';
+      if (task) bullet = task === ' ' ? '☐' : '☑';
+      return `${indent}${style.cyan(bullet)} ${renderInline(text, style)}`;
+    }
+
+    if (TABLE_RULE_PATTERN.test(line)) return style.gray(line);
+
+    return renderInline(line, style);
+  }
+}
+
+export default MarkdownRenderer;
@@ -0,0 +1,25 @@
+/**
+ * OpenAI-Compatible API Server
+ * Serves `/v1/chat/completions` and `/v1/models` backed by the JARVIS providers
+ *
+ * Usage: `npm run build:api && GEMINI_API_KEY=... npm run start:api`
+ * Point any OpenAI client at `http://localhost:8788/v1` with model `jarvis`.
+ */
+
+import { createServer } from 'node:http';
+import { loadConfig } from './config.js';
+import { createOpenAIMiddleware } from './openaiApi.js';
+import { sendJson } from './http.js';
+
+const config = loadConfig();
+const api = createOpenAIMiddleware(config);
+
+createServer((req, res) => {
+  api(req, res, () => {
+    sendJson(res, 404, {
+      error: { message: 'Not found', type: 'invalid_request_error', param: null, code: 'not_found' },
+    });
+  });
+}).listen(config.apiPort, () => {
+  console.log(`JARVIS API listening on http://localhost:${config.apiPort}/v1`);
+});
@@ -0,0 +1,89 @@
+/**
+ * Server Configuration
+ * Reads server-only settings from the environment
+ *
+ * None of these variables use the VITE_ prefix, so Vite never inlines them
+ * into the browser bundle.
+ */
+
+// Defaults for settings not present in the environment
+export const SERVER_DEFAULTS = {
+  PORT: 8787,
+  API_PORT: 8788,               // OpenAI-compatible API (server/api.js)
+  GEMINI_BASE_URL: 'https://generativelanguage.googleapis.com/v1beta',
+  RATE_LIMIT: 20,               // Chat requests per user per window
+  RATE_WINDOW_MS: 60000,        // Sliding window length (ms)
+  COUNT_RATE_LIMIT: 120,        // Token count requests per user per window (sent while typing)
+  MAX_BODY_BYTES: 25 * 1024 * 1024, // Requests carry inline images
+};
+
+/**
+ * Split a comma-separated list, ignoring blanks
+ * @private
+ */
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+/**
+ * Read a positive number, falling back when unset or invalid
+ * @private
+ */
+const parseNumber = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+/**
+ * Parse `PROXY_ACCESS_TOKENS` ("alice:token1,bob:token2") into a token → user map
+ * A bare token is its own user name
+ * @private
+ */
+const parseAccessTokens = (value) => {
+  const tokens = new Map();
+  for (const entry of parseList(value)) {
+    const separator = entry.indexOf(':');
+    const user = separator > 0 ? entry.slice(0, separator) : entry;
+    const token = separator > 0 ? entry.slice(separator + 1) : entry;
+    if (token) tokens.set(token, user);
+  }
+  return tokens;
+};
+
+/**
+ * Build the server configuration
+ * @param {Object} env - Environment variables (process.env or Vite's loadEnv result)
+ * @returns {{apiKey: string, port: number, apiPort: number, provider: string|null,
+ *   geminiBaseUrl: string, allowedModels: string[],
+ *   rateLimit: {max: number, windowMs: number}, countRateLimit: {max: number, windowMs: number},
+ *   accessTokens: Map<string, string>,
+ *   userHeader: string|null, maxBodyBytes: number}}
+ */
+export const loadConfig = (env = process.env) => ({
+  apiKey: env.GEMINI_API_KEY || '',
+  port: parseNumber(env.PORT, SERVER_DEFAULTS.PORT),
+  apiPort: parseNumber(env.API_PORT, SERVER_DEFAULTS.API_PORT),
+  // Provider behind the OpenAI-compatible API; null uses the build's VITE_AI_PROVIDER
+  provider: env.JARVIS_PROVIDER || null,
+  geminiBaseUrl: (env.GEMINI_BASE_URL || SERVER_DEFAULTS.GEMINI_BASE_URL).replace(/\/+$/, ''),
+  // Empty means any model name is accepted
+  allowedModels: parseList(env.PROXY_ALLOWED_MODELS),
+  rateLimit: {
+    max: parseNumber(env.PROXY_RATE_LIMIT, SERVER_DEFAULTS.RATE_LIMIT),
+    windowMs: parseNumber(env.PROXY_RATE_WINDOW_MS, SERVER_DEFAULTS.RATE_WINDOW_MS),
+  },
+  countRateLimit: {
+    max: parseNumber(env.PROXY_COUNT_RATE_LIMIT, SERVER_DEFAULTS.COUNT_RATE_LIMIT),
+    windowMs: parseNumber(env.PROXY_RATE_WINDOW_MS, SERVER_DEFAULTS.RATE_WINDOW_MS),
+  },
+  accessTokens: parseAccessTokens(env.PROXY_ACCESS_TOKENS),
+  // e.g. "x-forwarded-email" when an SSO proxy in front of the server authenticates users
+  userHeader: env.PROXY_USER_HEADER ? env.PROXY_USER_HEADER.toLowerCase() : null,
+  maxBodyBytes: parseNumber(env.PROXY_MAX_BODY_BYTES, SERVER_DEFAULTS.MAX_BODY_BYTES),
+});
+
+export default {
+  SERVER_DEFAULTS,
+  loadConfig,
+};
@@ -0,0 +1,127 @@
+/**
+ * HTTP Helpers
+ * Request parsing, JSON responses and user identification shared by the servers
+ */
+
+/**
+ * Error with the HTTP status and code sent to the client
+ */
+export class HttpError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Write a JSON response
+ * @param {ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} payload - Body
+ * @param {Object} headers - Extra headers
+ */
+export const sendJson = (res, status, payload, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+};
+
+/**
+ * Start a Server-Sent Events response
+ * @param {ServerResponse} res - Response
+ * @param {Object} headers - Extra headers
+ */
+export const startEventStream = (res, headers = {}) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx and similar proxies from buffering the stream
+    'X-Accel-Buffering': 'no',
+    ...headers,
+  });
+};
+
+/**
+ * Read and parse a JSON request body, enforcing a size limit
+ * @param {IncomingMessage} req - Request
+ * @param {number} maxBytes - Largest accepted body
+ * @returns {Promise<Object>}
+ */
+export const readJsonBody = async (req, maxBytes) => {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new HttpError(413, `Request body exceeds ${maxBytes} bytes`, 'PAYLOAD_TOO_LARGE');
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+  } catch {
+    throw new HttpError(400, 'Request body is not valid JSON', 'INVALID_JSON');
+  }
+};
+
+/**
+ * Identify the user a request counts against
+ * Access tokens, when configured and accepted, are required; otherwise a trusted
+ * header set by an authenticating reverse proxy is used, then the client address
+ * @param {IncomingMessage} req - Request
+ * @param {Object} config - Result of loadConfig
+ * @param {Object} options - `{ acceptTokens }`: false for browser-facing routes, where
+ *   a token would have to ship in the public bundle and so could not identify anyone
+ * @returns {string}
+ */
+export const resolveUser = (req, config, { acceptTokens = true } = {}) => {
+  if (acceptTokens && config.accessTokens.size > 0) {
+    const token = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')?.[1];
+    const user = token && config.accessTokens.get(token);
+    if (!user) throw new HttpError(401, 'Missing or invalid access token', 'UNAUTHORIZED');
+    return user;
+  }
+
+  const fromHeader = config.userHeader && req.headers[config.userHeader];
+  return fromHeader || req.socket.remoteAddress || 'anonymous';
+};
+
+/**
+ * Check a request against a user's rate limit
+ * @param {RateLimiter} limiter - Limiter for the route
+ * @param {string} user - Result of resolveUser
+ * @returns {Object} - `X-RateLimit-*` headers to send with the response
+ * @throws {HttpError} - 429 carrying a `retryAfter` in seconds when over the limit
+ */
+export const checkRateLimit = (limiter, user) => {
+  const limit = limiter.take(user);
+  if (!limit.limit) return {};
+
+  const headers = {
+    'X-RateLimit-Limit': String(limit.limit),
+    'X-RateLimit-Remaining': String(limit.remaining),
+  };
+  if (!limit.allowed) {
+    const error = new HttpError(
+      429,
+      `Rate limit exceeded: ${limit.limit} requests per ${Math.round(limiter.windowMs / 1000)}s`,
+      'RATE_LIMITED',
+    );
+    error.retryAfter = String(Math.ceil(limit.retryAfterMs / 1000));
+    error.headers = headers;
+    throw error;
+  }
+  return headers;
+};
+
+export default {
+  HttpError,
+  sendJson,
+  startEventStream,
+  readJsonBody,
+  resolveUser,
+  checkRateLimit,
+};
@@ -0,0 +1,95 @@
+/**
+ * Standalone Proxy Server
+ * Serves the production build from `dist/` and the Gemini proxy under `/api`
+ *
+ * Usage: `npm run build && GEMINI_API_KEY=... npm start`
+ */
+
+import { createServer } from 'node:http';
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadConfig } from './config.js';
+import { createProxyMiddleware } from './proxy.js';
+
+const DIST_DIR = resolve(fileURLToPath(new URL('../dist', import.meta.url)));
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.webp': 'image/webp',
+  '.woff2': 'font/woff2',
+  '.txt': 'text/plain; charset=utf-8',
+};
+
+/**
+ * Resolve a request path to a file in the build, or null when there is none
+ * @private
+ */
+const findFile = async (pathname) => {
+  const filePath = normalize(join(DIST_DIR, decodeURIComponent(pathname)));
+  if (filePath !== DIST_DIR && !filePath.startsWith(DIST_DIR + sep)) return null;
+  try {
+    const info = await stat(filePath);
+    return info.isFile() ? filePath : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Serve a file from the build; unknown paths get index.html (single-page app)
+ * @private
+ */
+const serveStatic = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { Allow: 'GET, HEAD' });
+    res.end();
+    return;
+  }
+
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const filePath = await findFile(pathname) || await findFile('/index.html');
+  if (!filePath) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Build not found. Run `npm run build` first.');
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[extname(filePath)] || 'application/octet-stream',
+    // Hashed asset names change with their content
+    'Cache-Control': pathname.startsWith('/assets/') ? 'public, max-age=31536000, immutable' : 'no-cache',
+  });
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  createReadStream(filePath).pipe(res);
+};
+
+const config = loadConfig();
+const proxy = createProxyMiddleware(config);
+
+if (!config.apiKey) {
+  console.warn('GEMINI_API_KEY is not set; chat requests will fail');
+}
+
+createServer((req, res) => {
+  proxy(req, res, () => {
+    serveStatic(req, res).catch((error) => {
+      console.error('Static file error:', error);
+      if (!res.headersSent) res.writeHead(500);
+      res.end();
+    });
+  });
+}).listen(config.port, () => {
+  console.log(`JARVIS server listening on http://localhost:${config.port}`);
+});
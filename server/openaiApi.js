@@ -0,0 +1,364 @@
+/**
+ * OpenAI-Compatible API
+ * Connect-style middleware exposing JARVIS through the OpenAI REST format
+ *
+ * Routes (relative to the mount path, `/v1` by default):
+ * - `POST /chat/completions` - Streaming (SSE `chat.completion.chunk`s) and non-streaming
+ * - `GET  /models`           - The `jarvis` alias plus the provider's models
+ *
+ * Requests run through the same provider classes as the web app, so the
+ * JARVIS system prompt, model fallback chain, retries and error
+ * classification all apply. Runs from a Vite SSR build (see server/api.js),
+ * since the providers rely on Vite's `import.meta.env`, which the build reads
+ * from `process.env` at startup (see jarvisRuntimeEnv).
+ */
+
+import { RateLimiter } from './rateLimiter.js';
+import {
+  HttpError,
+  sendJson,
+  startEventStream,
+  readJsonBody,
+  resolveUser,
+  checkRateLimit,
+} from './http.js';
+import { createAIProvider, DEFAULT_PROVIDER } from '../src/services/aiService.js';
+import { createUserMessage, createBotMessage } from '../src/services/chatService.js';
+import { createImageAttachment } from '../src/services/attachments.js';
+import { normalizeGenerationConfig } from '../src/services/generationSettings.js';
+import { ERROR_TYPES } from '../src/constants/index.js';
+import { generateId } from '../src/utils/helpers.js';
+
+// Model name that selects the provider's configured model and fallbacks
+export const DEFAULT_MODEL_ALIAS = 'jarvis';
+
+// HTTP status and OpenAI error type per ERROR_TYPES category
+const ERROR_RESPONSES = {
+  [ERROR_TYPES.RATE_LIMITED]: [429, 'rate_limit_error'],
+  [ERROR_TYPES.QUOTA_EXCEEDED]: [429, 'insufficient_quota'],
+  [ERROR_TYPES.CONTEXT_TOO_LONG]: [400, 'invalid_request_error'],
+  [ERROR_TYPES.MODEL_NOT_FOUND]: [404, 'invalid_request_error'],
+  [ERROR_TYPES.TIMEOUT]: [504, 'server_error'],
+  [ERROR_TYPES.NETWORK_ERROR]: [502, 'server_error'],
+  [ERROR_TYPES.SERVER_ERROR]: [502, 'server_error'],
+};
+
+// OpenAI error type for the server's own request errors
+const HTTP_ERROR_TYPES = {
+  401: 'authentication_error',
+  429: 'rate_limit_error',
+};
+
+const DATA_URL_PATTERN = /^data:([^;,]+);base64,(.+)$/;
+
+/**
+ * Build an OpenAI error body and status
+ * @private
+ */
+const toErrorResponse = (error) => {
+  if (error instanceof HttpError) {
+    return {
+      status: error.status,
+      body: {
+        error: {
+          message: error.message,
+          type: HTTP_ERROR_TYPES[error.status] || 'invalid_request_error',
+          param: null,
+          code: error.code?.toLowerCase() ?? null,
+        },
+      },
+    };
+  }
+
+  const [status, type] = ERROR_RESPONSES[error.type] || [500, 'server_error'];
+  return {
+    status,
+    body: {
+      error: { message: error.message, type, param: null, code: error.type?.toLowerCase() ?? null },
+    },
+  };
+};
+
+/**
+ * Text of an OpenAI message `content` (a string or content parts)
+ * @private
+ */
+const toText = (content) => {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter(part => part.type === 'text').map(part => part.text).join('\n\n');
+};
+
+/**
+ * Images in an OpenAI message `content`; only base64 data URLs are accepted
+ * @private
+ */
+const toAttachments = (content) => {
+  if (!Array.isArray(content)) return [];
+  return content
+    .filter(part => part.type === 'image_url')
+    .map((part) => {
+      const match = DATA_URL_PATTERN.exec(part.image_url?.url || '');
+      if (!match) {
+        throw new HttpError(400, 'Images must be sent as base64 data URLs', 'UNSUPPORTED_IMAGE_URL');
+      }
+      return createImageAttachment({ mimeType: match[1], data: match[2] });
+    });
+};
+
+/**
+ * Convert OpenAI messages into a prompt and JARVIS conversation history
+ * JARVIS keeps its own system prompt; system and developer messages from the
+ * caller are passed along as instructions at the start of the conversation
+ * @param {Array} messages - OpenAI `messages`
+ * @returns {{prompt: string, attachments: Array, history: Array}}
+ */
+export const toConversation = (messages) => {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new HttpError(400, '"messages" must be a non-empty array', 'INVALID_MESSAGES');
+  }
+  const last = messages[messages.length - 1];
+  if (last?.role !== 'user') {
+    throw new HttpError(400, 'The last message must have the "user" role', 'INVALID_MESSAGES');
+  }
+
+  const history = [];
+  const instructions = messages
+    .filter(message => message.role === 'system' || message.role === 'developer')
+    .map(message => toText(message.content))
+    .filter(Boolean)
+    .join('\n\n');
+  if (instructions) {
+    history.push(
+      createUserMessage(`Instructions from the calling application:\n${instructions}`),
+      createBotMessage('Understood.'),
+    );
+  }
+
+  for (const message of messages.slice(0, -1)) {
+    if (message.role === 'user') {
+      history.push(createUserMessage(toText(message.content), toAttachments(message.content)));
+    } else if (message.role === 'assistant') {
+      history.push(createBotMessage(toText(message.content)));
+    }
+  }
+
+  return { prompt: toText(last.content), attachments: toAttachments(last.content), history };
+};
+
+/**
+ * Map chat completion parameters onto generation parameters
+ * Only one choice is ever returned, so `n` is ignored
+ * @param {Object} body - Request body
+ * @returns {Object}
+ */
+export const toGenerationConfig = (body) => normalizeGenerationConfig({
+  temperature: body.temperature,
+  topP: body.top_p,
+  maxOutputTokens: body.max_completion_tokens ?? body.max_tokens,
+  stopSequences: typeof body.stop === 'string' ? [body.stop] : body.stop,
+});
+
+/**
+ * Convert a usage record to the OpenAI `usage` object
+ * @private
+ */
+const toOpenAIUsage = (usage) => usage && {
+  prompt_tokens: usage.promptTokens,
+  completion_tokens: usage.outputTokens,
+  total_tokens: usage.totalTokens,
+};
+
+/**
+ * Run a request through the provider, reporting text as it streams
+ * Safety blocks end the response with `content_filter` instead of failing it
+ * @private
+ * @returns {Promise<{text: string, info: Object|null, finishReason: string}|null>} - Null when cancelled
+ */
+const runCompletion = async (provider, options, onText) => {
+  let latest = '';
+  let info = null;
+
+  try {
+    const text = await provider.generateStreamingResponse(options.prompt, {
+      ...options,
+      onChunk: (accumulated) => {
+        latest = accumulated;
+        onText(accumulated);
+      },
+      onComplete: (_text, responseInfo) => { info = responseInfo; },
+    });
+    if (text === undefined) return null;
+    return { text, info, finishReason: 'stop' };
+  } catch (error) {
+    if (error.type !== ERROR_TYPES.SAFETY_BLOCKED) throw error;
+    return { text: latest, info: error.responseInfo, finishReason: 'content_filter' };
+  }
+};
+
+/**
+ * Create the OpenAI-compatible middleware
+ * @param {Object} config - Result of loadConfig
+ * @param {Object} options - Options
+ * @param {string} options.basePath - Mount path for the routes
+ * @returns {Function} - `(req, res, next)` middleware for Connect or node:http
+ */
+export const createOpenAIMiddleware = (config, { basePath = '/v1' } = {}) => {
+  const limiter = new RateLimiter(config.rateLimit);
+  // The browser-only proxy provider maps to Gemini with the server's key
+  const providerType = config.provider || (DEFAULT_PROVIDER === 'proxy' ? 'gemini' : DEFAULT_PROVIDER);
+
+  /**
+   * A provider per request, so cancelling one stream never touches another
+   */
+  const createProvider = (model) => {
+    if (model && model !== DEFAULT_MODEL_ALIAS && config.allowedModels.length > 0 &&
+      !config.allowedModels.includes(model)) {
+      throw new HttpError(403, `Model "${model}" is not enabled on this server`, 'MODEL_NOT_ALLOWED');
+    }
+    return createAIProvider(providerType, {
+      ...(providerType === 'gemini' && config.apiKey && { apiKey: config.apiKey }),
+      ...(model && model !== DEFAULT_MODEL_ALIAS && { model }),
+      record: false,
+    });
+  };
+
+  const handleChatCompletions = async (req, res) => {
+    const user = resolveUser(req, config);
+    const body = await readJsonBody(req, config.maxBodyBytes);
+    const { prompt, attachments, history } = toConversation(body.messages);
+    const limitHeaders = checkRateLimit(limiter, user);
+    const provider = await createProvider(body.model);
+
+    const id = `chatcmpl-${generateId()}`;
+    const created = Math.floor(Date.now() / 1000);
+    const requestedModel = body.model || DEFAULT_MODEL_ALIAS;
+    const options = {
+      prompt,
+      conversationHistory: history,
+      attachments,
+      generationConfig: toGenerationConfig(body),
+    };
+
+    res.on('close', () => {
+      if (!res.writableEnded) provider.cancelStream();
+    });
+
+    if (!body.stream) {
+      const result = await runCompletion(provider, options, () => {});
+      if (!result) return;
+      sendJson(res, 200, {
+        id,
+        object: 'chat.completion',
+        created,
+        model: result.info?.model || requestedModel,
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: result.text },
+          finish_reason: result.finishReason,
+        }],
+        ...(result.info?.usage && { usage: toOpenAIUsage(result.info.usage) }),
+      }, limitHeaders);
+      return;
+    }
+
+    const writeEvent = (payload) => res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    const writeChunk = (delta, finishReason = null, model = requestedModel) => writeEvent({
+      id,
+      object: 'chat.completion.chunk',
+      created,
+      model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }],
+    });
+
+    // Headers wait for the first token, so failures before it get a real HTTP status
+    let sent = null;
+    const start = () => {
+      if (sent !== null) return;
+      startEventStream(res, limitHeaders);
+      writeChunk({ role: 'assistant', content: '' });
+      sent = '';
+    };
+
+    let result;
+    try {
+      result = await runCompletion(provider, options, (accumulated) => {
+        start();
+        writeChunk({ content: accumulated.slice(sent.length) });
+        sent = accumulated;
+      });
+    } catch (error) {
+      if (sent === null) throw error;
+      writeEvent(toErrorResponse(error).body);
+      res.end();
+      return;
+    }
+    if (!result) return;
+
+    start();
+    writeChunk({}, result.finishReason, result.info?.model || requestedModel);
+    if (body.stream_options?.include_usage && result.info?.usage) {
+      writeEvent({
+        id,
+        object: 'chat.completion.chunk',
+        created,
+        model: result.info.model || requestedModel,
+        choices: [],
+        usage: toOpenAIUsage(result.info.usage),
+      });
+    }
+    res.write('data: [DONE]\n\n');
+    res.end();
+  };
+
+  const handleModels = async (req, res) => {
+    resolveUser(req, config);
+    const provider = await createProvider();
+    const names = (await provider.listModels()).map(model => model.name);
+    const listed = config.allowedModels.length > 0
+      ? names.filter(name => config.allowedModels.includes(name))
+      : names;
+
+    sendJson(res, 200, {
+      object: 'list',
+      data: [...new Set([DEFAULT_MODEL_ALIAS, ...listed])].map(name => ({
+        id: name,
+        object: 'model',
+        created: 0,
+        owned_by: DEFAULT_MODEL_ALIAS,
+      })),
+    });
+  };
+
+  const routes = {
+    'POST /chat/completions': handleChatCompletions,
+    'GET /models': handleModels,
+  };
+
+  return async (req, res, next) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== basePath && !pathname.startsWith(`${basePath}/`)) {
+      next?.();
+      return;
+    }
+
+    const route = routes[`${req.method} ${pathname.slice(basePath.length)}`];
+    try {
+      if (!route) throw new HttpError(404, `No route for ${req.method} ${pathname}`, 'NOT_FOUND');
+      await route(req, res);
+    } catch (error) {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      if (!error.type && !(error instanceof HttpError)) console.error('API request failed:', error);
+      const { status, body } = toErrorResponse(error);
+      sendJson(res, status, body, {
+        ...error.headers,
+        ...(error.retryAfter && { 'Retry-After': error.retryAfter }),
+      });
+    }
+  };
+};
+
+export default createOpenAIMiddleware;
@@ -0,0 +1,199 @@
+/**
+ * Gemini Proxy
+ * Connect-style middleware that holds the Gemini API key server-side
+ *
+ * Routes (relative to the mount path, `/api` by default):
+ * - `POST /chat`         - Streams a Gemini `streamGenerateContent` response as
+ *                          Server-Sent Events, one `GenerateContentResponse` per
+ *                          event, ending with `data: [DONE]`
+ * - `POST /count-tokens` - Returns `{ totalTokens }`
+ * - `GET  /health`       - Returns `{ ok, configured }`
+ *
+ * Request bodies are Gemini REST bodies plus a `model` field; only the fields
+ * listed in FORWARDED_FIELDS reach Gemini. Errors are JSON
+ * `{ error: { message, code } }` with the upstream status where there is one.
+ * Chat requests count against a per-user sliding-window rate limit. Users are
+ * identified by PROXY_USER_HEADER or the client address, never by access
+ * tokens, since the browser has nowhere private to keep one.
+ */
+
+import { RateLimiter } from './rateLimiter.js';
+import {
+  HttpError,
+  sendJson,
+  startEventStream,
+  readJsonBody,
+  resolveUser,
+  checkRateLimit,
+} from './http.js';
+
+// Request fields passed through to Gemini
+const FORWARDED_FIELDS = ['contents', 'systemInstruction', 'generationConfig', 'safetySettings', 'tools', 'toolConfig'];
+
+// Model names end up in the upstream URL path
+const MODEL_NAME_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Write an error response
+ * @private
+ */
+const sendError = (res, error) => {
+  sendJson(res, error.status || 500, {
+    error: { message: error.message, code: error.code, details: error.details },
+  }, {
+    ...error.headers,
+    ...(error.retryAfter && { 'Retry-After': error.retryAfter }),
+  });
+};
+
+/**
+ * Validate a request body and build the upstream request
+ * @private
+ */
+const toUpstreamRequest = (body, config) => {
+  const { model } = body;
+  if (typeof model !== 'string' || !MODEL_NAME_PATTERN.test(model)) {
+    throw new HttpError(400, 'A valid "model" is required', 'INVALID_MODEL');
+  }
+  if (config.allowedModels.length > 0 && !config.allowedModels.includes(model)) {
+    throw new HttpError(403, `Model "${model}" is not enabled on this server`, 'MODEL_NOT_ALLOWED');
+  }
+  if (!Array.isArray(body.contents) || body.contents.length === 0) {
+    throw new HttpError(400, '"contents" must be a non-empty array', 'INVALID_CONTENTS');
+  }
+
+  const payload = Object.fromEntries(
+    FORWARDED_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]),
+  );
+  return { model, payload };
+};
+
+/**
+ * Call a Gemini REST method
+ * Non-2xx responses become HttpErrors carrying Gemini's status, message and details
+ * @private
+ */
+const callGemini = async (config, model, method, payload, signal) => {
+  const query = method === 'streamGenerateContent' ? '?alt=sse' : '';
+  const response = await fetch(`${config.geminiBaseUrl}/models/${model}:${method}${query}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': config.apiKey,
+    },
+    body: JSON.stringify(payload),
+    signal,
+  });
+
+  if (!response.ok) {
+    let message = response.statusText;
+    let details;
+    try {
+      const body = await response.json();
+      message = body?.error?.message || message;
+      details = body?.error?.details;
+    } catch {
+      // Body was not JSON; keep the status text
+    }
+    const error = new HttpError(response.status, message, 'UPSTREAM_ERROR');
+    error.details = details;
+    error.retryAfter = response.headers.get('retry-after');
+    throw error;
+  }
+
+  return response;
+};
+
+/**
+ * Relay a streamed response as Server-Sent Events
+ * Gemini's own SSE framing is forwarded unchanged; failures after the
+ * headers are sent become a final `{ error }` event
+ * @private
+ */
+const relayStream = async (res, upstream) => {
+  startEventStream(res);
+
+  try {
+    for await (const chunk of upstream.body) {
+      res.write(chunk);
+    }
+    res.write('\n\ndata: [DONE]\n\n');
+  } catch (error) {
+    if (res.destroyed) return;
+    res.write(`\n\ndata: ${JSON.stringify({ error: { message: error.message, code: 'STREAM_ERROR' } })}\n\n`);
+  }
+  res.end();
+};
+
+/**
+ * Create the proxy middleware
+ * @param {Object} config - Result of loadConfig
+ * @param {Object} options - Options
+ * @param {string} options.basePath - Mount path for the routes
+ * @returns {Function} - `(req, res, next)` middleware for Vite/Connect or node:http
+ */
+export const createProxyMiddleware = (config, { basePath = '/api' } = {}) => {
+  const limiter = new RateLimiter(config.rateLimit);
+  // Counts are cheap but frequent, so they don't use up the chat limit
+  const countLimiter = new RateLimiter(config.countRateLimit);
+
+  const handleChat = async (req, res) => {
+    const user = resolveUser(req, config, { acceptTokens: false });
+    const { model, payload } = toUpstreamRequest(await readJsonBody(req, config.maxBodyBytes), config);
+
+    const limitHeaders = checkRateLimit(limiter, user);
+
+    // Stop the upstream request when the browser goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    const upstream = await callGemini(config, model, 'streamGenerateContent', payload, controller.signal);
+    for (const [name, value] of Object.entries(limitHeaders)) res.setHeader(name, value);
+    await relayStream(res, upstream);
+  };
+
+  const handleCountTokens = async (req, res) => {
+    const user = resolveUser(req, config, { acceptTokens: false });
+    const { model, payload } = toUpstreamRequest(await readJsonBody(req, config.maxBodyBytes), config);
+
+    const limitHeaders = checkRateLimit(countLimiter, user);
+    const upstream = await callGemini(config, model, 'countTokens', { contents: payload.contents });
+    const { totalTokens } = await upstream.json();
+    sendJson(res, 200, { totalTokens }, limitHeaders);
+  };
+
+  const routes = {
+    'POST /chat': handleChat,
+    'POST /count-tokens': handleCountTokens,
+    'GET /health': (req, res) => sendJson(res, 200, { ok: true, configured: Boolean(config.apiKey) }),
+  };
+
+  return async (req, res, next) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== basePath && !pathname.startsWith(`${basePath}/`)) {
+      next?.();
+      return;
+    }
+
+    const route = routes[`${req.method} ${pathname.slice(basePath.length)}`];
+    try {
+      if (!route) throw new HttpError(404, `No route for ${req.method} ${pathname}`, 'NOT_FOUND');
+      if (!config.apiKey && !pathname.endsWith('/health')) {
+        throw new HttpError(503, 'Gemini API key not configured on the server', 'API_KEY_MISSING');
+      }
+      await route(req, res);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      if (!(error instanceof HttpError)) console.error('Proxy request failed:', error);
+      sendError(res, error instanceof HttpError ? error : new HttpError(502, error.message, 'UPSTREAM_ERROR'));
+    }
+  };
+};
+
+export default createProxyMiddleware;
@@ -0,0 +1,70 @@
+/**
+ * Rate Limiter
+ * Sliding-window request limits keyed by user
+ *
+ * Each user keeps the timestamps of their accepted requests inside the
+ * window; rejected requests are not counted, so a client that backs off
+ * regains capacity as soon as its oldest request leaves the window.
+ */
+
+// Users with no request in this many windows are forgotten
+const IDLE_WINDOWS = 2;
+
+export class RateLimiter {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.max - Requests allowed per window (0 disables limiting)
+   * @param {number} options.windowMs - Window length in ms
+   */
+  constructor({ max, windowMs }) {
+    this.max = max;
+    this.windowMs = windowMs;
+    this.hits = new Map();
+    this.lastSweep = 0;
+  }
+
+  /**
+   * Record a request for a user if it fits in their window
+   * @param {string} key - User identifier
+   * @param {number} now - Current time (ms)
+   * @returns {{allowed: boolean, limit: number, remaining: number, retryAfterMs: number}}
+   */
+  take(key, now = Date.now()) {
+    if (!this.max || !this.windowMs) {
+      return { allowed: true, limit: 0, remaining: Infinity, retryAfterMs: 0 };
+    }
+
+    this._sweep(now);
+    const recent = (this.hits.get(key) || []).filter(time => now - time < this.windowMs);
+
+    if (recent.length >= this.max) {
+      this.hits.set(key, recent);
+      return {
+        allowed: false,
+        limit: this.max,
+        remaining: 0,
+        retryAfterMs: recent[0] + this.windowMs - now,
+      };
+    }
+
+    recent.push(now);
+    this.hits.set(key, recent);
+    return { allowed: true, limit: this.max, remaining: this.max - recent.length, retryAfterMs: 0 };
+  }
+
+  /**
+   * Drop users who have been idle, so the map doesn't grow without bound
+   * @private
+   */
+  _sweep(now) {
+    const idleAfter = this.windowMs * IDLE_WINDOWS;
+    if (now - this.lastSweep < idleAfter) return;
+    this.lastSweep = now;
+
+    for (const [key, times] of this.hits) {
+      if (now - times[times.length - 1] >= idleAfter) this.hits.delete(key);
+    }
+  }
+}
+
+export default RateLimiter;
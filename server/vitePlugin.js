@@ -0,0 +1,62 @@
+/**
+ * Vite Plugin
+ * Mounts the Gemini proxy on the dev and preview servers, so `npm run dev`
+ * behaves like the standalone server
+ */
+
+import { loadConfig } from './config.js';
+import { createProxyMiddleware } from './proxy.js';
+
+/**
+ * @param {Object} env - Environment variables, including non-VITE_ ones (see Vite's loadEnv)
+ * @returns {import('vite').Plugin}
+ */
+export const jarvisProxy = (env = process.env) => {
+  const mount = (server) => {
+    server.middlewares.use(createProxyMiddleware(loadConfig(env)));
+  };
+
+  return {
+    name: 'jarvis-proxy',
+    configureServer: mount,
+    configurePreviewServer: mount,
+  };
+};
+
+/**
+ * Fail builds that would ship the Gemini key to the browser in proxy mode
+ * `VITE_` variables are inlined into every chunk that reads them, including
+ * provider chunks the configured provider never loads
+ * @param {Object} env - Environment variables (see Vite's loadEnv)
+ * @returns {import('vite').Plugin}
+ */
+export const jarvisKeyGuard = (env = process.env) => ({
+  name: 'jarvis-key-guard',
+  apply: 'build',
+  buildStart() {
+    if (env.VITE_AI_PROVIDER === 'proxy' && env.VITE_GEMINI_API_KEY) {
+      this.error(
+        'VITE_GEMINI_API_KEY is set while VITE_AI_PROVIDER=proxy, which would publish the key in the bundle. '
+        + 'Remove it and set GEMINI_API_KEY on the server instead.',
+      );
+    }
+  },
+});
+
+/**
+ * Read `import.meta.env` from `process.env` in SSR builds (the CLI and API server)
+ * Settings are then taken from the environment the command runs in, and no
+ * `VITE_` key present at build time is written into dist-cli/ or dist-api/
+ * @returns {import('vite').Plugin}
+ */
+export const jarvisRuntimeEnv = () => ({
+  name: 'jarvis-runtime-env',
+  enforce: 'pre',
+  apply: (config, { command, isSsrBuild }) => command === 'build' && Boolean(isSsrBuild),
+  transform(code, id) {
+    if (id.includes('/node_modules/') || !code.includes('import.meta.env')) return null;
+    return { code: code.replaceAll('import.meta.env', 'process.env'), map: null };
+  },
+});
+
+export default jarvisProxy;
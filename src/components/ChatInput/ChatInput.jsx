@@ -1,12 +1,15 @@
 /**
  * ChatInput Component
- * Input field with send button and streaming cancel support
+ * Input field with send button, streaming cancel support, a live token counter
+ * and attachments (images, text/code and PDF files via picker, paste and drag-and-drop)
  */
 
-import React, { memo, useCallback, useRef } from 'react';
+import React, { memo, useCallback, useRef, useState } from 'react';
 import PropTypes from 'prop-types';
 import { useAutoResize } from '../../hooks';
-import { KEYBOARD_SHORTCUTS, INPUT_VALIDATION } from '../../constants';
+import { KEYBOARD_SHORTCUTS, ATTACHMENT_CONFIG } from '../../constants';
+import { toDataUrl, estimateAttachmentTokenCount } from '../../services/attachments';
+import { formatTokenCount, formatFileSize } from '../../utils/helpers';
 import './ChatInput.css';
 
 /**
@@ -68,6 +71,140 @@ const SendButton = memo(({ disabled, isLoading, isStreaming, onCancel }) => {
 
 SendButton.displayName = 'SendButton';
 
+// File picker filter: images, PDFs and known text/code extensions
+const ACCEPTED_FILES = [
+  ...ATTACHMENT_CONFIG.IMAGE_TYPES,
+  'text/*',
+  '.pdf',
+  ...ATTACHMENT_CONFIG.TEXT_EXTENSIONS.map(extension => `.${extension}`),
+].join(',');
+
+/**
+ * Button that opens the file picker
+ */
+const AttachButton = memo(({ disabled, onFiles }) => {
+  const fileInputRef = useRef(null);
+
+  const handleChange = useCallback((e) => {
+    if (e.target.files.length > 0) onFiles(e.target.files);
+    // Allow picking the same file again
+    e.target.value = '';
+  }, [onFiles]);
+
+  return (
+    <>
+      <button
+        type="button"
+        className="attach-button"
+        onClick={() => fileInputRef.current?.click()}
+        disabled={disabled}
+        aria-label="Attach files"
+        title="Attach images, PDFs or text files (or paste / drop them here)"
+      >
+        <svg
+          viewBox="0 0 24 24"
+          fill="none"
+          stroke="currentColor"
+          strokeWidth="2"
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          aria-hidden="true"
+        >
+          <path d="M21.44 11.05l-9.19 9.19a6 6 0 0 1-8.49-8.49l9.19-9.19a4 4 0 0 1 5.66 5.66l-9.2 9.19a2 2 0 0 1-2.83-2.83l8.49-8.48" />
+        </svg>
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={ACCEPTED_FILES}
+        multiple
+        hidden
+        onChange={handleChange}
+      />
+    </>
+  );
+});
+
+AttachButton.displayName = 'AttachButton';
+
+/**
+ * Staged attachments: thumbnails for images, chips with a token estimate for files
+ */
+const AttachmentPreview = memo(({ attachments, isProcessing, onRemove }) => (
+  <ul className="input-attachments" aria-label="Attachments">
+    {attachments.map(attachment => (
+      <li key={attachment.id} className={`input-attachment ${attachment.type}`}>
+        {attachment.type === 'image' ? (
+          <img
+            src={toDataUrl(attachment)}
+            alt={attachment.name}
+            title={`${attachment.name} · ${formatFileSize(attachment.size)}`}
+          />
+        ) : (
+          <span
+            className="input-attachment-file"
+            title={`${attachment.name} · ${formatFileSize(attachment.size)}`
+              + (attachment.pages ? ` · ${attachment.pages} pages` : '')}
+          >
+            <span className="input-attachment-kind">{attachment.kind}</span>
+            <span className="input-attachment-name">{attachment.name}</span>
+            <span className="input-attachment-tokens">
+              ~{formatTokenCount(estimateAttachmentTokenCount(attachment))} tokens
+            </span>
+          </span>
+        )}
+        <button
+          type="button"
+          className="input-attachment-remove"
+          onClick={() => onRemove(attachment.id)}
+          aria-label={`Remove ${attachment.name}`}
+        >
+          ×
+        </button>
+      </li>
+    ))}
+    {isProcessing && (
+      <li className="input-attachment processing" aria-live="polite">Preparing…</li>
+    )}
+  </ul>
+));
+
+AttachmentPreview.displayName = 'AttachmentPreview';
+
+/**
+ * Token counter for the draft plus its context, with a trim action when it doesn't fit
+ */
+const TokenCounter = memo(({ tokenInfo, onTrim }) => {
+  const { totalTokens, draftTokens, contextTokens, limit, isEstimate, status } = tokenInfo;
+  const over = totalTokens - limit;
+
+  return (
+    <div className={`input-token-counter ${status}`} aria-live="polite">
+      {status === 'over' && (
+        <span className="input-token-warning">
+          {formatTokenCount(over)} tokens over the model&apos;s input limit
+        </span>
+      )}
+      {status === 'warning' && (
+        <span className="input-token-warning">Close to the model&apos;s input limit</span>
+      )}
+      <span
+        className="input-token-count"
+        title={`Message ${draftTokens.toLocaleString()} + context ${contextTokens.toLocaleString()} tokens`}
+      >
+        {isEstimate ? '~' : ''}{formatTokenCount(totalTokens)} / {formatTokenCount(limit)} tokens
+      </span>
+      {status === 'over' && onTrim && (
+        <button type="button" className="input-token-trim" onClick={onTrim}>
+          Trim to fit
+        </button>
+      )}
+    </div>
+  );
+});
+
+TokenCounter.displayName = 'TokenCounter';
+
 /**
  * Main ChatInput component
  */
@@ -81,18 +218,30 @@ const ChatInput = memo(({
   isDisabled = false,
   placeholder = 'Message JARVIS...',
   inputRef: externalRef,
+  tokenInfo,
+  onTrim,
+  attachments = [],
+  isProcessingAttachments = false,
+  onAddFiles,
+  onRemoveAttachment,
+  onEditLast,
 }) => {
   const internalRef = useRef(null);
   const textareaRef = externalRef || internalRef;
+  const [isDragging, setIsDragging] = useState(false);
   
   // Auto-resize textarea
   useAutoResize(textareaRef, value, 200);
 
+  const isOverLimit = tokenInfo?.status === 'over';
+  const hasContent = Boolean(value.trim()) || attachments.length > 0;
+  const canAttach = Boolean(onAddFiles) && !isDisabled;
+
   const handleSubmit = useCallback((e) => {
     e.preventDefault();
-    if (!value.trim() || isLoading || isDisabled) return;
+    if (!hasContent || isLoading || isDisabled || isOverLimit || isProcessingAttachments) return;
     onSubmit(value);
-  }, [value, isLoading, isDisabled, onSubmit]);
+  }, [value, hasContent, isLoading, isDisabled, isOverLimit, isProcessingAttachments, onSubmit]);
 
   const handleKeyDown = useCallback((e) => {
     // Cancel streaming on Escape
@@ -112,30 +261,78 @@ const ChatInput = memo(({
     if (e.key === KEYBOARD_SHORTCUTS.CLEAR_INPUT && !isStreaming) {
       onChange('');
     }
-  }, [handleSubmit, onChange, isStreaming, onCancel]);
+    
+    // Edit the last prompt on Up, when there is nothing to lose
+    if (e.key === KEYBOARD_SHORTCUTS.EDIT_LAST_PROMPT && !hasContent && onEditLast && onEditLast()) {
+      e.preventDefault();
+    }
+  }, [handleSubmit, onChange, isStreaming, onCancel, hasContent, onEditLast]);
 
   const handleChange = useCallback((e) => {
-    const newValue = e.target.value;
-    if (newValue.length <= INPUT_VALIDATION.MAX_LENGTH) {
-      onChange(newValue);
-    }
+    onChange(e.target.value);
   }, [onChange]);
 
-  const isSubmitDisabled = isLoading || isDisabled || !value.trim();
+  // Pasted files (e.g. screenshots) are attached; pasted text behaves as usual
+  const handlePaste = useCallback((e) => {
+    if (!canAttach) return;
+    const files = Array.from(e.clipboardData?.files || []);
+    if (files.length === 0) return;
+    if (!e.clipboardData.getData('text/plain')) e.preventDefault();
+    onAddFiles(files);
+  }, [canAttach, onAddFiles]);
+
+  const handleDragOver = useCallback((e) => {
+    if (!canAttach || !Array.from(e.dataTransfer?.types || []).includes('Files')) return;
+    e.preventDefault();
+    setIsDragging(true);
+  }, [canAttach]);
+
+  const handleDragLeave = useCallback((e) => {
+    // Ignore moves between the form's own children
+    if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false);
+  }, []);
+
+  const handleDrop = useCallback((e) => {
+    if (!canAttach) return;
+    e.preventDefault();
+    setIsDragging(false);
+    if (e.dataTransfer.files.length > 0) onAddFiles(e.dataTransfer.files);
+  }, [canAttach, onAddFiles]);
+
+  const isSubmitDisabled = isLoading || isDisabled || !hasContent || isOverLimit || isProcessingAttachments;
 
   return (
     <form 
-      className={`chat-input-form ${isStreaming ? 'streaming' : ''}`}
+      className={`chat-input-form ${isStreaming ? 'streaming' : ''} ${isDragging ? 'dragging' : ''}`}
       onSubmit={handleSubmit}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
       aria-label="Message input form"
     >
+      {(attachments.length > 0 || isProcessingAttachments) && (
+        <AttachmentPreview
+          attachments={attachments}
+          isProcessing={isProcessingAttachments}
+          onRemove={onRemoveAttachment}
+        />
+      )}
+      
       <div className="input-container">
+        {onAddFiles && (
+          <AttachButton
+            disabled={!canAttach || isLoading}
+            onFiles={onAddFiles}
+          />
+        )}
+        
         <textarea
           ref={textareaRef}
           className="chat-input"
           value={value}
           onChange={handleChange}
           onKeyDown={handleKeyDown}
+          onPaste={handlePaste}
           placeholder={isDisabled ? 'Chat unavailable' : (isStreaming ? 'JARVIS is responding...' : placeholder)}
           disabled={isLoading || isDisabled}
           rows={1}
@@ -151,6 +348,8 @@ const ChatInput = memo(({
           onCancel={onCancel}
         />
       </div>
+      
+      {tokenInfo && hasContent && <TokenCounter tokenInfo={tokenInfo} onTrim={onTrim} />}
     </form>
   );
 });
@@ -170,6 +369,30 @@ ChatInput.propTypes = {
     PropTypes.func,
     PropTypes.shape({ current: PropTypes.any }),
   ]),
+  tokenInfo: PropTypes.shape({
+    draftTokens: PropTypes.number.isRequired,
+    contextTokens: PropTypes.number.isRequired,
+    totalTokens: PropTypes.number.isRequired,
+    limit: PropTypes.number.isRequired,
+    isEstimate: PropTypes.bool,
+    status: PropTypes.oneOf(['ok', 'warning', 'over']).isRequired,
+  }),
+  onTrim: PropTypes.func,
+  attachments: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    type: PropTypes.oneOf(['image', 'file']).isRequired,
+    kind: PropTypes.string,
+    mimeType: PropTypes.string,
+    data: PropTypes.string,
+    text: PropTypes.string,
+    name: PropTypes.string,
+    size: PropTypes.number,
+    pages: PropTypes.number,
+  })),
+  isProcessingAttachments: PropTypes.bool,
+  onAddFiles: PropTypes.func,
+  onRemoveAttachment: PropTypes.func,
+  onEditLast: PropTypes.func,
 };
 
 export default ChatInput;
@@ -3,14 +3,23 @@
  * Renders individual chat messages with Markdown support and code highlighting
  */
 
-import React, { memo, useState, useMemo } from 'react';
+import React, { memo, useState, useMemo, useRef } from 'react';
 import PropTypes from 'prop-types';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { oneDark } from 'react-syntax-highlighter/dist/esm/styles/prism';
-import { SENDER, MESSAGE_STATUS } from '../../constants';
-import { formatTimestamp, copyToClipboard } from '../../utils/helpers';
+import { useAutoResize } from '../../hooks';
+import { SENDER, MESSAGE_STATUS, SAFETY_CONFIG, KEYBOARD_SHORTCUTS } from '../../constants';
+import {
+  formatTimestamp,
+  formatDuration,
+  formatTokenCount,
+  formatCost,
+  formatFileSize,
+  copyToClipboard,
+} from '../../utils/helpers';
+import { toDataUrl, getFilePreview } from '../../services/attachments';
 import './ChatMessage.css';
 
 /**
@@ -250,6 +259,93 @@ const MessageContent = memo(({ text, isBot }) => {
 
 MessageContent.displayName = 'MessageContent';
 
+/**
+ * In-place editor for a sent prompt
+ * Enter saves and regenerates, Shift+Enter adds a line, Escape cancels
+ */
+const MessageEditor = memo(({ initialText, allowEmpty, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(initialText);
+  const textareaRef = useRef(null);
+  useAutoResize(textareaRef, draft, 300);
+
+  const canSave = Boolean(draft.trim()) || allowEmpty;
+  const save = () => {
+    if (canSave) onSave(draft);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === KEYBOARD_SHORTCUTS.SEND_MESSAGE && !e.shiftKey) {
+      e.preventDefault();
+      save();
+    }
+    if (e.key === KEYBOARD_SHORTCUTS.CLEAR_INPUT) {
+      e.preventDefault();
+      onCancel();
+    }
+  };
+
+  return (
+    <div className="message-editor">
+      <textarea
+        ref={textareaRef}
+        className="message-editor-input"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onFocus={(e) => e.target.setSelectionRange(e.target.value.length, e.target.value.length)}
+        aria-label="Edit message"
+        rows={1}
+        autoFocus
+      />
+      <div className="message-editor-actions">
+        <button type="button" className="message-editor-button" onClick={onCancel}>
+          Cancel
+        </button>
+        <button type="button" className="message-editor-button primary" onClick={save} disabled={!canSave}>
+          Save &amp; regenerate
+        </button>
+      </div>
+    </div>
+  );
+});
+
+MessageEditor.displayName = 'MessageEditor';
+
+/**
+ * `< 2/3 >` pager between a reply's variants
+ */
+const VariantPager = memo(({ index, count, onSelect }) => (
+  <div className="message-variants" role="group" aria-label="Response variants">
+    <button
+      type="button"
+      className="message-variant-button"
+      onClick={() => onSelect(index - 1)}
+      disabled={index === 0}
+      aria-label="Previous variant"
+    >
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+        <polyline points="15 18 9 12 15 6" />
+      </svg>
+    </button>
+    <span className="message-variant-position" aria-live="polite">
+      {index + 1}/{count}
+    </span>
+    <button
+      type="button"
+      className="message-variant-button"
+      onClick={() => onSelect(index + 1)}
+      disabled={index === count - 1}
+      aria-label="Next variant"
+    >
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+        <polyline points="9 18 15 12 9 6" />
+      </svg>
+    </button>
+  </div>
+));
+
+VariantPager.displayName = 'VariantPager';
+
 /**
  * Streaming indicator with JARVIS animation
  */
@@ -263,13 +359,265 @@ const StreamingCursor = memo(() => (
 
 StreamingCursor.displayName = 'StreamingCursor';
 
+// Generation parameters as named in the settings panel
+const PARAMETER_LABELS = {
+  temperature: 'Temperature',
+  topP: 'Top P',
+  topK: 'Top K',
+  maxOutputTokens: 'Max output tokens',
+  candidateCount: 'Candidates',
+  stopSequences: 'Stop',
+};
+
+/**
+ * Parameters a response was generated with; an empty config means the model's defaults
+ * @private
+ */
+const formatParameters = (generationConfig) => {
+  const entries = Object.entries(generationConfig);
+  if (entries.length === 0) return 'Model defaults';
+  return entries
+    .map(([key, value]) => `${PARAMETER_LABELS[key] || key} ${Array.isArray(value) ? value.join(', ') : value}`)
+    .join(' · ');
+};
+
+/**
+ * Expandable footer showing which model answered, how long it took and what it cost
+ */
+const MessageDetails = memo(({ metadata }) => {
+  const {
+    provider,
+    model,
+    attempts = [],
+    usage,
+    cost,
+    latencyMs,
+    firstTokenMs,
+    comparedModels,
+    generationConfig,
+  } = metadata;
+  if (!model && attempts.length === 0) return null;
+
+  const failedCount = attempts.length;
+  const usedFallback = model && attempts.some(attempt => attempt.model !== model);
+  const formatReason = ({ type, status }) =>
+    `${type.toLowerCase().replace(/_/g, ' ')}${status ? ` (${status})` : ''}`;
+
+  return (
+    <details className="message-details">
+      <summary className="message-details-summary">
+        {model ? <span className="message-details-model">{model}</span> : 'No model answered'}
+        {latencyMs != null && <span>{formatDuration(latencyMs)}</span>}
+        {usage && <span>{formatTokenCount(usage.totalTokens)} tokens</span>}
+        {usedFallback && <span className="message-details-fallback">fallback</span>}
+        {failedCount > 0 && (
+          <span>{failedCount} failed attempt{failedCount === 1 ? '' : 's'}</span>
+        )}
+      </summary>
+      <dl className="message-details-list">
+        {provider && (
+          <>
+            <dt>Provider</dt>
+            <dd>{provider}</dd>
+          </>
+        )}
+        {firstTokenMs != null && (
+          <>
+            <dt>First token</dt>
+            <dd>{formatDuration(firstTokenMs)}</dd>
+          </>
+        )}
+        {latencyMs != null && (
+          <>
+            <dt>Total</dt>
+            <dd>{formatDuration(latencyMs)}</dd>
+          </>
+        )}
+        {usage && (
+          <>
+            <dt>Tokens</dt>
+            <dd>{formatTokenCount(usage.promptTokens)} in · {formatTokenCount(usage.outputTokens)} out</dd>
+          </>
+        )}
+        {cost != null && (
+          <>
+            <dt>Est. cost</dt>
+            <dd>{formatCost(cost)}</dd>
+          </>
+        )}
+        {generationConfig && (
+          <>
+            <dt>Parameters</dt>
+            <dd>{formatParameters(generationConfig)}</dd>
+          </>
+        )}
+        {comparedModels && (
+          <>
+            <dt>Chosen from</dt>
+            <dd>{comparedModels.join(', ')}</dd>
+          </>
+        )}
+      </dl>
+      {failedCount > 0 && (
+        <ol className="message-details-attempts">
+          {attempts.map((attempt, index) => (
+            <li key={index} title={attempt.message}>
+              <span className="message-details-model">{attempt.model}</span>
+              {' '}{formatReason(attempt)}
+            </li>
+          ))}
+        </ol>
+      )}
+    </details>
+  );
+});
+
+MessageDetails.displayName = 'MessageDetails';
+
+/**
+ * A file sent with a message: its name, expandable to the first lines of its text
+ */
+const FileAttachment = memo(({ attachment }) => {
+  const preview = useMemo(() => getFilePreview(attachment), [attachment]);
+
+  return (
+    <details className="message-file">
+      <summary className="message-file-summary">
+        <span className="message-file-name">{attachment.name}</span>
+        <span className="message-file-meta">
+          {attachment.pages ? `${attachment.pages} pages · ` : ''}{formatFileSize(attachment.size)}
+        </span>
+      </summary>
+      <pre className="message-file-preview">
+        {preview.text}
+        {preview.truncated && '\n…'}
+      </pre>
+    </details>
+  );
+});
+
+FileAttachment.displayName = 'FileAttachment';
+
+/**
+ * Images and files sent with a message
+ */
+const MessageAttachments = memo(({ attachments }) => (
+  <ul className="message-attachments" aria-label="Attachments">
+    {attachments.map(attachment => (
+      <li key={attachment.id}>
+        {attachment.type === 'image' ? (
+          <img
+            className="message-attachment"
+            src={toDataUrl(attachment)}
+            alt={attachment.name}
+            title={attachment.name}
+            loading="lazy"
+          />
+        ) : (
+          <FileAttachment attachment={attachment} />
+        )}
+      </li>
+    ))}
+  </ul>
+));
+
+MessageAttachments.displayName = 'MessageAttachments';
+
+/**
+ * Tool calls made while answering, one collapsible step each
+ * Shows exactly what was run and what came back
+ */
+const ToolSteps = memo(({ steps }) => {
+  const formatArgs = (args = {}) => Object.entries(args)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+    .join(', ');
+
+  return (
+    <ol className="message-tool-steps" aria-label="Tools used">
+      {steps.map((step, index) => (
+        <li key={index}>
+          <details className={`message-tool-step ${step.error ? 'failed' : ''}`}>
+            <summary className="message-tool-summary">
+              <span className="message-tool-call">
+                {step.name}({formatArgs(step.args)})
+              </span>
+              {step.durationMs != null && <span>{formatDuration(step.durationMs)}</span>}
+              {step.error && <span className="message-tool-status">failed</span>}
+            </summary>
+            <pre className="message-tool-output">
+              {step.error || JSON.stringify(step.result, null, 2)}
+            </pre>
+          </details>
+        </li>
+      ))}
+    </ol>
+  );
+});
+
+ToolSteps.displayName = 'ToolSteps';
+
+/**
+ * Notice for a prompt or response blocked by the model's safety filters
+ * Lists the category ratings so the user can see what triggered the block
+ */
+const SafetyNotice = memo(({ blocked }) => {
+  const { reason, source, safetyRatings = [] } = blocked;
+  const reasonLabel = reason ? reason.toLowerCase().replace(/_/g, ' ') : 'safety';
+  const flagged = (rating) =>
+    rating.blocked || SAFETY_CONFIG.PROBABILITIES.indexOf(rating.probability) >= 2;
+
+  return (
+    <div className="message-safety-notice" role="alert">
+      <p className="message-safety-title">
+        {source === 'prompt'
+          ? 'Your message was blocked before a response was generated'
+          : 'The response was withheld'}
+        <span className="message-safety-reason">{reasonLabel}</span>
+      </p>
+      {safetyRatings.length > 0 && (
+        <ul className="message-safety-ratings">
+          {safetyRatings.map(rating => (
+            <li
+              key={rating.category}
+              className={flagged(rating) ? 'flagged' : ''}
+            >
+              <span>{SAFETY_CONFIG.CATEGORIES[rating.category] || rating.category}</span>
+              <span className="message-safety-probability">
+                {(rating.probability || 'unknown').toLowerCase()}
+                {rating.blocked && ' · blocked'}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+SafetyNotice.displayName = 'SafetyNotice';
+
 /**
  * Main ChatMessage component
  */
-const ChatMessage = memo(({ message, showTimestamp = true, isStreaming = false }) => {
-  const { text, sender, timestamp, status } = message;
+const ChatMessage = memo(({
+  message,
+  showTimestamp = true,
+  isStreaming = false,
+  isEditing = false,
+  onStartEdit,
+  onCancelEdit,
+  onSubmitEdit,
+  canRegenerate = false,
+  onRegenerate,
+  onSelectVariant,
+}) => {
+  const { id, text, sender, timestamp, status, attachments, metadata, variants, variantIndex } = message;
   const isBot = sender === SENDER.BOT;
+  const canEdit = sender === SENDER.USER && Boolean(onStartEdit);
+  const showRegenerate = isBot && canRegenerate && Boolean(onRegenerate);
   const isError = status === MESSAGE_STATUS.ERROR;
+  const blocked = isBot ? metadata?.blocked : null;
+  const toolSteps = isBot ? metadata?.toolSteps : null;
 
   return (
     <div 
@@ -296,17 +644,75 @@ const ChatMessage = memo(({ message, showTimestamp = true, isStreaming = false }
             {isStreaming && (
               <span className="streaming-badge">Streaming...</span>
             )}
+            {isBot && variants?.length > 1 && onSelectVariant && (
+              <VariantPager
+                index={variantIndex}
+                count={variants.length}
+                onSelect={(index) => onSelectVariant(id, index)}
+              />
+            )}
+            {canEdit && !isEditing && (
+              <div className="message-actions">
+                <button
+                  type="button"
+                  className="message-action"
+                  onClick={() => onStartEdit(id)}
+                  aria-label="Edit message"
+                  title="Edit and regenerate from here"
+                >
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+                    <path d="M12 20h9" />
+                    <path d="M16.5 3.5a2.12 2.12 0 0 1 3 3L7 19l-4 1 1-4Z" />
+                  </svg>
+                  Edit
+                </button>
+              </div>
+            )}
+            {showRegenerate && (
+              <div className="message-actions">
+                <button
+                  type="button"
+                  className="message-action"
+                  onClick={() => onRegenerate(id)}
+                  aria-label="Regenerate response"
+                  title="Answer again with the same prompt and context"
+                >
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+                    <path d="M21 12a9 9 0 1 1-3-6.7L21 8" />
+                    <polyline points="21 3 21 8 16 8" />
+                  </svg>
+                  Regenerate
+                </button>
+              </div>
+            )}
           </div>
           
-          <MessageContent text={text} isBot={isBot} />
+          {toolSteps?.length > 0 && <ToolSteps steps={toolSteps} />}
+          
+          {attachments?.length > 0 && <MessageAttachments attachments={attachments} />}
+          
+          {isEditing ? (
+            <MessageEditor
+              initialText={text}
+              allowEmpty={attachments?.length > 0}
+              onSave={(value) => onSubmitEdit(id, value)}
+              onCancel={onCancelEdit}
+            />
+          ) : (
+            (text || (!blocked && !attachments?.length)) && <MessageContent text={text} isBot={isBot} />
+          )}
           
           {isStreaming && <StreamingCursor />}
           
-          {isError && (
+          {blocked && <SafetyNotice blocked={blocked} />}
+          
+          {isError && !blocked && (
             <div className="message-error-badge" role="alert">
               Failed to send
             </div>
           )}
+          
+          {isBot && metadata && !isStreaming && <MessageDetails metadata={metadata} />}
         </div>
       </div>
     </div>
@@ -322,9 +728,69 @@ ChatMessage.propTypes = {
     sender: PropTypes.oneOf([SENDER.USER, SENDER.BOT, SENDER.SYSTEM]).isRequired,
     timestamp: PropTypes.number,
     status: PropTypes.oneOf(Object.values(MESSAGE_STATUS)),
+    attachments: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      type: PropTypes.oneOf(['image', 'file']),
+      mimeType: PropTypes.string,
+      data: PropTypes.string,
+      text: PropTypes.string,
+      name: PropTypes.string,
+      size: PropTypes.number,
+      pages: PropTypes.number,
+    })),
+    metadata: PropTypes.shape({
+      provider: PropTypes.string,
+      model: PropTypes.string,
+      attempts: PropTypes.arrayOf(PropTypes.shape({
+        model: PropTypes.string,
+        type: PropTypes.string,
+        status: PropTypes.number,
+        message: PropTypes.string,
+      })),
+      usage: PropTypes.shape({
+        promptTokens: PropTypes.number,
+        outputTokens: PropTypes.number,
+        totalTokens: PropTypes.number,
+      }),
+      cost: PropTypes.number,
+      toolSteps: PropTypes.arrayOf(PropTypes.shape({
+        name: PropTypes.string.isRequired,
+        args: PropTypes.object,
+        result: PropTypes.any,
+        error: PropTypes.string,
+        durationMs: PropTypes.number,
+      })),
+      latencyMs: PropTypes.number,
+      firstTokenMs: PropTypes.number,
+      comparedModels: PropTypes.arrayOf(PropTypes.string),
+      generationConfig: PropTypes.object,
+      blocked: PropTypes.shape({
+        reason: PropTypes.string,
+        source: PropTypes.oneOf(['prompt', 'response']),
+        safetyRatings: PropTypes.arrayOf(PropTypes.shape({
+          category: PropTypes.string,
+          probability: PropTypes.string,
+          blocked: PropTypes.bool,
+        })),
+      }),
+    }),
+    variants: PropTypes.arrayOf(PropTypes.shape({
+      text: PropTypes.string.isRequired,
+      timestamp: PropTypes.number,
+      status: PropTypes.oneOf(Object.values(MESSAGE_STATUS)),
+      metadata: PropTypes.object,
+    })),
+    variantIndex: PropTypes.number,
   }).isRequired,
   showTimestamp: PropTypes.bool,
   isStreaming: PropTypes.bool,
+  isEditing: PropTypes.bool,
+  onStartEdit: PropTypes.func,
+  onCancelEdit: PropTypes.func,
+  onSubmitEdit: PropTypes.func,
+  canRegenerate: PropTypes.bool,
+  onRegenerate: PropTypes.func,
+  onSelectVariant: PropTypes.func,
 };
 
 export default ChatMessage;
@@ -5,12 +5,13 @@
  * Architecture:
  * - Uses useChat hook for state management with streaming support
  * - Uses useStickyScroll for smart auto-scroll during streaming
+ * - ConversationSidebar beside the chat lists saved conversations
  * - Composed of smaller, reusable components
  * - Supports accessibility and keyboard navigation
  * - Optimized for 60fps during streaming
  */
 
-import React, { memo, useCallback, useMemo, useEffect } from 'react';
+import React, { memo, useCallback, useMemo, useEffect, useRef, useState } from 'react';
 import { useChat, useStickyScroll } from '../../hooks';
 import ChatMessage from '../ChatMessage';
 import ChatInput from '../ChatInput';
@@ -18,7 +19,13 @@ import StreamingText from '../StreamingText';
 import TypingIndicator from '../TypingIndicator';
 import EmptyState from '../EmptyState';
 import ErrorBanner from '../ErrorBanner';
-import { SENDER } from '../../constants';
+import ContextNotice from '../ContextNotice';
+import GenerationSettings from '../GenerationSettings';
+import UsagePanel from '../UsagePanel';
+import ComparisonSettings from '../ComparisonSettings';
+import ModelComparison from '../ModelComparison';
+import ConversationSidebar from '../ConversationSidebar';
+import { SENDER, MESSAGE_STATUS } from '../../constants';
 import './Chatbot.css';
 
 /**
@@ -88,13 +95,29 @@ StreamingMessage.displayName = 'StreamingMessage';
 /**
  * Message list container - memoized to prevent re-renders during streaming
  */
-const MessageList = memo(({ messages }) => (
+const MessageList = memo(({
+  messages,
+  editingId,
+  regenerableId,
+  onStartEdit,
+  onCancelEdit,
+  onSubmitEdit,
+  onRegenerate,
+  onSelectVariant,
+}) => (
   <>
     {messages.map((message) => (
       <ChatMessage 
         key={message.id} 
         message={message}
         showTimestamp={true}
+        isEditing={message.id === editingId}
+        onStartEdit={onStartEdit}
+        onCancelEdit={onCancelEdit}
+        onSubmitEdit={onSubmitEdit}
+        canRegenerate={message.id === regenerableId}
+        onRegenerate={onRegenerate}
+        onSelectVariant={onSelectVariant}
       />
     ))}
   </>
@@ -102,6 +125,147 @@ const MessageList = memo(({ messages }) => (
 
 MessageList.displayName = 'MessageList';
 
+// Below this width the sidebar covers the chat, so it starts closed and closes after a pick
+const NARROW_SCREEN_QUERY = '(max-width: 768px)';
+const isNarrowScreen = () => window.matchMedia?.(NARROW_SCREEN_QUERY).matches ?? false;
+
+// Toolbar popovers; only one is open at a time
+const PANELS = {
+  SETTINGS: 'settings',
+  USAGE: 'usage',
+  COMPARE: 'compare',
+};
+
+/**
+ * Toolbar with chat-level controls
+ */
+const ChatToolbar = memo(({
+  isSidebarOpen,
+  onToggleSidebar,
+  openPanel,
+  hasOverrides,
+  isNearingBudget,
+  isComparing,
+  canExport,
+  onTogglePanel,
+  onExport,
+  onImport,
+}) => {
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = useCallback(async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (file) onImport(await file.text());
+  }, [onImport]);
+
+  return (
+    <div className="chat-toolbar">
+      <button
+        type="button"
+        className={`chat-toolbar-button ${isSidebarOpen ? 'active' : ''}`}
+        onClick={onToggleSidebar}
+        aria-expanded={isSidebarOpen}
+        aria-label="Conversations"
+        title="Conversations"
+      >
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+          <rect x="3" y="4" width="18" height="16" rx="2" />
+          <line x1="9" y1="4" x2="9" y2="20" />
+        </svg>
+      </button>
+      <button
+        type="button"
+        className={`chat-toolbar-button ${openPanel === PANELS.SETTINGS ? 'active' : ''}`}
+        onClick={() => onTogglePanel(PANELS.SETTINGS)}
+        aria-expanded={openPanel === PANELS.SETTINGS}
+        aria-label="Generation settings"
+        title="Generation settings"
+      >
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+          <line x1="4" y1="21" x2="4" y2="14" />
+          <line x1="4" y1="10" x2="4" y2="3" />
+          <line x1="12" y1="21" x2="12" y2="12" />
+          <line x1="12" y1="8" x2="12" y2="3" />
+          <line x1="20" y1="21" x2="20" y2="16" />
+          <line x1="20" y1="12" x2="20" y2="3" />
+          <line x1="1" y1="14" x2="7" y2="14" />
+          <line x1="9" y1="8" x2="15" y2="8" />
+          <line x1="17" y1="16" x2="23" y2="16" />
+        </svg>
+        {hasOverrides && <span className="chat-toolbar-dot" aria-label="This chat has custom settings" />}
+      </button>
+      <button
+        type="button"
+        className={`chat-toolbar-button ${openPanel === PANELS.USAGE ? 'active' : ''}`}
+        onClick={() => onTogglePanel(PANELS.USAGE)}
+        aria-expanded={openPanel === PANELS.USAGE}
+        aria-label="Usage"
+        title="Usage"
+      >
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+          <line x1="6" y1="20" x2="6" y2="14" />
+          <line x1="12" y1="20" x2="12" y2="4" />
+          <line x1="18" y1="20" x2="18" y2="10" />
+        </svg>
+        {isNearingBudget && (
+          <span className="chat-toolbar-dot warning" aria-label="Close to the daily budget" />
+        )}
+      </button>
+      <button
+        type="button"
+        className={`chat-toolbar-button ${openPanel === PANELS.COMPARE ? 'active' : ''}`}
+        onClick={() => onTogglePanel(PANELS.COMPARE)}
+        aria-expanded={openPanel === PANELS.COMPARE}
+        aria-label="Compare models"
+        title="Compare models"
+      >
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+          <rect x="3" y="4" width="7" height="16" rx="1" />
+          <rect x="14" y="4" width="7" height="16" rx="1" />
+        </svg>
+        {isComparing && <span className="chat-toolbar-dot" aria-label="Compare mode is on" />}
+      </button>
+      <button
+        type="button"
+        className="chat-toolbar-button"
+        onClick={onExport}
+        disabled={!canExport}
+        aria-label="Save conversation"
+        title="Save conversation"
+      >
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+          <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
+          <polyline points="7 10 12 15 17 10" />
+          <line x1="12" y1="15" x2="12" y2="3" />
+        </svg>
+      </button>
+      <button
+        type="button"
+        className="chat-toolbar-button"
+        onClick={() => fileInputRef.current?.click()}
+        aria-label="Open conversation"
+        title="Open conversation"
+      >
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+          <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
+          <polyline points="17 8 12 3 7 8" />
+          <line x1="12" y1="3" x2="12" y2="15" />
+        </svg>
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        onChange={handleFileChange}
+        hidden
+      />
+    </div>
+  );
+});
+
+ChatToolbar.displayName = 'ChatToolbar';
+
 /**
  * Main Chatbot Component
  */
@@ -110,7 +274,20 @@ const Chatbot = memo(() => {
     // State
     messages,
     error,
+    errorType,
     inputValue,
+    contextInfo,
+    retryStatus,
+    conversationId,
+    conversations,
+    titlePendingIds,
+    persona,
+    generationSettings,
+    usage,
+    inputTokens,
+    comparison,
+    attachments,
+    isProcessingAttachments,
     isConfigured,
     isLoading,
     isStreaming,
@@ -124,7 +301,29 @@ const Chatbot = memo(() => {
     // Actions
     sendMessage,
     handleInputChange,
+    trimInput,
+    addAttachments,
+    removeAttachment,
     retryLastMessage,
+    editLastPrompt,
+    editMessage,
+    regenerateResponse,
+    selectVariant,
+    sendAnyway,
+    clearMessages,
+    switchConversation,
+    renameConversation,
+    pinConversation,
+    archiveConversation,
+    duplicateConversation,
+    deleteConversation,
+    regenerateTitle,
+    cancelTitle,
+    updatePersona,
+    pickComparison,
+    discardComparison,
+    exportConversation,
+    importConversation,
     cancelStreaming,
     setError,
     setInputValue,
@@ -151,12 +350,78 @@ const Chatbot = memo(() => {
     }
   }, [streamingContent, scrollToBottom]);
 
+  // Follow the comparison columns while they stream
+  useEffect(() => {
+    if (comparison.isRunning) {
+      scrollToBottom();
+    }
+  }, [comparison.columns, comparison.isRunning, scrollToBottom]);
+
   // Handle quick action clicks from empty state
   const handleQuickAction = useCallback((prompt) => {
     setInputValue(prompt);
     inputRef.current?.focus();
   }, [setInputValue, inputRef]);
 
+  // User message open in the inline editor
+  const [editingId, setEditingId] = useState(null);
+  const cancelEdit = useCallback(() => setEditingId(null), []);
+
+  const submitEdit = useCallback((messageId, text) => {
+    setEditingId(null);
+    editMessage(messageId, text);
+  }, [editMessage]);
+
+  // Up in an empty input opens the last prompt for editing
+  const editLastMessage = useCallback(() => {
+    const lastPrompt = messages.findLast(msg => msg.sender === SENDER.USER);
+    if (lastPrompt) setEditingId(lastPrompt.id);
+    return Boolean(lastPrompt);
+  }, [messages]);
+
+  // Only the latest reply can be regenerated, and not while another is on its way
+  const regenerableId = useMemo(() => {
+    const last = messages[messages.length - 1];
+    const isReply = last?.sender === SENDER.BOT && !last.metadata?.isWelcome
+      && (last.status !== MESSAGE_STATUS.ERROR || Boolean(last.metadata?.blocked));
+    return isReply && !isLoading && messages.some(msg => msg.sender === SENDER.USER) ? last.id : null;
+  }, [messages, isLoading]);
+
+  // An editor left open doesn't follow the user to another conversation
+  useEffect(() => {
+    setEditingId(null);
+  }, [conversationId]);
+
+  const [isSidebarOpen, setIsSidebarOpen] = useState(() => !isNarrowScreen());
+  const toggleSidebar = useCallback(() => setIsSidebarOpen(open => !open), []);
+  const closeSidebar = useCallback(() => setIsSidebarOpen(false), []);
+
+  const handleSelectConversation = useCallback((id) => {
+    switchConversation(id);
+    if (isNarrowScreen()) closeSidebar();
+  }, [switchConversation, closeSidebar]);
+
+  const handleNewConversation = useCallback(() => {
+    clearMessages();
+    if (isNarrowScreen()) closeSidebar();
+    inputRef.current?.focus();
+  }, [clearMessages, closeSidebar, inputRef]);
+
+  const [openPanel, setOpenPanel] = useState(null);
+  const togglePanel = useCallback((panel) => setOpenPanel(open => (open === panel ? null : panel)), []);
+  const closePanel = useCallback(() => setOpenPanel(null), []);
+
+  // Download the conversation in the format the CLI reads and writes
+  const handleExport = useCallback(() => {
+    const blob = new Blob([exportConversation()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `jarvis-conversation-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }, [exportConversation]);
+
   // Dismiss error
   const handleDismissError = useCallback(() => {
     setError(null);
@@ -170,60 +435,168 @@ const Chatbot = memo(() => {
   const memoizedMessages = useMemo(() => messages, [messages]);
 
   return (
-    <div 
-      className="chatbot-container"
-      role="region"
-      aria-label="JARVIS AI Chat"
-    >
-      <ArcReactor />
-      
-      {error && (
-        <ErrorBanner 
-          message={error}
-          onDismiss={handleDismissError}
-          onRetry={retryLastMessage}
+    <div className="chatbot-layout">
+      {isSidebarOpen && (
+        <ConversationSidebar
+          conversations={conversations}
+          activeId={conversationId}
+          onSelect={handleSelectConversation}
+          onNew={handleNewConversation}
+          onRename={renameConversation}
+          onPin={pinConversation}
+          onArchive={archiveConversation}
+          onDuplicate={duplicateConversation}
+          onDelete={deleteConversation}
+          titlePendingIds={titlePendingIds}
+          onRegenerateTitle={regenerateTitle}
+          onCancelTitle={cancelTitle}
+          onClose={closeSidebar}
         />
       )}
       
-      <main className="chat-main">
-        {showEmptyState && (
-          <EmptyState 
-            onActionClick={handleQuickAction}
-            isConfigured={isConfigured}
+      <div 
+        className="chatbot-container"
+        role="region"
+        aria-label="JARVIS AI Chat"
+      >
+        <ArcReactor />
+        
+        <ChatToolbar
+          isSidebarOpen={isSidebarOpen}
+          onToggleSidebar={toggleSidebar}
+          openPanel={openPanel}
+          hasOverrides={Object.keys(generationSettings.overrides).length > 0 || Boolean(persona)}
+          isNearingBudget={usage.budget.nearing}
+          isComparing={comparison.isEnabled}
+          canExport={messages.some(msg => !msg.metadata?.isWelcome)}
+          onTogglePanel={togglePanel}
+          onExport={handleExport}
+          onImport={importConversation}
+        />
+        
+        {openPanel === PANELS.SETTINGS && (
+          <GenerationSettings
+            defaults={generationSettings.defaults}
+            overrides={generationSettings.overrides}
+            onUpdateDefaults={generationSettings.updateDefaults}
+            onUpdateOverrides={generationSettings.updateOverrides}
+            safety={generationSettings.safety}
+            onUpdateSafety={generationSettings.updateSafety}
+            persona={persona}
+            onUpdatePersona={updatePersona}
+            onResetDefaults={generationSettings.resetDefaults}
+            onResetOverrides={generationSettings.resetOverrides}
+            onClose={closePanel}
           />
         )}
         
-        {showMessages && (
-          <div 
-            ref={containerRef}
-            className="chat-messages" 
-            role="log" 
-            aria-live="polite"
-            aria-label="Chat messages"
-          >
-            <MessageList messages={memoizedMessages} />
-            
-            {/* Isolated streaming message for performance */}
-            <StreamingMessage content={streamingContent} />
-            
-            {/* Loading indicator (non-streaming fallback) */}
-            {isLoading && !isStreaming && <TypingIndicator />}
-          </div>
+        {openPanel === PANELS.COMPARE && (
+          <ComparisonSettings
+            enabled={comparison.enabled}
+            availableModels={comparison.availableModels}
+            selectedModels={comparison.selectedModels}
+            onSetEnabled={comparison.setEnabled}
+            onToggleModel={comparison.toggleModel}
+            onAddModel={comparison.addModel}
+            onClose={closePanel}
+          />
         )}
         
-        {!showMessages && isLoading && <TypingIndicator />}
-      </main>
-      
-      <ChatInput
-        value={inputValue}
-        onChange={handleInputChange}
-        onSubmit={sendMessage}
-        onCancel={isStreaming ? cancelStreaming : undefined}
-        isLoading={isLoading}
-        isStreaming={isStreaming}
-        isDisabled={!isConfigured}
-        inputRef={inputRef}
-      />
+        {openPanel === PANELS.USAGE && (
+          <UsagePanel
+            conversation={usage.conversation}
+            today={usage.today}
+            history={usage.history}
+            budget={usage.budget}
+            dailyBudget={usage.dailyBudget}
+            onSetDailyBudget={usage.setDailyBudget}
+            onReset={usage.resetUsage}
+            onClose={closePanel}
+          />
+        )}
+        
+        {error && (
+          <ErrorBanner 
+            message={error}
+            type={errorType}
+            onDismiss={handleDismissError}
+            onRetry={retryLastMessage}
+            onEditPrompt={editLastPrompt}
+            onNewChat={clearMessages}
+            onSendAnyway={sendAnyway}
+          />
+        )}
+        
+        <main className="chat-main">
+          {showEmptyState && (
+            <EmptyState 
+              onActionClick={handleQuickAction}
+              isConfigured={isConfigured}
+            />
+          )}
+          
+          {showMessages && (
+            <div 
+              ref={containerRef}
+              className="chat-messages" 
+              role="log" 
+              aria-live="polite"
+              aria-label="Chat messages"
+            >
+              <ContextNotice 
+                summarizedCount={contextInfo.summarizedCount}
+                summary={contextInfo.summary}
+              />
+              
+              <MessageList
+                messages={memoizedMessages}
+                editingId={editingId}
+                onStartEdit={setEditingId}
+                onCancelEdit={cancelEdit}
+                onSubmitEdit={submitEdit}
+                regenerableId={regenerableId}
+                onRegenerate={regenerateResponse}
+                onSelectVariant={selectVariant}
+              />
+              
+              {/* Isolated streaming message for performance */}
+              <StreamingMessage content={streamingContent} />
+              
+              <ModelComparison
+                columns={comparison.columns}
+                onCancel={comparison.cancelColumn}
+                onPick={pickComparison}
+                onDiscard={discardComparison}
+              />
+              
+              {/* Loading indicator until the first token (shows retry progress) */}
+              {isLoading && !streamingContent && !comparison.isActive && (
+                <TypingIndicator retryStatus={retryStatus} />
+              )}
+            </div>
+          )}
+          
+          {!showMessages && isLoading && <TypingIndicator />}
+        </main>
+        
+        <ChatInput
+          value={inputValue}
+          onChange={handleInputChange}
+          onSubmit={sendMessage}
+          onCancel={isStreaming ? cancelStreaming : undefined}
+          isLoading={isLoading}
+          isStreaming={isStreaming}
+          isDisabled={!isConfigured}
+          inputRef={inputRef}
+          tokenInfo={inputTokens}
+          onTrim={trimInput}
+          attachments={attachments}
+          isProcessingAttachments={isProcessingAttachments}
+          onAddFiles={addAttachments}
+          onRemoveAttachment={removeAttachment}
+          onEditLast={editLastMessage}
+        />
+      </div>
     </div>
   );
 });
@@ -0,0 +1,114 @@
+/**
+ * ComparisonSettings Component
+ * Turns compare mode on and picks the models that answer side by side
+ */
+
+import React, { memo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { COMPARISON_CONFIG } from '../../constants';
+import './ComparisonSettings.css';
+
+/**
+ * Main ComparisonSettings component
+ */
+const ComparisonSettings = memo(({
+  enabled,
+  availableModels,
+  selectedModels,
+  onSetEnabled,
+  onToggleModel,
+  onAddModel,
+  onClose,
+}) => {
+  const [draft, setDraft] = useState('');
+  const isFull = selectedModels.length >= COMPARISON_CONFIG.MAX_MODELS;
+  const tooFew = selectedModels.length < COMPARISON_CONFIG.MIN_MODELS;
+
+  const addDraft = () => {
+    onAddModel(draft);
+    setDraft('');
+  };
+
+  return (
+    <section className="comparison-settings" aria-label="Compare models">
+      <header className="comparison-settings-header">
+        <h2 className="comparison-settings-title">Compare models</h2>
+        {onClose && (
+          <button
+            type="button"
+            className="comparison-settings-close"
+            onClick={onClose}
+            aria-label="Close model comparison settings"
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        )}
+      </header>
+
+      <label className="comparison-settings-toggle">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => onSetEnabled(e.target.checked)}
+        />
+        Send each message to all selected models
+      </label>
+
+      <fieldset className="comparison-settings-models">
+        <legend>
+          Models <span className="comparison-settings-note">
+            {COMPARISON_CONFIG.MIN_MODELS}–{COMPARISON_CONFIG.MAX_MODELS}
+          </span>
+        </legend>
+        {availableModels.map(model => (
+          <label key={model} className="comparison-settings-model">
+            <input
+              type="checkbox"
+              checked={selectedModels.includes(model)}
+              disabled={isFull && !selectedModels.includes(model)}
+              onChange={() => onToggleModel(model)}
+            />
+            <span>{model}</span>
+          </label>
+        ))}
+        <div className="comparison-settings-add">
+          <input
+            type="text"
+            value={draft}
+            placeholder="Other model name"
+            aria-label="Other model name"
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && addDraft()}
+            disabled={isFull}
+          />
+          <button type="button" onClick={addDraft} disabled={isFull || !draft.trim()}>
+            Add
+          </button>
+        </div>
+      </fieldset>
+
+      <p className="comparison-settings-note">
+        {enabled && tooFew
+          ? `Select at least ${COMPARISON_CONFIG.MIN_MODELS} models to compare.`
+          : 'Every selected model answers (and is billed for) the prompt; fallbacks are not used.'}
+      </p>
+    </section>
+  );
+});
+
+ComparisonSettings.displayName = 'ComparisonSettings';
+
+ComparisonSettings.propTypes = {
+  enabled: PropTypes.bool.isRequired,
+  availableModels: PropTypes.arrayOf(PropTypes.string).isRequired,
+  selectedModels: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onSetEnabled: PropTypes.func.isRequired,
+  onToggleModel: PropTypes.func.isRequired,
+  onAddModel: PropTypes.func.isRequired,
+  onClose: PropTypes.func,
+};
+
+export default ComparisonSettings;
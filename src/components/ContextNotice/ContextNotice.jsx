@@ -0,0 +1,50 @@
+/**
+ * ContextNotice Component
+ * Tells the user when older turns were condensed to fit the context window
+ */
+
+import React, { memo } from 'react';
+import PropTypes from 'prop-types';
+import './ContextNotice.css';
+
+const ContextNotice = memo(({ summarizedCount = 0, summary = null }) => {
+  if (!summarizedCount) return null;
+
+  const label = `${summarizedCount} earlier message${summarizedCount === 1 ? '' : 's'}`;
+
+  return (
+    <div className="context-notice" role="note">
+      <details className="context-notice-details">
+        <summary className="context-notice-summary">
+          <svg 
+            className="context-notice-icon"
+            viewBox="0 0 24 24" 
+            fill="none" 
+            stroke="currentColor" 
+            strokeWidth="2"
+            aria-hidden="true"
+          >
+            <polyline points="21 8 21 21 3 21 3 8" />
+            <rect x="1" y="3" width="22" height="5" />
+            <line x1="10" y1="12" x2="14" y2="12" />
+          </svg>
+          {summary
+            ? `${label} condensed into a summary to fit the context window`
+            : `${label} left out to fit the context window`}
+        </summary>
+        {summary && (
+          <p className="context-notice-text">{summary}</p>
+        )}
+      </details>
+    </div>
+  );
+});
+
+ContextNotice.displayName = 'ContextNotice';
+
+ContextNotice.propTypes = {
+  summarizedCount: PropTypes.number,
+  summary: PropTypes.string,
+};
+
+export default ContextNotice;
@@ -0,0 +1,290 @@
+/**
+ * ConversationSidebar Component
+ * Saved conversations: open, create, rename, retitle, pin, duplicate, archive and delete
+ */
+
+import React, { memo, useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { formatTimestamp } from '../../utils/helpers';
+import './ConversationSidebar.css';
+
+/**
+ * Time of day for today's conversations, the date otherwise
+ * @private
+ */
+const formatUpdatedAt = (timestamp) => {
+  const isToday = new Date(timestamp).toDateString() === new Date().toDateString();
+  return formatTimestamp(timestamp, isToday ? 'time' : 'date');
+};
+
+/**
+ * Small icon button for an item action
+ */
+const ActionButton = ({ label, onClick, children }) => (
+  <button
+    type="button"
+    className="conversation-action"
+    onClick={onClick}
+    aria-label={label}
+    title={label}
+  >
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+      {children}
+    </svg>
+  </button>
+);
+
+/**
+ * One conversation with its actions; renaming and delete confirmation happen in place
+ */
+const ConversationItem = memo(({
+  conversation,
+  isActive,
+  isTitlePending,
+  onSelect,
+  onRename,
+  onRegenerateTitle,
+  onCancelTitle,
+  onPin,
+  onArchive,
+  onDuplicate,
+  onDelete,
+}) => {
+  const [mode, setMode] = useState(null);
+  const [title, setTitle] = useState(conversation.title);
+  const { id, pinned, archived } = conversation;
+
+  const startRename = () => {
+    setTitle(conversation.title);
+    setMode('rename');
+  };
+
+  const commitRename = () => {
+    setMode(null);
+    if (title.trim() && title.trim() !== conversation.title) onRename(id, title);
+  };
+
+  if (mode === 'rename') {
+    return (
+      <li className={`conversation-item renaming ${isActive ? 'active' : ''}`}>
+        <input
+          className="conversation-rename"
+          value={title}
+          aria-label="Conversation title"
+          autoFocus
+          onChange={(e) => setTitle(e.target.value)}
+          onBlur={commitRename}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') commitRename();
+            if (e.key === 'Escape') setMode(null);
+          }}
+        />
+      </li>
+    );
+  }
+
+  if (mode === 'delete') {
+    return (
+      <li className={`conversation-item confirming ${isActive ? 'active' : ''}`}>
+        <span className="conversation-confirm-text">Delete “{conversation.title}”?</span>
+        <div className="conversation-confirm-actions">
+          <button type="button" className="conversation-confirm danger" onClick={() => onDelete(id)}>
+            Delete
+          </button>
+          <button type="button" className="conversation-confirm" onClick={() => setMode(null)} autoFocus>
+            Cancel
+          </button>
+        </div>
+      </li>
+    );
+  }
+
+  return (
+    <li className={`conversation-item ${isActive ? 'active' : ''}`}>
+      <button
+        type="button"
+        className="conversation-open"
+        onClick={() => onSelect(id)}
+        aria-current={isActive ? 'page' : undefined}
+        title={conversation.summary ? `${conversation.title}\n${conversation.summary}` : conversation.title}
+      >
+        <span className="conversation-title">{conversation.title}</span>
+        {conversation.summary && <span className="conversation-summary">{conversation.summary}</span>}
+        <span className="conversation-meta">
+          {isTitlePending ? 'Generating title…' : formatUpdatedAt(conversation.updatedAt)}
+        </span>
+      </button>
+      <div className="conversation-actions">
+        {!archived && (
+          <ActionButton label={pinned ? 'Unpin' : 'Pin'} onClick={() => onPin(id, !pinned)}>
+            <line x1="12" y1="17" x2="12" y2="22" />
+            <path d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24Z" />
+          </ActionButton>
+        )}
+        <ActionButton label="Rename" onClick={startRename}>
+          <path d="M12 20h9" />
+          <path d="M16.5 3.5a2.12 2.12 0 0 1 3 3L7 19l-4 1 1-4Z" />
+        </ActionButton>
+        {isTitlePending ? (
+          <ActionButton label="Stop generating title" onClick={() => onCancelTitle(id)}>
+            <rect x="6" y="6" width="12" height="12" rx="1" />
+          </ActionButton>
+        ) : (
+          <ActionButton label="Regenerate title" onClick={() => onRegenerateTitle(id)}>
+            <path d="M21 12a9 9 0 1 1-3-6.7L21 8" />
+            <polyline points="21 3 21 8 16 8" />
+          </ActionButton>
+        )}
+        <ActionButton label="Duplicate" onClick={() => onDuplicate(id)}>
+          <rect x="9" y="9" width="13" height="13" rx="2" />
+          <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1" />
+        </ActionButton>
+        <ActionButton label={archived ? 'Unarchive' : 'Archive'} onClick={() => onArchive(id, !archived)}>
+          <rect x="2" y="3" width="20" height="5" rx="1" />
+          <path d="M4 8v11a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8" />
+          <line x1="10" y1="12" x2="14" y2="12" />
+        </ActionButton>
+        <ActionButton label="Delete" onClick={() => setMode('delete')}>
+          <polyline points="3 6 5 6 21 6" />
+          <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6" />
+          <path d="M10 11v6M14 11v6M9 6V4h6v2" />
+        </ActionButton>
+      </div>
+    </li>
+  );
+});
+
+ConversationItem.displayName = 'ConversationItem';
+
+/**
+ * Main ConversationSidebar component
+ */
+const ConversationSidebar = memo(({
+  conversations,
+  activeId,
+  onSelect,
+  onNew,
+  onRename,
+  onPin,
+  onArchive,
+  onDuplicate,
+  onDelete,
+  titlePendingIds = [],
+  onRegenerateTitle,
+  onCancelTitle,
+  onClose,
+}) => {
+  const [showArchived, setShowArchived] = useState(false);
+
+  const sections = useMemo(() => ({
+    pinned: conversations.filter(conversation => conversation.pinned && !conversation.archived),
+    recent: conversations.filter(conversation => !conversation.pinned && !conversation.archived),
+    archived: conversations.filter(conversation => conversation.archived),
+  }), [conversations]);
+
+  const renderList = (items, label) => (
+    <ul className="conversation-list" aria-label={label}>
+      {items.map(conversation => (
+        <ConversationItem
+          key={conversation.id}
+          conversation={conversation}
+          isActive={conversation.id === activeId}
+          isTitlePending={titlePendingIds.includes(conversation.id)}
+          onSelect={onSelect}
+          onRename={onRename}
+          onRegenerateTitle={onRegenerateTitle}
+          onCancelTitle={onCancelTitle}
+          onPin={onPin}
+          onArchive={onArchive}
+          onDuplicate={onDuplicate}
+          onDelete={onDelete}
+        />
+      ))}
+    </ul>
+  );
+
+  return (
+    <nav className="conversation-sidebar" aria-label="Conversations">
+      <header className="conversation-sidebar-header">
+        <h2 className="conversation-sidebar-title">Conversations</h2>
+        <button type="button" className="conversation-new" onClick={onNew}>
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+            <line x1="12" y1="5" x2="12" y2="19" />
+            <line x1="5" y1="12" x2="19" y2="12" />
+          </svg>
+          New chat
+        </button>
+        {onClose && (
+          <button
+            type="button"
+            className="conversation-sidebar-close"
+            onClick={onClose}
+            aria-label="Close conversations"
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        )}
+      </header>
+
+      <div className="conversation-sidebar-body">
+        {sections.pinned.length > 0 && (
+          <section className="conversation-section">
+            <h3 className="conversation-section-title">Pinned</h3>
+            {renderList(sections.pinned, 'Pinned conversations')}
+          </section>
+        )}
+
+        <section className="conversation-section">
+          {sections.pinned.length > 0 && <h3 className="conversation-section-title">Recent</h3>}
+          {sections.recent.length > 0
+            ? renderList(sections.recent, 'Recent conversations')
+            : <p className="conversation-empty">No saved conversations yet.</p>}
+        </section>
+
+        {sections.archived.length > 0 && (
+          <section className="conversation-section">
+            <button
+              type="button"
+              className="conversation-section-toggle"
+              onClick={() => setShowArchived(show => !show)}
+              aria-expanded={showArchived}
+            >
+              Archived ({sections.archived.length})
+            </button>
+            {showArchived && renderList(sections.archived, 'Archived conversations')}
+          </section>
+        )}
+      </div>
+    </nav>
+  );
+});
+
+ConversationSidebar.displayName = 'ConversationSidebar';
+
+ConversationSidebar.propTypes = {
+  conversations: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    summary: PropTypes.string,
+    updatedAt: PropTypes.oneOfType([PropTypes.number, PropTypes.instanceOf(Date)]).isRequired,
+    pinned: PropTypes.bool,
+    archived: PropTypes.bool,
+  })).isRequired,
+  activeId: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+  onNew: PropTypes.func.isRequired,
+  onRename: PropTypes.func.isRequired,
+  onPin: PropTypes.func.isRequired,
+  onArchive: PropTypes.func.isRequired,
+  onDuplicate: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  titlePendingIds: PropTypes.arrayOf(PropTypes.string),
+  onRegenerateTitle: PropTypes.func.isRequired,
+  onCancelTitle: PropTypes.func.isRequired,
+  onClose: PropTypes.func,
+};
+
+export default ConversationSidebar;
@@ -66,6 +66,10 @@ const EmptyState = memo(({ onActionClick, isConfigured = true }) => {
         <div className="empty-state-instructions">
           <code>VITE_GEMINI_API_KEY=your_api_key</code>
           <p>Add this to your <code>.env.local</code> file</p>
+          <p>
+            No key yet? Set <code>VITE_AI_PROVIDER=mock</code> to develop offline
+            with scripted responses.
+          </p>
         </div>
         <a 
           href="https://makersuite.google.com/app/apikey" 
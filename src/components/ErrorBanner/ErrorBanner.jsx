@@ -1,15 +1,39 @@
 /**
  * ErrorBanner Component
- * Displays error messages with dismiss functionality
+ * Displays error messages with a recovery action suited to the error type
  */
 
 import React, { memo } from 'react';
 import PropTypes from 'prop-types';
+import { ERROR_TYPES } from '../../constants';
 import './ErrorBanner.css';
 
-const ErrorBanner = memo(({ message, onDismiss, onRetry }) => {
+const API_KEY_URL = 'https://makersuite.google.com/app/apikey';
+
+// Recovery action per error type; `handler` names the prop that performs it
+const RECOVERY_ACTIONS = {
+  [ERROR_TYPES.API_KEY_MISSING]: { label: 'Get API key', href: API_KEY_URL },
+  [ERROR_TYPES.API_KEY_INVALID]: { label: 'Get API key', href: API_KEY_URL },
+  [ERROR_TYPES.QUOTA_EXCEEDED]: { label: 'Try again', handler: 'onRetry' },
+  [ERROR_TYPES.RATE_LIMITED]: { label: 'Retry', handler: 'onRetry' },
+  [ERROR_TYPES.NETWORK_ERROR]: { label: 'Retry', handler: 'onRetry' },
+  [ERROR_TYPES.TIMEOUT]: { label: 'Retry', handler: 'onRetry' },
+  [ERROR_TYPES.SERVER_ERROR]: { label: 'Retry', handler: 'onRetry' },
+  [ERROR_TYPES.SAFETY_BLOCKED]: { label: 'Rephrase', handler: 'onEditPrompt' },
+  [ERROR_TYPES.CONTEXT_TOO_LONG]: { label: 'New chat', handler: 'onNewChat' },
+  [ERROR_TYPES.MODEL_NOT_FOUND]: { label: 'Retry', handler: 'onRetry' },
+  [ERROR_TYPES.BUDGET_EXCEEDED]: { label: 'Send anyway', handler: 'onSendAnyway' },
+  [ERROR_TYPES.UNKNOWN]: { label: 'Retry', handler: 'onRetry' },
+};
+
+const DEFAULT_ACTION = { label: 'Retry', handler: 'onRetry' };
+
+const ErrorBanner = memo(({ message, type, onDismiss, ...handlers }) => {
   if (!message) return null;
 
+  const action = RECOVERY_ACTIONS[type] || DEFAULT_ACTION;
+  const onAction = action.handler ? handlers[action.handler] : null;
+
   return (
     <div 
       className="error-banner" 
@@ -32,13 +56,23 @@ const ErrorBanner = memo(({ message, onDismiss, onRetry }) => {
         <span className="error-message">{message}</span>
       </div>
       <div className="error-banner-actions">
-        {onRetry && (
+        {action.href && (
+          <a 
+            className="error-action retry"
+            href={action.href}
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            {action.label}
+          </a>
+        )}
+        {onAction && (
           <button 
             className="error-action retry"
-            onClick={onRetry}
-            aria-label="Retry"
+            onClick={onAction}
+            aria-label={action.label}
           >
-            Retry
+            {action.label}
           </button>
         )}
         {onDismiss && (
@@ -62,8 +96,12 @@ ErrorBanner.displayName = 'ErrorBanner';
 
 ErrorBanner.propTypes = {
   message: PropTypes.string,
+  type: PropTypes.oneOf(Object.values(ERROR_TYPES)),
   onDismiss: PropTypes.func,
   onRetry: PropTypes.func,
+  onEditPrompt: PropTypes.func,
+  onNewChat: PropTypes.func,
+  onSendAnyway: PropTypes.func,
 };
 
 export default ErrorBanner;
@@ -0,0 +1,293 @@
+/**
+ * GenerationSettings Component
+ * Panel for generation parameters, scoped to this chat or to all chats,
+ * plus this chat's persona and global safety thresholds
+ */
+
+import React, { memo, useState, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { GENERATION_CONFIG, SAFETY_CONFIG } from '../../constants';
+import './GenerationSettings.css';
+
+const SCOPE = {
+  CONVERSATION: 'conversation',
+  DEFAULTS: 'defaults',
+};
+
+// Numeric parameters in display order
+const NUMBER_FIELDS = [
+  { key: 'temperature', label: 'Temperature', hint: 'Higher values give more varied answers' },
+  { key: 'topP', label: 'Top P', hint: 'Sample only from the most likely tokens covering this probability' },
+  { key: 'topK', label: 'Top K', hint: 'Sample only from this many most likely tokens' },
+  { key: 'maxOutputTokens', label: 'Max output tokens', hint: 'Stop the response after this many tokens' },
+  { key: 'candidateCount', label: 'Candidates', hint: 'Responses generated per non-streamed request; unused for streamed replies' },
+];
+
+/**
+ * Number input that commits on blur or Enter, so partial input like "0." is not clamped mid-typing
+ * Remounted (via key) whenever the committed value changes
+ */
+const NumberField = memo(({ field, value, placeholder, onCommit }) => {
+  const [draft, setDraft] = useState(value ?? '');
+  const limits = GENERATION_CONFIG.LIMITS[field.key];
+  const id = `generation-${field.key}`;
+
+  const commit = () => {
+    const next = draft === '' ? null : Number(draft);
+    if (next !== (value ?? null)) onCommit(field.key, next);
+  };
+
+  return (
+    <div className="generation-field">
+      <label htmlFor={id} title={field.hint}>{field.label}</label>
+      <input
+        id={id}
+        type="number"
+        inputMode="decimal"
+        min={limits.min}
+        max={limits.max}
+        step={limits.step}
+        value={draft}
+        placeholder={placeholder}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === 'Enter' && commit()}
+      />
+    </div>
+  );
+});
+
+NumberField.displayName = 'NumberField';
+
+/**
+ * Stop sequences, one per line
+ */
+const StopSequencesField = memo(({ value = [], placeholder, onCommit }) => {
+  const [draft, setDraft] = useState(value.join('\n'));
+
+  const commit = () => {
+    const next = draft.split('\n').filter(Boolean);
+    if (next.join('\n') !== value.join('\n')) onCommit('stopSequences', next);
+  };
+
+  return (
+    <div className="generation-field generation-field-wide">
+      <label htmlFor="generation-stopSequences">
+        Stop sequences
+        <span className="generation-field-note">
+          {' '}one per line, up to {GENERATION_CONFIG.MAX_STOP_SEQUENCES}
+        </span>
+      </label>
+      <textarea
+        id="generation-stopSequences"
+        rows={2}
+        value={draft}
+        placeholder={placeholder}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+      />
+    </div>
+  );
+});
+
+StopSequencesField.displayName = 'StopSequencesField';
+
+/**
+ * System prompt for this chat; empty keeps the JARVIS persona
+ */
+const PersonaField = memo(({ value, onCommit }) => {
+  const [draft, setDraft] = useState(value || '');
+
+  const commit = () => {
+    if (draft.trim() !== (value || '').trim()) onCommit(draft);
+  };
+
+  return (
+    <div className="generation-field generation-field-wide">
+      <label htmlFor="generation-persona">
+        Persona
+        <span className="generation-field-note"> system prompt for this chat</span>
+      </label>
+      <textarea
+        id="generation-persona"
+        rows={3}
+        value={draft}
+        placeholder="JARVIS (default)"
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+      />
+    </div>
+  );
+});
+
+PersonaField.displayName = 'PersonaField';
+
+/**
+ * Blocking threshold per harm category; unset categories use the API default
+ */
+const SafetyFields = memo(({ safety, onChange }) => (
+  <fieldset className="generation-safety">
+    <legend>Safety filters</legend>
+    {Object.entries(SAFETY_CONFIG.CATEGORIES).map(([category, label]) => (
+      <div key={category} className="generation-field generation-safety-field">
+        <label htmlFor={`safety-${category}`}>{label}</label>
+        <select
+          id={`safety-${category}`}
+          value={safety[category] || ''}
+          onChange={(e) => onChange({ [category]: e.target.value || null })}
+        >
+          <option value="">Default</option>
+          {Object.entries(SAFETY_CONFIG.THRESHOLDS).map(([threshold, thresholdLabel]) => (
+            <option key={threshold} value={threshold}>{thresholdLabel}</option>
+          ))}
+        </select>
+      </div>
+    ))}
+  </fieldset>
+));
+
+SafetyFields.displayName = 'SafetyFields';
+
+/**
+ * Main GenerationSettings component
+ */
+const GenerationSettings = memo(({
+  defaults,
+  overrides,
+  safety = {},
+  persona = null,
+  onUpdatePersona,
+  onUpdateDefaults,
+  onUpdateOverrides,
+  onUpdateSafety,
+  onResetDefaults,
+  onResetOverrides,
+  onClose,
+}) => {
+  const [scope, setScope] = useState(SCOPE.CONVERSATION);
+  const isConversation = scope === SCOPE.CONVERSATION;
+  const values = isConversation ? overrides : defaults;
+  const hasValues = Object.keys(values).length > 0
+    || (!isConversation && Object.keys(safety).length > 0);
+
+  const handleCommit = useCallback((key, value) => {
+    const update = isConversation ? onUpdateOverrides : onUpdateDefaults;
+    update({ [key]: value });
+  }, [isConversation, onUpdateOverrides, onUpdateDefaults]);
+
+  // Conversation fields show the inherited default as their placeholder
+  const placeholderFor = (key) => {
+    const inherited = isConversation ? defaults[key] : undefined;
+    if (Array.isArray(inherited)) return inherited.length ? inherited.join('\n') : 'None';
+    return inherited != null ? String(inherited) : 'Model default';
+  };
+
+  return (
+    <section className="generation-settings" aria-label="Generation settings">
+      <header className="generation-settings-header">
+        <div className="generation-scope" role="tablist" aria-label="Settings scope">
+          <button
+            type="button"
+            role="tab"
+            aria-selected={isConversation}
+            className={`generation-scope-tab ${isConversation ? 'active' : ''}`}
+            onClick={() => setScope(SCOPE.CONVERSATION)}
+          >
+            This chat
+          </button>
+          <button
+            type="button"
+            role="tab"
+            aria-selected={!isConversation}
+            className={`generation-scope-tab ${!isConversation ? 'active' : ''}`}
+            onClick={() => setScope(SCOPE.DEFAULTS)}
+          >
+            Defaults
+          </button>
+        </div>
+        {onClose && (
+          <button
+            type="button"
+            className="generation-settings-close"
+            onClick={onClose}
+            aria-label="Close settings"
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        )}
+      </header>
+
+      <p className="generation-settings-description">
+        {isConversation
+          ? 'Overrides for this chat only. Empty fields use your defaults.'
+          : 'Used by every chat. Empty fields use the model\'s own defaults.'}
+      </p>
+
+      <div className="generation-fields">
+        {isConversation && onUpdatePersona && (
+          <PersonaField key={`persona-${persona ?? ''}`} value={persona} onCommit={onUpdatePersona} />
+        )}
+        {NUMBER_FIELDS.map(field => (
+          <NumberField
+            key={`${scope}-${field.key}-${values[field.key] ?? ''}`}
+            field={field}
+            value={values[field.key]}
+            placeholder={placeholderFor(field.key)}
+            onCommit={handleCommit}
+          />
+        ))}
+        <StopSequencesField
+          key={`${scope}-stop-${(values.stopSequences || []).join('\n')}`}
+          value={values.stopSequences}
+          placeholder={placeholderFor('stopSequences')}
+          onCommit={handleCommit}
+        />
+      </div>
+
+      {!isConversation && onUpdateSafety && (
+        <SafetyFields safety={safety} onChange={onUpdateSafety} />
+      )}
+
+      <footer className="generation-settings-footer">
+        <button
+          type="button"
+          className="generation-reset"
+          onClick={isConversation ? onResetOverrides : onResetDefaults}
+          disabled={!hasValues}
+        >
+          {isConversation ? 'Clear overrides' : 'Reset defaults'}
+        </button>
+      </footer>
+    </section>
+  );
+});
+
+GenerationSettings.displayName = 'GenerationSettings';
+
+const generationConfigShape = PropTypes.shape({
+  temperature: PropTypes.number,
+  topP: PropTypes.number,
+  topK: PropTypes.number,
+  maxOutputTokens: PropTypes.number,
+  stopSequences: PropTypes.arrayOf(PropTypes.string),
+  candidateCount: PropTypes.number,
+});
+
+GenerationSettings.propTypes = {
+  defaults: generationConfigShape.isRequired,
+  overrides: generationConfigShape.isRequired,
+  safety: PropTypes.objectOf(PropTypes.string),
+  persona: PropTypes.string,
+  onUpdatePersona: PropTypes.func,
+  onUpdateDefaults: PropTypes.func.isRequired,
+  onUpdateOverrides: PropTypes.func.isRequired,
+  onUpdateSafety: PropTypes.func,
+  onResetDefaults: PropTypes.func.isRequired,
+  onResetOverrides: PropTypes.func.isRequired,
+  onClose: PropTypes.func,
+};
+
+export default GenerationSettings;
@@ -0,0 +1,167 @@
+/**
+ * ModelComparison Component
+ * Answers from several models to the same prompt, streamed side by side
+ *
+ * Each column shows its model, timings and token counts; it can be stopped on
+ * its own, and picking an answer continues the conversation with it.
+ */
+
+import React, { memo } from 'react';
+import PropTypes from 'prop-types';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import StreamingText from '../StreamingText';
+import { COMPARISON_STATUS } from '../../constants';
+import { formatDuration, formatTokenCount, formatCost } from '../../utils/helpers';
+import './ModelComparison.css';
+
+const STATUS_LABELS = {
+  [COMPARISON_STATUS.STREAMING]: 'Streaming',
+  [COMPARISON_STATUS.DONE]: 'Done',
+  [COMPARISON_STATUS.ERROR]: 'Failed',
+  [COMPARISON_STATUS.CANCELLED]: 'Stopped',
+};
+
+/**
+ * Timings, tokens and cost of one answer
+ */
+const ColumnStats = memo(({ info }) => {
+  if (!info) return null;
+  const { firstTokenMs, latencyMs, usage, cost } = info;
+
+  return (
+    <dl className="comparison-stats">
+      {firstTokenMs != null && (
+        <>
+          <dt>First token</dt>
+          <dd>{formatDuration(firstTokenMs)}</dd>
+        </>
+      )}
+      {latencyMs != null && (
+        <>
+          <dt>Total</dt>
+          <dd>{formatDuration(latencyMs)}</dd>
+        </>
+      )}
+      {usage && (
+        <>
+          <dt>Tokens</dt>
+          <dd>{formatTokenCount(usage.promptTokens)} in · {formatTokenCount(usage.outputTokens)} out</dd>
+        </>
+      )}
+      {cost != null && (
+        <>
+          <dt>Est. cost</dt>
+          <dd>{formatCost(cost)}</dd>
+        </>
+      )}
+    </dl>
+  );
+});
+
+ColumnStats.displayName = 'ColumnStats';
+
+/**
+ * One model's answer
+ */
+const ComparisonColumn = memo(({ column, onCancel, onPick }) => {
+  const { id, model, text, status, info, error } = column;
+  const isStreaming = status === COMPARISON_STATUS.STREAMING;
+  const canPick = !isStreaming && Boolean(text.trim());
+
+  return (
+    <article className={`comparison-column ${status}`} aria-label={`Answer from ${model}`} aria-busy={isStreaming}>
+      <header className="comparison-column-header">
+        <span className="comparison-column-model">{model}</span>
+        <span className="comparison-column-status">{STATUS_LABELS[status]}</span>
+      </header>
+
+      <div className="comparison-column-body">
+        {isStreaming ? (
+          text ? <StreamingText text={text} /> : <span className="comparison-column-waiting">Waiting for the first token…</span>
+        ) : (
+          text && <ReactMarkdown remarkPlugins={[remarkGfm]}>{text}</ReactMarkdown>
+        )}
+        {error && <p className="comparison-column-error" role="alert">{error.message}</p>}
+      </div>
+
+      <footer className="comparison-column-footer">
+        <ColumnStats info={info} />
+        {isStreaming ? (
+          <button type="button" className="comparison-button" onClick={() => onCancel(id)}>
+            Stop
+          </button>
+        ) : (
+          <button
+            type="button"
+            className="comparison-button primary"
+            onClick={() => onPick(id)}
+            disabled={!canPick}
+          >
+            Use this answer
+          </button>
+        )}
+      </footer>
+    </article>
+  );
+});
+
+ComparisonColumn.displayName = 'ComparisonColumn';
+
+/**
+ * Main ModelComparison component
+ */
+const ModelComparison = memo(({ columns, onCancel, onPick, onDiscard }) => {
+  if (columns.length === 0) return null;
+
+  return (
+    <section className="model-comparison" aria-label="Model comparison">
+      <header className="model-comparison-header">
+        <span>Comparing {columns.length} models · pick the answer to continue with</span>
+        <button type="button" className="comparison-button" onClick={onDiscard}>
+          Discard
+        </button>
+      </header>
+      <div className="model-comparison-columns" style={{ '--comparison-columns': columns.length }}>
+        {columns.map(column => (
+          <ComparisonColumn
+            key={column.id}
+            column={column}
+            onCancel={onCancel}
+            onPick={onPick}
+          />
+        ))}
+      </div>
+    </section>
+  );
+});
+
+ModelComparison.displayName = 'ModelComparison';
+
+ModelComparison.propTypes = {
+  columns: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    model: PropTypes.string.isRequired,
+    text: PropTypes.string.isRequired,
+    status: PropTypes.oneOf(Object.values(COMPARISON_STATUS)).isRequired,
+    info: PropTypes.shape({
+      firstTokenMs: PropTypes.number,
+      latencyMs: PropTypes.number,
+      usage: PropTypes.shape({
+        promptTokens: PropTypes.number,
+        outputTokens: PropTypes.number,
+        totalTokens: PropTypes.number,
+      }),
+      cost: PropTypes.number,
+    }),
+    error: PropTypes.shape({
+      type: PropTypes.string,
+      message: PropTypes.string,
+    }),
+  })).isRequired,
+  onCancel: PropTypes.func.isRequired,
+  onPick: PropTypes.func.isRequired,
+  onDiscard: PropTypes.func.isRequired,
+};
+
+export default ModelComparison;
@@ -1,12 +1,38 @@
 /**
  * TypingIndicator Component
  * JARVIS-themed animated thinking indicator
+ * Shows a retry countdown while the provider backs off after a transient error
  */
 
-import React, { memo } from 'react';
+import React, { memo, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
 import './TypingIndicator.css';
 
-const TypingIndicator = memo(() => (
+/**
+ * Live "retrying in Ns (attempt x/y)" status line
+ */
+const RetryCountdown = memo(({ retryStatus }) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(intervalId);
+  }, [retryStatus]);
+
+  const secondsLeft = Math.max(0, Math.ceil((retryStatus.retryAt - now) / 1000));
+
+  return (
+    <span className="typing-retry" role="status">
+      {secondsLeft > 0 ? `Retrying in ${secondsLeft}s` : 'Retrying now'}
+      {` (attempt ${retryStatus.attempt}/${retryStatus.maxAttempts})`}
+      {retryStatus.model && <span className="typing-retry-model"> · {retryStatus.model}</span>}
+    </span>
+  );
+});
+
+RetryCountdown.displayName = 'RetryCountdown';
+
+const TypingIndicator = memo(({ retryStatus = null }) => (
   <div 
     className="typing-indicator-wrapper"
     role="status"
@@ -20,6 +46,7 @@ const TypingIndicator = memo(() => (
       </div>
       <div className="typing-content">
         <span className="typing-label">JARVIS is processing</span>
+        {retryStatus && <RetryCountdown retryStatus={retryStatus} />}
         <div className="typing-dots" aria-hidden="true">
           <span></span>
           <span></span>
@@ -32,4 +59,13 @@ const TypingIndicator = memo(() => (
 
 TypingIndicator.displayName = 'TypingIndicator';
 
+TypingIndicator.propTypes = {
+  retryStatus: PropTypes.shape({
+    attempt: PropTypes.number.isRequired,
+    maxAttempts: PropTypes.number.isRequired,
+    retryAt: PropTypes.number.isRequired,
+    model: PropTypes.string,
+  }),
+};
+
 export default TypingIndicator;
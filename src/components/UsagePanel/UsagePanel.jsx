@@ -0,0 +1,190 @@
+/**
+ * UsagePanel Component
+ * Token usage and estimated cost for this chat, today and recent days,
+ * with the soft daily budget
+ */
+
+import React, { memo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { formatTokenCount, formatCost } from '../../utils/helpers';
+import './UsagePanel.css';
+
+/**
+ * Totals for one scope (this chat or today)
+ */
+const UsageSummary = memo(({ label, totals }) => (
+  <div className="usage-summary">
+    <span className="usage-summary-label">{label}</span>
+    <span className="usage-summary-cost">{formatCost(totals.cost)}</span>
+    <span className="usage-summary-tokens">
+      {formatTokenCount(totals.promptTokens)} in · {formatTokenCount(totals.outputTokens)} out
+    </span>
+    <span className="usage-summary-requests">
+      {totals.requests} response{totals.requests === 1 ? '' : 's'}
+    </span>
+  </div>
+));
+
+UsageSummary.displayName = 'UsageSummary';
+
+/**
+ * Daily budget input and progress
+ * Commits on blur or Enter; remounted (via key) when the saved budget changes
+ */
+const BudgetField = memo(({ budget, dailyBudget, onCommit }) => {
+  const [draft, setDraft] = useState(dailyBudget ? String(dailyBudget) : '');
+  const state = budget.exceeded ? 'exceeded' : budget.nearing ? 'nearing' : '';
+
+  const commit = () => {
+    const next = draft === '' ? 0 : Math.max(0, Number(draft));
+    if (Number.isFinite(next) && next !== dailyBudget) onCommit(next);
+  };
+
+  return (
+    <div className="usage-budget">
+      <label htmlFor="usage-daily-budget">Daily budget (USD)</label>
+      <input
+        id="usage-daily-budget"
+        type="number"
+        inputMode="decimal"
+        min={0}
+        step={0.5}
+        value={draft}
+        placeholder="No limit"
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === 'Enter' && commit()}
+      />
+      {budget.budget > 0 && (
+        <>
+          <div
+            className={`usage-budget-bar ${state}`}
+            role="progressbar"
+            aria-label="Daily budget used"
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={Math.round(Math.min(budget.ratio, 1) * 100)}
+          >
+            <span style={{ width: `${Math.min(budget.ratio, 1) * 100}%` }} />
+          </div>
+          <span className={`usage-budget-note ${state}`}>
+            {formatCost(budget.spent)} of {formatCost(budget.budget)} used today
+          </span>
+        </>
+      )}
+    </div>
+  );
+});
+
+BudgetField.displayName = 'BudgetField';
+
+/**
+ * Main UsagePanel component
+ */
+const UsagePanel = memo(({
+  conversation,
+  today,
+  history,
+  budget,
+  dailyBudget,
+  onSetDailyBudget,
+  onReset,
+  onClose,
+}) => {
+  const hasUsage = history.some(day => day.requests > 0);
+
+  return (
+    <section className="usage-panel" aria-label="Usage">
+      <header className="usage-panel-header">
+        <h2 className="usage-panel-title">Usage</h2>
+        {onClose && (
+          <button
+            type="button"
+            className="usage-panel-close"
+            onClick={onClose}
+            aria-label="Close usage"
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        )}
+      </header>
+
+      <div className="usage-summaries">
+        <UsageSummary label="This chat" totals={conversation} />
+        <UsageSummary label="Today" totals={today} />
+      </div>
+
+      <BudgetField
+        key={dailyBudget}
+        budget={budget}
+        dailyBudget={dailyBudget}
+        onCommit={onSetDailyBudget}
+      />
+
+      <table className="usage-history">
+        <caption>Last {history.length} days</caption>
+        <tbody>
+          {history.map(day => (
+            <tr key={day.day}>
+              <th scope="row">{day.day}</th>
+              <td>{formatTokenCount(day.totalTokens)} tokens</td>
+              <td>{formatCost(day.cost)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <p className="usage-panel-note">
+        Costs are estimates from the model price table. Models without a price count tokens only.
+      </p>
+
+      <footer className="usage-panel-footer">
+        <button
+          type="button"
+          className="usage-reset"
+          onClick={onReset}
+          disabled={!hasUsage}
+        >
+          Reset usage
+        </button>
+      </footer>
+    </section>
+  );
+});
+
+UsagePanel.displayName = 'UsagePanel';
+
+const totalsShape = PropTypes.shape({
+  promptTokens: PropTypes.number.isRequired,
+  outputTokens: PropTypes.number.isRequired,
+  totalTokens: PropTypes.number.isRequired,
+  cost: PropTypes.number.isRequired,
+  requests: PropTypes.number.isRequired,
+});
+
+UsagePanel.propTypes = {
+  conversation: totalsShape.isRequired,
+  today: totalsShape.isRequired,
+  history: PropTypes.arrayOf(PropTypes.shape({
+    day: PropTypes.string.isRequired,
+    totalTokens: PropTypes.number.isRequired,
+    cost: PropTypes.number.isRequired,
+    requests: PropTypes.number.isRequired,
+  })).isRequired,
+  budget: PropTypes.shape({
+    budget: PropTypes.number,
+    spent: PropTypes.number,
+    ratio: PropTypes.number,
+    nearing: PropTypes.bool,
+    exceeded: PropTypes.bool,
+  }).isRequired,
+  dailyBudget: PropTypes.number,
+  onSetDailyBudget: PropTypes.func.isRequired,
+  onReset: PropTypes.func.isRequired,
+  onClose: PropTypes.func,
+};
+
+export default UsagePanel;
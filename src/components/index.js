@@ -9,3 +9,9 @@ export { default as ChatInput } from './ChatInput';
 export { default as TypingIndicator } from './TypingIndicator';
 export { default as EmptyState } from './EmptyState';
 export { default as ErrorBanner } from './ErrorBanner';
+export { default as ContextNotice } from './ContextNotice';
+export { default as GenerationSettings } from './GenerationSettings';
+export { default as UsagePanel } from './UsagePanel';
+export { default as ComparisonSettings } from './ComparisonSettings';
+export { default as ModelComparison } from './ModelComparison';
+export { default as ConversationSidebar } from './ConversationSidebar';
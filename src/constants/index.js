@@ -45,6 +45,13 @@ export const ERROR_TYPES = {
   QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
   NETWORK_ERROR: 'NETWORK_ERROR',
   RATE_LIMITED: 'RATE_LIMITED',
+  TIMEOUT: 'TIMEOUT',
+  SAFETY_BLOCKED: 'SAFETY_BLOCKED',
+  MODEL_NOT_FOUND: 'MODEL_NOT_FOUND',
+  CONTEXT_TOO_LONG: 'CONTEXT_TOO_LONG',
+  SERVER_ERROR: 'SERVER_ERROR',
+  BUDGET_EXCEEDED: 'BUDGET_EXCEEDED',
+  TOOL_LIMIT: 'TOOL_LIMIT',
   UNKNOWN: 'UNKNOWN',
 };
 
@@ -55,6 +62,13 @@ export const ERROR_MESSAGES = {
   [ERROR_TYPES.QUOTA_EXCEEDED]: 'API quota exceeded. Please try again later.',
   [ERROR_TYPES.NETWORK_ERROR]: 'Network error. Please check your connection.',
   [ERROR_TYPES.RATE_LIMITED]: 'Too many requests. Please slow down.',
+  [ERROR_TYPES.TIMEOUT]: 'The response took too long. Please try again.',
+  [ERROR_TYPES.SAFETY_BLOCKED]: 'The response was blocked by safety filters. Try rephrasing your message.',
+  [ERROR_TYPES.MODEL_NOT_FOUND]: 'The selected model is not available. Check the model name in your configuration.',
+  [ERROR_TYPES.CONTEXT_TOO_LONG]: 'This conversation is too long for the model. Start a new chat or shorten your message.',
+  [ERROR_TYPES.SERVER_ERROR]: 'The AI service is having trouble right now. Please try again in a moment.',
+  [ERROR_TYPES.BUDGET_EXCEEDED]: 'You have reached your daily spending budget.',
+  [ERROR_TYPES.TOOL_LIMIT]: 'JARVIS used too many tools without reaching an answer. Try a more specific question.',
   [ERROR_TYPES.UNKNOWN]: 'An unexpected error occurred. Please try again.',
 };
 
@@ -79,6 +93,7 @@ export const KEYBOARD_SHORTCUTS = {
   SEND_MESSAGE: 'Enter',
   NEW_LINE: 'Shift+Enter',
   CLEAR_INPUT: 'Escape',
+  EDIT_LAST_PROMPT: 'ArrowUp', // In an empty input
 };
 
 // Animation durations (in ms)
@@ -91,8 +106,34 @@ export const ANIMATIONS = {
 // Local storage keys
 export const STORAGE_KEYS = {
   CHAT_HISTORY: 'jarvis_chat_history',
+  ACTIVE_CONVERSATION: 'jarvis_active_conversation',
   USER_PREFERENCES: 'jarvis_preferences',
   THEME: 'jarvis_theme',
+  USAGE: 'jarvis_usage',
+};
+
+// Conversation storage
+// Conversations live in IndexedDB; where it's unavailable they fall back to
+// localStorage under STORAGE_KEYS.CHAT_HISTORY
+export const CHAT_STORAGE_CONFIG = {
+  DB_NAME: 'jarvis',
+  DB_VERSION: 2,
+  STORE_NAME: 'conversations',
+  ENTRY_STORE_NAME: 'conversationEntries', // Sidebar entries, so listing skips messages and images
+  SAVE_DELAY: 1000,            // Debounce between a message list change and the write (ms)
+  URL_PARAM: 'chat',           // Query parameter holding the open conversation's id
+};
+
+// Generated conversation titles and summaries
+// Asked for in the background after a conversation's first exchange; the
+// request only sees the opening turns and has a small output budget
+export const TITLE_CONFIG = {
+  MAX_INPUT_CHARS: 2000,       // Transcript characters sent (opening turns, truncated)
+  MAX_MESSAGE_CHARS: 600,      // Characters kept from each message
+  MAX_OUTPUT_TOKENS: 256,      // Leaves room for thinking models; replies are ~40 tokens
+  TEMPERATURE: 0.3,
+  TITLE_LENGTH: 60,
+  SUMMARY_LENGTH: 160,
 };
 
 // API configuration
@@ -100,13 +141,153 @@ export const STORAGE_KEYS = {
 export const API_CONFIG = {
   MODEL: 'gemini-2.5-flash',
   FALLBACK_MODELS: ['gemini-2.5-flash-lite', 'gemini-flash-lite-latest'],
-  MAX_RETRIES: 3,
-  RETRY_DELAY: 1000,
-  TIMEOUT: 30000,
+  MAX_RETRIES: 3,              // Retries per model after the first attempt
+  RETRY_DELAY: 1000,           // Base delay for exponential backoff (ms)
+  MAX_RETRY_DELAY: 30000,      // Longest single wait; longer Retry-After values fall back instead
+  TIMEOUT: 30000,              // Time to first token before an attempt is abandoned (ms)
+  TOTAL_TIMEOUT: 120000,       // Longest a single response may take end to end (ms)
+  // Token limits per model (input context window / max output)
+  MODEL_LIMITS: {
+    'gemini-2.5-flash': { inputTokens: 1048576, outputTokens: 65536 },
+    'gemini-2.5-flash-lite': { inputTokens: 1048576, outputTokens: 65536 },
+    'gemini-flash-lite-latest': { inputTokens: 1048576, outputTokens: 65536 },
+  },
+  // Used for models missing from MODEL_LIMITS
+  DEFAULT_MODEL_LIMITS: { inputTokens: 32768, outputTokens: 8192 },
+};
+
+// OpenAI-compatible endpoint defaults (llama.cpp, vLLM, gateways)
+// Overridden by VITE_OPENAI_* environment variables
+export const OPENAI_CONFIG = {
+  BASE_URL: 'http://localhost:8080/v1',
+  MODEL: 'gpt-4o-mini',
+  FALLBACK_MODELS: [],
+  // Ask for token counts at the end of a stream (`stream_options.include_usage`)
+  // Turn off for servers that reject the field
+  STREAM_USAGE: true,
+};
+
+// JARVIS proxy server (server/), which holds the Gemini key
+// Overridden by VITE_PROXY_* environment variables; models default to API_CONFIG
+export const PROXY_CONFIG = {
+  BASE_URL: '/api',
+};
+
+// Ollama daemon defaults for fully local models
+// Overridden by VITE_OLLAMA_* environment variables
+export const OLLAMA_CONFIG = {
+  BASE_URL: 'http://localhost:11434',
+  MODEL: 'llama3.2',
+  FALLBACK_MODELS: [],
+};
+
+// Conversation context budgeting
+export const CONTEXT_CONFIG = {
+  HISTORY_BUDGET_RATIO: 0.5,   // Share of the model's input window given to history
+  MAX_HISTORY_TOKENS: 32000,   // Hard cap so long chats stay fast and cheap
+  MIN_RECENT_MESSAGES: 6,      // Always sent verbatim, never summarized
+  CHARS_PER_TOKEN: 4,          // Local estimator ratio
+};
+
+// Generation parameters (Gemini `generationConfig`, mapped for other providers)
+// Parameters the user leaves unset are omitted so the model's own defaults apply
+export const GENERATION_CONFIG = {
+  LIMITS: {
+    temperature: { min: 0, max: 2, step: 0.05 },
+    topP: { min: 0, max: 1, step: 0.01 },
+    topK: { min: 1, max: 100, step: 1 },
+    maxOutputTokens: { min: 1, max: 65536, step: 1 },
+    candidateCount: { min: 1, max: 8, step: 1 },
+  },
+  MAX_STOP_SEQUENCES: 5,
+  // Per-conversation overrides kept for this many recent conversations
+  MAX_CONVERSATION_OVERRIDES: 50,
+};
+
+// Token usage and cost estimates
+// PRICES are USD per million tokens; VITE_MODEL_PRICES (JSON) adds or replaces entries.
+// Models without a price are still counted, just without a cost
+export const USAGE_CONFIG = {
+  PRICES: {
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+    'gemini-flash-lite-latest': { input: 0.10, output: 0.40 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  },
+  DAILY_BUDGET: 0,             // Soft daily limit in USD, 0 to disable (VITE_DAILY_BUDGET)
+  BUDGET_WARNING_RATIO: 0.8,   // Share of the budget at which the usage panel turns amber
+  MAX_DAYS: 30,                // Daily totals kept
+  MAX_CONVERSATIONS: 50,       // Conversation totals kept (most recently used)
+};
+
+// Gemini safety filters, configurable per harm category
+// Categories left unset use the API's default threshold
+export const SAFETY_CONFIG = {
+  CATEGORIES: {
+    HARM_CATEGORY_HARASSMENT: 'Harassment',
+    HARM_CATEGORY_HATE_SPEECH: 'Hate speech',
+    HARM_CATEGORY_SEXUALLY_EXPLICIT: 'Sexually explicit',
+    HARM_CATEGORY_DANGEROUS_CONTENT: 'Dangerous content',
+    HARM_CATEGORY_CIVIC_INTEGRITY: 'Civic integrity',
+  },
+  THRESHOLDS: {
+    BLOCK_NONE: 'Block none',
+    BLOCK_ONLY_HIGH: 'Block few',
+    BLOCK_MEDIUM_AND_ABOVE: 'Block some',
+    BLOCK_LOW_AND_ABOVE: 'Block most',
+  },
+  // Probabilities reported in safety ratings, lowest to highest
+  PROBABILITIES: ['NEGLIGIBLE', 'LOW', 'MEDIUM', 'HIGH'],
+};
+
+// Function calling
+// Tools are local functions the model may call (see services/toolRegistry)
+export const TOOL_CONFIG = {
+  MAX_STEPS: 5,                // Model turns that may request tools before the answer is abandoned
+};
+
+// Model comparison
+// One prompt is streamed to each selected model in parallel; the chosen answer continues the chat
+export const COMPARISON_CONFIG = {
+  MIN_MODELS: 2,
+  MAX_MODELS: 4,
+};
+
+// State of one model's answer in a comparison
+export const COMPARISON_STATUS = {
+  STREAMING: 'streaming',
+  DONE: 'done',
+  ERROR: 'error',
+  CANCELLED: 'cancelled',
+};
+
+// Attachments
+// Images are downscaled in the browser and sent inline (base64) with the prompt.
+// Text, code and PDF files are read locally and sent as delimited text
+export const ATTACHMENT_CONFIG = {
+  IMAGE_TYPES: ['image/png', 'image/jpeg', 'image/webp', 'image/gif', 'image/heic', 'image/heif'],
+  TEXT_EXTENSIONS: [
+    'txt', 'md', 'markdown', 'csv', 'tsv', 'json', 'jsonl', 'yaml', 'yml', 'toml', 'ini', 'xml', 'log',
+    'html', 'css', 'scss', 'js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'vue', 'svelte', 'py', 'rb', 'php',
+    'go', 'rs', 'java', 'kt', 'swift', 'scala', 'c', 'h', 'cpp', 'hpp', 'cs', 'lua', 'r', 'sql',
+    'sh', 'bash', 'zsh', 'ps1', 'dockerfile', 'gradle', 'graphql', 'proto', 'tf',
+  ],
+  MAX_IMAGES: 6,               // Per message
+  MAX_FILES: 10,               // Text and PDF files per message
+  MAX_FILE_SIZE: 20 * 1024 * 1024, // Largest image or PDF accepted (bytes)
+  MAX_TEXT_FILE_SIZE: 2 * 1024 * 1024, // Largest text file accepted (bytes)
+  PREVIEW_LINES: 40,           // Lines shown when expanding a file in a message
+  MAX_DIMENSION: 1536,         // Longest side after downscaling (px)
+  JPEG_QUALITY: 0.85,          // Re-encoding quality for photos
+  TILE_SIZE: 768,              // Gemini bills larger images per tile of this size (px)
+  TOKENS_PER_TILE: 258,
 };
 
 // Input validation
+// Length is limited by the active model's input window (API_CONFIG.MODEL_LIMITS), not characters
 export const INPUT_VALIDATION = {
-  MAX_LENGTH: 10000,
   MIN_LENGTH: 1,
+  WARNING_RATIO: 0.8,          // Share of the input limit at which the counter warns
+  EXACT_COUNT_RATIO: 0.5,      // Above this share, drafts are counted by the provider, not estimated
+  COUNT_DEBOUNCE: 400,         // Pause in typing before an exact count is requested (ms)
 };
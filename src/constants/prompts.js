@@ -3,6 +3,8 @@
  * Centralized prompts for consistent AI behavior
  */
 
+import { SENDER, MESSAGE_STATUS } from './index';
+
 /**
  * JARVIS System Instruction
  * Defines the AI's core personality and behavior
@@ -51,12 +53,168 @@ export const getSystemPrompt = () => {
 };
 
 // Context-aware prompt builders
-// eslint-disable-next-line no-unused-vars
-export const buildContextualPrompt = (userMessage, _conversationHistory = []) => {
-  // For now, just return the user message
-  // This can be extended to include conversation context for multi-turn conversations
-  // _conversationHistory is prefixed with underscore to indicate intentionally unused
-  return userMessage;
+
+/**
+ * Check whether a message should be sent to the model as conversation context
+ * Errors, system notices and the canned welcome messages are UI-only
+ * @param {Object} message - Message object from createMessage
+ * @returns {boolean}
+ */
+export const isContextMessage = (message) => {
+  if (!message?.text?.trim() && !message?.attachments?.length) return false;
+  if (message.sender !== SENDER.USER && message.sender !== SENDER.BOT) return false;
+  if (message.status === MESSAGE_STATUS.ERROR) return false;
+  return !message.metadata?.isWelcome;
+};
+
+/**
+ * Wrap an attached file's text in delimiters the model can't confuse with the message
+ * @param {Object} file - File attachment (`{ name, text, pages }`)
+ * @returns {string}
+ */
+export const formatFileContext = ({ name, text, pages }) => {
+  const safeName = String(name).replace(/"/g, "'");
+  const pageInfo = pages ? ` pages="${pages}"` : '';
+  return `<file name="${safeName}"${pageInfo}>\n${text}\n</file>`;
+};
+
+/**
+ * Convert message text and attachments into Gemini content parts
+ * Files come first as delimited text, so the message can refer to them
+ * @param {string} text - Message text (omitted when empty)
+ * @param {Array} attachments - Attachments from createImageAttachment / createFileAttachment
+ * @returns {Array<{text: string}|{inlineData: {mimeType: string, data: string}}>}
+ */
+export const toMessageParts = (text, attachments = []) => [
+  ...attachments
+    .filter(attachment => attachment.type === 'file')
+    .map(file => ({ text: formatFileContext(file) })),
+  ...(text ? [{ text }] : []),
+  ...attachments
+    .filter(attachment => attachment.type === 'image')
+    .map(({ mimeType, data }) => ({ inlineData: { mimeType, data } })),
+];
+
+/**
+ * Convert chat messages into Gemini chat history
+ * Consecutive turns from the same role are merged, and leading model turns
+ * are dropped because Gemini requires history to start with a user turn.
+ * Image attachments are sent as `inlineData` parts.
+ * @param {Array} conversationHistory - Messages preceding the current prompt
+ * @returns {Array<{role: string, parts: Array}>}
+ */
+export const buildChatHistory = (conversationHistory = []) => {
+  const history = [];
+
+  for (const message of conversationHistory) {
+    if (!isContextMessage(message)) continue;
+
+    const role = message.sender === SENDER.USER ? 'user' : 'model';
+    const previous = history[history.length - 1];
+
+    if (!previous && role !== 'user') continue;
+
+    const parts = toMessageParts(message.text, message.attachments);
+    if (previous?.role === role) {
+      previous.parts.push(...parts);
+    } else {
+      history.push({ role, parts });
+    }
+  }
+
+  return history;
+};
+
+/**
+ * Instruction used to condense older turns into a running summary
+ * @param {string|null} previousSummary - Summary produced on an earlier pass
+ * @param {string} transcript - Older turns being folded into the summary
+ */
+export const buildSummaryPrompt = (previousSummary, transcript) => `Condense the conversation below into a compact summary that preserves facts, decisions, code identifiers, open questions and user preferences. Write it as neutral notes, not as a reply. Keep it under 250 words.
+${previousSummary ? `\nExisting summary of even earlier turns:\n${previousSummary}\n` : ''}
+Conversation:
+${transcript}`;
+
+/**
+ * Instruction used to name a conversation for the sidebar
+ * @param {string} transcript - Opening turns of the conversation
+ */
+export const buildTitlePrompt = (transcript) => `Give the conversation below a short title and a one-line summary. Reply in exactly this format and nothing else:
+Title: <3 to 6 words, no quotes, no trailing period>
+Summary: <one sentence of at most 25 words>
+
+Conversation:
+${transcript}`;
+
+/**
+ * Build the request payload for a multi-turn exchange
+ * @param {string} userMessage - Current user prompt
+ * @param {Array} conversationHistory - Messages preceding the current prompt
+ * @param {Object} options - Additional options
+ * @param {string} options.contextSummary - Summary of turns no longer sent verbatim
+ * @param {Array} options.attachments - Images sent with the prompt
+ * @returns {{history: Array, message: string|Array}} - The message is plain text,
+ *   or content parts when images are attached
+ */
+export const buildContextualPrompt = (userMessage, conversationHistory = [], options = {}) => {
+  const history = buildChatHistory(conversationHistory);
+  let parts = toMessageParts(userMessage, options.attachments);
+
+  if (options.contextSummary) {
+    history.unshift(
+      { role: 'user', parts: [{ text: `Summary of our earlier conversation:\n${options.contextSummary}` }] },
+      { role: 'model', parts: [{ text: 'Understood. I have the earlier context.' }] },
+    );
+  }
+
+  // Gemini expects alternating roles, so an unanswered user turn
+  // (e.g. after a cancelled or failed request) is merged into the prompt
+  const last = history[history.length - 1];
+  if (last?.role === 'user') {
+    history.pop();
+    parts = [...last.parts, ...parts];
+  }
+
+  const texts = parts.filter(part => part.text != null).map(part => part.text);
+  const images = parts.filter(part => part.inlineData);
+  const text = texts.join('\n\n');
+  const message = images.length > 0 ? [...(text ? [{ text }] : []), ...images] : text;
+
+  return { history, message };
+};
+
+/**
+ * Split content parts into text and images
+ * @private
+ */
+const toChatMessage = (role, parts) => {
+  const images = parts.filter(part => part.inlineData).map(part => part.inlineData);
+  return {
+    role,
+    content: parts.filter(part => part.text != null).map(part => part.text).join('\n\n'),
+    ...(images.length > 0 && { images }),
+  };
+};
+
+/**
+ * Build role/content chat messages (OpenAI and Ollama format)
+ * Includes the system prompt and the same multi-turn context as Gemini.
+ * Images are listed separately for each provider to encode in its own format
+ * @param {string} userMessage - Current user prompt
+ * @param {Array} conversationHistory - Messages preceding the current prompt
+ * @param {Object} options - Options forwarded to buildContextualPrompt
+ * @returns {Array<{role: string, content: string, images?: Array<{mimeType: string, data: string}>}>}
+ */
+export const buildChatMessages = (userMessage, conversationHistory = [], options = {}) => {
+  const { history, message } = buildContextualPrompt(userMessage, conversationHistory, options);
+  const messages = [{ role: 'system', content: getSystemPrompt() }];
+
+  for (const turn of history) {
+    messages.push(toChatMessage(turn.role === 'model' ? 'assistant' : 'user', turn.parts));
+  }
+
+  messages.push(toChatMessage('user', Array.isArray(message) ? message : [{ text: message }]));
+  return messages;
 };
 
 // Specialized prompt templates
@@ -7,3 +7,11 @@ export { useChat } from './useChat';
 export { useLocalStorage } from './useLocalStorage';
 export { useAutoResize } from './useAutoResize';
 export { useStickyScroll } from './useStickyScroll';
+export { useGenerationSettings } from './useGenerationSettings';
+export { useUsage } from './useUsage';
+export { useInputTokens } from './useInputTokens';
+export { useAttachments } from './useAttachments';
+export { useComparison } from './useComparison';
+export { useConversationStorage } from './useConversationStorage';
+export { useConversations } from './useConversations';
+export { useConversationTitles } from './useConversationTitles';
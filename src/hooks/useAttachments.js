@@ -0,0 +1,94 @@
+/**
+ * useAttachments Hook
+ * Images and files staged in the input before a message is sent
+ */
+
+import { useState, useCallback, useMemo } from 'react';
+import { ATTACHMENT_CONFIG } from '../constants';
+import { readAttachmentFile, getAttachmentKind } from '../services/attachments';
+
+// Per-message limits by attachment type
+const LIMITS = {
+  image: { max: ATTACHMENT_CONFIG.MAX_IMAGES, label: 'images' },
+  file: { max: ATTACHMENT_CONFIG.MAX_FILES, label: 'files' },
+};
+
+/**
+ * Custom hook for pending attachments
+ * @returns {Object} - `{ attachments, isProcessing, addFiles, removeAttachment, replaceAttachments,
+ *   clearAttachments }`
+ */
+export const useAttachments = () => {
+  const [attachments, setAttachments] = useState([]);
+  const [processingCount, setProcessingCount] = useState(0);
+
+  /**
+   * Read files (downscaling images, extracting PDF text) and stage the usable ones
+   * @param {FileList|Array<File>} files - Picked, pasted or dropped files
+   * @returns {Promise<{added: Array, rejected: Array<{name: string, reason: string}>}>}
+   */
+  const addFiles = useCallback(async (files) => {
+    const counts = {
+      image: attachments.filter(attachment => attachment.type === 'image').length,
+      file: attachments.filter(attachment => attachment.type === 'file').length,
+    };
+    const accepted = [];
+    const rejected = [];
+
+    for (const file of Array.from(files || [])) {
+      // Unsupported files are rejected by readAttachmentFile with a specific reason
+      const type = getAttachmentKind(file) === 'image' ? 'image' : 'file';
+      const { max, label } = LIMITS[type];
+      if (counts[type] >= max) {
+        rejected.push({ name: file.name, reason: `Only ${max} ${label} can be attached to a message` });
+      } else {
+        counts[type]++;
+        accepted.push(file);
+      }
+    }
+
+    setProcessingCount(count => count + accepted.length);
+    const results = await Promise.allSettled(accepted.map(readAttachmentFile));
+    setProcessingCount(count => count - accepted.length);
+
+    const added = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        added.push(result.value);
+      } else {
+        rejected.push({ name: accepted[index].name, reason: result.reason.message });
+      }
+    });
+
+    if (added.length > 0) {
+      setAttachments(prev => [...prev, ...added]);
+    }
+    return { added, rejected };
+  }, [attachments]);
+
+  const removeAttachment = useCallback((id) => {
+    setAttachments(prev => prev.filter(attachment => attachment.id !== id));
+  }, []);
+
+  /**
+   * Stage a known list, e.g. when a sent message is put back in the input
+   */
+  const replaceAttachments = useCallback((list = []) => {
+    setAttachments(list);
+  }, []);
+
+  const clearAttachments = useCallback(() => {
+    setAttachments([]);
+  }, []);
+
+  return useMemo(() => ({
+    attachments,
+    isProcessing: processingCount > 0,
+    addFiles,
+    removeAttachment,
+    replaceAttachments,
+    clearAttachments,
+  }), [attachments, processingCount, addFiles, removeAttachment, replaceAttachments, clearAttachments]);
+};
+
+export default useAttachments;
@@ -10,20 +10,42 @@
  * 4. DEFERRED FINALIZATION: Message list only updates when stream completes
  */
 
-import { useState, useCallback, useRef, useEffect, useTransition } from 'react';
+import { useState, useCallback, useRef, useEffect, useMemo, useTransition } from 'react';
 import { 
   createUserMessage, 
   createBotMessage, 
   createErrorMessage,
-  getGeminiProvider,
+  createBlockedMessage,
+  addResponseVariant,
+  selectResponseVariant,
+  createAIProvider,
+  DEFAULT_PROVIDER,
+  ContextManager,
+  estimateRequestTokens,
+  createDefaultToolRegistry,
+  createConversation,
+  serializeConversation,
+  parseConversation,
+  getConversationStore,
+  getUrlConversationId,
 } from '../services';
+import { setSystemPrompt } from '../constants/prompts';
 import { 
   CHAT_STATE, 
   WELCOME_MESSAGES,
   MESSAGE_STATUS,
   SENDER,
+  ERROR_TYPES,
 } from '../constants';
-import { validateMessage, hasValidApiKey } from '../utils/helpers';
+import { validateMessage, generateId, formatCost } from '../utils/helpers';
+import { useGenerationSettings } from './useGenerationSettings';
+import { useUsage } from './useUsage';
+import { useInputTokens } from './useInputTokens';
+import { useAttachments } from './useAttachments';
+import { useComparison } from './useComparison';
+import { useConversationStorage } from './useConversationStorage';
+import { useConversations } from './useConversations';
+import { useConversationTitles } from './useConversationTitles';
 
 // Buffer flush interval (ms) - 60fps = ~16ms, we use slightly longer for stability
 const BUFFER_FLUSH_INTERVAL = 50;
@@ -38,8 +60,27 @@ export const useChat = () => {
   // ============================================
   const [messages, setMessages] = useState([]);
   const [chatState, setChatState] = useState(CHAT_STATE.IDLE);
-  const [error, setError] = useState(null);
+  const [error, setErrorMessage] = useState(null);
+  const [errorType, setErrorType] = useState(null);
   const [inputValue, setInputValue] = useState('');
+  const [retryStatus, setRetryStatus] = useState(null);
+  const [contextInfo, setContextInfo] = useState({ summarizedCount: 0, summary: null });
+  // null until the provider has loaded and reported its configuration
+  const [providerConfigured, setProviderConfigured] = useState(null);
+  const [conversationId, setConversationId] = useState(generateId);
+  // System prompt for this conversation; null uses the JARVIS prompt
+  const [persona, setPersona] = useState(null);
+  
+  // Generation parameters: global defaults + this conversation's overrides
+  const generationSettings = useGenerationSettings(conversationId);
+  const { copyOverrides, removeOverrides } = generationSettings;
+  // Token and cost totals for this conversation and today
+  const usage = useUsage(conversationId);
+  // Images staged in the input, sent with the next message
+  const pendingAttachments = useAttachments();
+  // Side-by-side answers from several models
+  const comparison = useComparison();
+  const { loadModels: loadComparisonModels } = comparison;
   
   // Isolated streaming state - ONLY StreamingMessage component subscribes to this
   const [streamingContent, setStreamingContent] = useState('');
@@ -53,8 +94,42 @@ export const useChat = () => {
   // ============================================
   const inputRef = useRef(null);
   const aiProviderRef = useRef(null);
+  const providerPromiseRef = useRef(null);
+  const contextManagerRef = useRef(null);
   const initializedRef = useRef(false);
   
+  // Latest committed messages, read when building conversation context
+  const messagesRef = useRef(messages);
+  // Open conversation, updated as soon as it changes so in-flight requests can tell it was left
+  const conversationIdRef = useRef(conversationId);
+  // Draft and persona as of the last render, saved when leaving the conversation
+  const draftRef = useRef(inputValue);
+  const personaRef = useRef(persona);
+  const generationConfigRef = useRef(generationSettings.effective);
+  const safetySettingsRef = useRef(generationSettings.safety);
+  const usageRef = useRef(usage);
+  // Send held back by the budget warning, replayed by sendAnyway
+  const pendingSendRef = useRef(null);
+  // Aborts the request in flight, including its context summary, when it is cancelled or replaced
+  const requestControllerRef = useRef(null);
+  // Bot message whose answer is being regenerated (it leaves the list while the new one streams)
+  const regeneratingRef = useRef(null);
+  // Bot message whose regeneration failed, so a retry regenerates it again
+  const failedRegenerationRef = useRef(null);
+  // Conversations already given a generated title in this session
+  const titledIdsRef = useRef(new Set());
+
+  // Local tools the model may call; conversation search reads every saved
+  // conversation at call time, with the open one's live messages
+  const toolRegistry = useMemo(() => createDefaultToolRegistry({
+    getConversations: async () => {
+      const currentId = conversationIdRef.current;
+      const store = await getConversationStore();
+      const saved = (await store.getAll()).filter(conversation => conversation.id !== currentId);
+      return [{ id: currentId, title: 'Current conversation', messages: messagesRef.current }, ...saved];
+    },
+  }), []);
+  
   // Streaming buffer system
   const streamBufferRef = useRef('');
   const lastFlushTimeRef = useRef(0);
@@ -67,8 +142,19 @@ export const useChat = () => {
   // ============================================
   
   useEffect(() => {
-    if (!aiProviderRef.current) {
-      aiProviderRef.current = getGeminiProvider();
+    if (!providerPromiseRef.current) {
+      providerPromiseRef.current = createAIProvider(DEFAULT_PROVIDER)
+        .then((provider) => {
+          aiProviderRef.current = provider;
+          contextManagerRef.current = new ContextManager(provider);
+          setProviderConfigured(provider.isConfigured());
+          return provider;
+        })
+        .catch((err) => {
+          console.error('Failed to create AI provider:', err);
+          setProviderConfigured(false);
+          return null;
+        });
     }
     
     return () => {
@@ -79,23 +165,111 @@ export const useChat = () => {
     };
   }, []);
 
-  const isConfigured = hasValidApiKey();
+  useEffect(() => {
+    if (providerConfigured) loadComparisonModels(aiProviderRef.current);
+  }, [providerConfigured, loadComparisonModels]);
 
   useEffect(() => {
-    if (isConfigured && !initializedRef.current) {
+    messagesRef.current = messages;
+  }, [messages]);
+
+  useEffect(() => {
+    draftRef.current = inputValue;
+    personaRef.current = persona;
+  }, [inputValue, persona]);
+
+  useEffect(() => {
+    generationConfigRef.current = generationSettings.effective;
+  }, [generationSettings.effective]);
+
+  useEffect(() => {
+    safetySettingsRef.current = generationSettings.safety;
+  }, [generationSettings.safety]);
+
+  useEffect(() => {
+    usageRef.current = usage;
+  }, [usage]);
+
+  // Optimistic while the provider loads so the UI doesn't flash a config error
+  const isConfigured = providerConfigured !== false;
+
+  // Draft size against the active model's input limit, shown live in ChatInput
+  const inputTokens = useInputTokens(
+    inputValue,
+    messages,
+    providerConfigured ? contextManagerRef.current : null,
+    pendingAttachments.attachments,
+  );
+
+  // Saved conversations listed in the sidebar
+  const conversations = useConversations();
+  const {
+    refresh: refreshConversations,
+    duplicate: duplicateStoredConversation,
+    remove: removeStoredConversation,
+  } = conversations;
+  // Saved after each change; the last open conversation comes back on reload
+  const {
+    isRestoring,
+    restoredConversation,
+    markSaved,
+    load: loadConversation,
+    save: saveConversation,
+    flush: flushConversation,
+    discard: discardConversation,
+  } = useConversationStorage(
+    conversationId,
+    { messages, draft: inputValue, persona },
+    { onSave: refreshConversations },
+  );
+
+  // Titles and summaries are generated off the main stream; their usage counts like any request
+  const titles = useConversationTitles({
+    getProvider: () => providerPromiseRef.current,
+    onUsage: (reported, model) => usageRef.current.record({ usage: reported, model }),
+    onSave: refreshConversations,
+  });
+  const { generate: generateTitle, cancel: cancelTitle } = titles;
+
+  useEffect(() => {
+    if (!restoredConversation || initializedRef.current) return;
+    initializedRef.current = true;
+    markSaved(restoredConversation);
+    setMessages(restoredConversation.messages);
+    setInputValue(restoredConversation.draft);
+    setPersona(restoredConversation.persona);
+    conversationIdRef.current = restoredConversation.id;
+    setConversationId(restoredConversation.id);
+  }, [restoredConversation, markSaved]);
+
+  // Requests use the open conversation's persona
+  useEffect(() => {
+    setSystemPrompt(persona);
+  }, [persona]);
+
+  useEffect(() => {
+    if (providerConfigured && !isRestoring && !initializedRef.current) {
       initializedRef.current = true;
       const welcomeMessages = WELCOME_MESSAGES.map((msg, index) => ({
         ...createBotMessage(msg.text),
         id: `welcome-${index}`,
+        metadata: { isWelcome: true },
       }));
       setMessages(welcomeMessages);
     }
-  }, [isConfigured]);
+  }, [providerConfigured, isRestoring]);
 
   const focusInput = useCallback(() => {
     inputRef.current?.focus();
   }, []);
 
+  // Message and ERROR_TYPES category change together so the banner
+  // never pairs a message with a stale recovery action
+  const setError = useCallback((message, type = null) => {
+    setErrorMessage(message);
+    setErrorType(message ? type : null);
+  }, []);
+
   // ============================================
   // STREAMING BUFFER SYSTEM
   // ============================================
@@ -153,73 +327,207 @@ export const useChat = () => {
       rafIdRef.current = null;
     }
     
+    regeneratingRef.current = null;
     setStreamingContent('');
     setStreamingMessageId(null);
+    setRetryStatus(null);
   }, []);
 
   // ============================================
   // STREAM CANCELLATION
   // ============================================
   
+  /**
+   * Stop the response; what streamed so far is kept as the answer
+   * A cancelled regeneration keeps the partial answer as a new variant, or puts the message back
+   * @returns {Object|null} - The partial (or restored) message added, if any
+   */
   const cancelStreaming = useCallback(() => {
-    const provider = aiProviderRef.current || getGeminiProvider();
-    provider.cancelStream();
+    requestControllerRef.current?.abort();
+    requestControllerRef.current = null;
+    aiProviderRef.current?.cancelStream();
     
     const partialContent = streamBufferRef.current;
     const currentStreamingId = streamingMessageId;
+    const regenerating = regeneratingRef.current;
+    let partialMessage = null;
     
     if (currentStreamingId && partialContent && partialContent.trim()) {
-      const partialMessage = createBotMessage(partialContent);
+      partialMessage = createBotMessage(partialContent);
       partialMessage.id = currentStreamingId;
+    }
+    if (regenerating) {
+      partialMessage = partialMessage ? addResponseVariant(regenerating, partialMessage) : regenerating;
+    }
+    if (partialMessage) {
       setMessages(prev => [...prev, partialMessage]);
     }
     
     resetStreamingState();
     setChatState(CHAT_STATE.IDLE);
+    return partialMessage;
   }, [streamingMessageId, resetStreamingState]);
 
   // ============================================
   // SEND MESSAGE WITH STREAMING
   // ============================================
   
-  const sendMessage = useCallback(async (text = inputValue) => {
-    const validation = validateMessage(text);
+  const sendMessage = useCallback(async (text = inputValue, options = {}) => {
+    // An open comparison must be resolved before the conversation moves on
+    if (comparison.isActive) {
+      setError('Pick one of the compared answers or discard the comparison first.');
+      return;
+    }
+    // Regenerating answers the same prompt again into an existing reply's variants
+    const variantOf = options.variantOf || null;
+    const compareModels = comparison.isEnabled && !variantOf ? comparison.selectedModels : null;
+
+    // Everything before this prompt is sent as multi-turn context
+    const conversationHistory = options.history || messagesRef.current;
+    const requestConversationId = conversationIdRef.current;
+    const attachments = options.attachments || pendingAttachments.attachments;
+
+    // The message must fit in what the model's input window leaves after the context
+    const request = contextManagerRef.current
+      ? contextManagerRef.current.estimateRequest(conversationHistory, text, attachments)
+      : estimateRequestTokens(conversationHistory, text, { attachments });
+    const validation = validateMessage(text, {
+      maxTokens: request.available,
+      tokenCount: text === inputValue && !inputTokens.isEstimate ? inputTokens.draftTokens : request.draftTokens,
+      allowEmpty: attachments.length > 0,
+    });
     if (!validation.isValid) {
       setError(validation.error);
       return;
     }
 
-    const userMessage = createUserMessage(validation.value);
-    const streamingId = `streaming-${Date.now()}`;
+    // Soft budget: warn once a day, then let the user decide
+    const { budget, isBudgetAcknowledged } = usageRef.current;
+    if (budget.exceeded && !isBudgetAcknowledged && !options.ignoreBudget) {
+      pendingSendRef.current = { text, options };
+      setError(
+        `You've spent ${formatCost(budget.spent)} of your ${formatCost(budget.budget)} daily budget.`,
+        ERROR_TYPES.BUDGET_EXCEEDED,
+      );
+      return;
+    }
+    pendingSendRef.current = null;
+
+    const userMessage = variantOf ? null : createUserMessage(validation.value, attachments);
+    const streamingId = variantOf ? variantOf.id : `streaming-${Date.now()}`;
+    const generationConfig = generationConfigRef.current;
+    regeneratingRef.current = variantOf;
+    failedRegenerationRef.current = null;
     
     startTransition(() => {
+      if (variantOf) {
+        setMessages(prev => prev.filter(msg => msg.id !== variantOf.id));
+        return;
+      }
       setInputValue('');
+      if (!options.attachments) pendingAttachments.clearAttachments();
       setMessages(prev => [...prev, userMessage]);
     });
     
+    // A newer request replaces one still preparing its context
+    requestControllerRef.current?.abort();
+    const requestController = new AbortController();
+    requestControllerRef.current = requestController;
+    const isSuperseded = () => requestController.signal.aborted
+      || conversationIdRef.current !== requestConversationId;
+
     streamActiveRef.current = true;
     streamBufferRef.current = '';
     lastFlushTimeRef.current = performance.now();
     
     setStreamingMessageId(streamingId);
     setStreamingContent('');
-    setChatState(CHAT_STATE.STREAMING);
+    setChatState(CHAT_STATE.LOADING);
     setError(null);
 
+    // Providers call onError and then reject; the error is only shown once
+    let errorReported = false;
+    // Adds the response's usage to the totals, and its estimated cost and parameters to the metadata
+    const describeResponse = (responseInfo) => {
+      if (!responseInfo) return responseInfo;
+      const info = { ...responseInfo, generationConfig };
+      return responseInfo.usage ? { ...info, cost: usageRef.current.record(responseInfo) } : info;
+    };
+    // The finished (or partial) answer, as a new variant when regenerating
+    const toResponse = (message) => (variantOf ? addResponseVariant(variantOf, message) : message);
+    // Nothing came back: a regenerated message returns unchanged, otherwise an error message is added
+    const addFailure = (err) => {
+      if (variantOf) {
+        failedRegenerationRef.current = variantOf.id;
+        setMessages(prev => [...prev, variantOf]);
+      } else {
+        setMessages(prev => [...prev, createErrorMessage(err)]);
+      }
+    };
+
     try {
-      const provider = aiProviderRef.current || getGeminiProvider();
+      const provider = await providerPromiseRef.current;
+      if (!provider) {
+        throw new Error('AI provider is unavailable');
+      }
+      
+      // Fit history into the model's budget (may summarize older turns)
+      const context = contextManagerRef.current
+        ? await contextManagerRef.current.prepare(conversationHistory, { signal: requestController.signal })
+        : { history: conversationHistory, contextSummary: null, summarizedCount: 0 };
+      
+      // Cancelled, replaced or left for another conversation before the request started
+      if (isSuperseded()) return;
+      
+      setContextInfo({ summarizedCount: context.summarizedCount, summary: context.contextSummary });
+      setChatState(CHAT_STATE.STREAMING);
+      
+      const requestOptions = {
+        conversationHistory: context.history,
+        contextSummary: context.contextSummary,
+        attachments,
+        generationConfig,
+        safetySettings: safetySettingsRef.current,
+        tools: toolRegistry,
+      };
+      
+      // Compare mode: every model answers in its own column; the picked answer joins the chat
+      if (compareModels) {
+        await comparison.run(provider, {
+          promptId: userMessage.id,
+          prompt: validation.value,
+          models: compareModels,
+          options: requestOptions,
+          onResponse: describeResponse,
+        });
+        resetStreamingState();
+        setChatState(CHAT_STATE.IDLE);
+        return;
+      }
+      
+      let receivedFirstChunk = false;
       
       await provider.generateStreamingResponse(validation.value, {
+        ...requestOptions,
+        
+        onRetry: (info) => {
+          setRetryStatus(info);
+        },
+        
         onChunk: (accumulatedText) => {
+          if (!receivedFirstChunk) {
+            receivedFirstChunk = true;
+            setRetryStatus(null);
+          }
           accumulateToken(accumulatedText);
         },
         
-        onComplete: (finalText) => {
-          const botMessage = createBotMessage(finalText);
+        onComplete: (finalText, responseInfo) => {
+          const botMessage = createBotMessage(finalText, describeResponse(responseInfo));
           botMessage.id = streamingId;
           
           startTransition(() => {
-            setMessages(prev => [...prev, botMessage]);
+            setMessages(prev => [...prev, toResponse(botMessage)]);
             resetStreamingState();
             setChatState(CHAT_STATE.SUCCESS);
           });
@@ -227,32 +535,60 @@ export const useChat = () => {
         
         onError: (err) => {
           console.error('Streaming error:', err);
+          errorReported = true;
+          err.responseInfo = describeResponse(err.responseInfo);
           
           const partialContent = streamBufferRef.current;
-          if (partialContent && partialContent.trim()) {
-            const partialMessage = createBotMessage(partialContent + '\n\n[Stream interrupted]');
+          if (err.type === ERROR_TYPES.SAFETY_BLOCKED) {
+            const blockedMessage = createBlockedMessage(err, partialContent.trim() ? partialContent : '');
+            blockedMessage.id = streamingId;
+            setMessages(prev => [...prev, toResponse(blockedMessage)]);
+          } else if (partialContent && partialContent.trim()) {
+            const notice = err.type === ERROR_TYPES.TIMEOUT ? '[Response timed out]' : '[Stream interrupted]';
+            const partialMessage = createBotMessage(`${partialContent}\n\n${notice}`, err.responseInfo);
             partialMessage.id = streamingId;
-            setMessages(prev => [...prev, partialMessage]);
+            setMessages(prev => [...prev, toResponse(partialMessage)]);
           } else {
-            const errorMessage = createErrorMessage(err);
-            setMessages(prev => [...prev, errorMessage]);
+            addFailure(err);
           }
           
           resetStreamingState();
-          setError(err.message);
+          setError(err.message, err.type);
           setChatState(CHAT_STATE.ERROR);
         },
       });
     } catch (err) {
+      if (errorReported || isSuperseded()) return;
       console.error('Chat error:', err);
       
-      const errorMessage = createErrorMessage(err);
-      setMessages(prev => [...prev, errorMessage]);
+      addFailure(err);
       resetStreamingState();
-      setError(err.message);
+      setError(err.message, err.type);
       setChatState(CHAT_STATE.ERROR);
     }
-  }, [inputValue, accumulateToken, resetStreamingState, startTransition]);
+  }, [
+    inputValue,
+    inputTokens,
+    pendingAttachments,
+    comparison,
+    toolRegistry,
+    accumulateToken,
+    resetStreamingState,
+    setError,
+    startTransition,
+  ]);
+
+  /**
+   * Send the message held back by the budget warning, and stop warning for today
+   */
+  const sendAnyway = useCallback(() => {
+    const pending = pendingSendRef.current;
+    usage.acknowledgeBudget();
+    setError(null);
+    if (pending) {
+      sendMessage(pending.text, { ...pending.options, ignoreBudget: true });
+    }
+  }, [usage, sendMessage, setError]);
 
   // ============================================
   // INPUT HANDLING
@@ -261,32 +597,366 @@ export const useChat = () => {
   const handleInputChange = useCallback((value) => {
     setInputValue(value);
     if (error) setError(null);
-  }, [error]);
+  }, [error, setError]);
+
+  /**
+   * Stage picked, pasted or dropped images; files that can't be used are reported
+   * @param {FileList|Array<File>} files - Files from the input
+   */
+  const addAttachments = useCallback(async (files) => {
+    const { rejected } = await pendingAttachments.addFiles(files);
+    if (rejected.length > 0) {
+      setError([...new Set(rejected.map(file => file.reason))].join('. '));
+    }
+  }, [pendingAttachments, setError]);
+
+  /**
+   * Shorten the draft so the request fits the model's input limit
+   */
+  const trimInput = useCallback(() => {
+    setInputValue(inputTokens.trimDraft());
+    setError(null);
+  }, [inputTokens, setError]);
 
   // ============================================
   // MESSAGE MANAGEMENT
   // ============================================
   
-  const clearMessages = useCallback(() => {
-    cancelStreaming();
-    setMessages([]);
+  /**
+   * Stop whatever is running in the open conversation and save it as it stands
+   * (including an answer cut off mid-stream), before another one is shown
+   */
+  const leaveConversation = useCallback(async () => {
+    const partialMessage = cancelStreaming();
+    comparison.clear();
+    const leaving = partialMessage ? [...messagesRef.current, partialMessage] : messagesRef.current;
+    await saveConversation(conversationIdRef.current, {
+      messages: leaving,
+      draft: draftRef.current,
+      persona: personaRef.current,
+    });
+  }, [cancelStreaming, comparison, saveConversation]);
+
+  /**
+   * Show a stored conversation, or a fresh one when none is given
+   * @param {Object|null} conversation - Stored conversation (see conversationFormat)
+   * @param {Object} options - `{ id }` for the fresh conversation (generated when omitted)
+   */
+  const showConversation = useCallback((conversation, { id } = {}) => {
+    pendingAttachments.clearAttachments();
+    contextManagerRef.current?.reset();
+    setContextInfo({ summarizedCount: 0, summary: null });
+    setError(null);
+    setChatState(CHAT_STATE.IDLE);
+
+    const next = conversation || createConversation([], { id });
+    if (conversation) markSaved(conversation);
+    // Fresh conversations get the welcome messages once the provider is ready
+    initializedRef.current = Boolean(conversation);
+    setMessages(next.messages);
+    setInputValue(next.draft);
+    setPersona(next.persona);
+    conversationIdRef.current = next.id;
+    setConversationId(next.id);
+  }, [pendingAttachments, markSaved, setError]);
+
+  // After the first exchange, title the conversation once the reply has been saved
+  useEffect(() => {
+    if (chatState !== CHAT_STATE.SUCCESS || titledIdsRef.current.has(conversationId)) return;
+    const entry = conversations.conversations.find(conversation => conversation.id === conversationId);
+    const hasExchange = messages.some(msg => msg.sender === SENDER.USER)
+      && messages.some(msg => msg.sender === SENDER.BOT && !msg.metadata?.isWelcome);
+    if (entry?.summary || !hasExchange) return;
+
+    titledIdsRef.current.add(conversationId);
+    flushConversation().then(() => generateTitle(conversationId));
+  }, [chatState, conversationId, conversations.conversations, messages, flushConversation, generateTitle]);
+
+  /**
+   * Generate a conversation's title and summary again, replacing a renamed title too
+   * @param {string} id - Conversation id
+   */
+  const regenerateTitle = useCallback(async (id) => {
+    if (id === conversationIdRef.current) await flushConversation();
+    titledIdsRef.current.add(id);
+    await generateTitle(id, { force: true });
+  }, [flushConversation, generateTitle]);
+
+  /**
+   * Start a new chat; the current one stays in the sidebar
+   */
+  const clearMessages = useCallback(async () => {
+    await leaveConversation();
+    showConversation(null);
+  }, [leaveConversation, showConversation]);
+
+  /**
+   * Open a saved conversation
+   * @param {string} id - Conversation id
+   */
+  const switchConversation = useCallback(async (id) => {
+    if (id === conversationIdRef.current) return;
+    await leaveConversation();
+    try {
+      // History entries and bookmarks of chats that were never saved (or were deleted) open empty
+      showConversation(await loadConversation(id), { id });
+    } catch (err) {
+      setError(`Could not open the conversation: ${err.message}`);
+    }
+  }, [leaveConversation, showConversation, loadConversation, setError]);
+
+  // Back and forward move between the conversations opened in this tab
+  useEffect(() => {
+    const handlePopState = () => {
+      const id = getUrlConversationId();
+      if (id) switchConversation(id);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [switchConversation]);
+
+  /**
+   * Copy a conversation, with its generation overrides, and open the copy
+   * @param {string} id - Conversation id
+   */
+  const duplicateConversation = useCallback(async (id) => {
+    try {
+      if (id === conversationIdRef.current) await flushConversation();
+      const copy = await duplicateStoredConversation(id);
+      if (!copy) return;
+      copyOverrides(id, copy.id);
+      await switchConversation(copy.id);
+    } catch (err) {
+      setError(`Could not duplicate the conversation: ${err.message}`);
+    }
+  }, [flushConversation, duplicateStoredConversation, copyOverrides, switchConversation, setError]);
+
+  /**
+   * Delete a conversation and its generation overrides
+   * Deleting the open conversation starts a new one
+   * @param {string} id - Conversation id
+   */
+  const deleteConversation = useCallback(async (id) => {
+    if (id === conversationIdRef.current) {
+      cancelStreaming();
+      comparison.clear();
+      showConversation(null);
+    }
+    cancelTitle(id);
+    discardConversation(id);
+    removeOverrides(id);
+    try {
+      await removeStoredConversation(id);
+    } catch (err) {
+      setError(`Could not delete the conversation: ${err.message}`);
+    }
+  }, [
+    cancelStreaming,
+    comparison,
+    showConversation,
+    cancelTitle,
+    discardConversation,
+    removeOverrides,
+    removeStoredConversation,
+    setError,
+  ]);
+
+  /**
+   * Run a sidebar change, reporting failures in the error banner
+   * @private
+   */
+  const updateConversation = useCallback(async (change, ...args) => {
+    try {
+      await change(...args);
+    } catch (err) {
+      setError(`Could not update the conversation: ${err.message}`);
+    }
+  }, [setError]);
+
+  const renameConversation = useCallback(
+    (id, title) => updateConversation(conversations.rename, id, title),
+    [updateConversation, conversations.rename],
+  );
+
+  const pinConversation = useCallback(
+    (id, pinned) => updateConversation(conversations.setPinned, id, pinned),
+    [updateConversation, conversations.setPinned],
+  );
+
+  const archiveConversation = useCallback(
+    (id, archived) => updateConversation(conversations.setArchived, id, archived),
+    [updateConversation, conversations.setArchived],
+  );
+
+  /**
+   * Set the open conversation's persona (system prompt); blank restores JARVIS
+   * @param {string} text - System prompt
+   */
+  const updatePersona = useCallback((text) => {
+    setPersona(text?.trim() ? text : null);
+  }, []);
+
+  /**
+   * Continue the conversation with one of the compared answers
+   * @param {string} columnId - Comparison column holding the answer
+   */
+  const pickComparison = useCallback((columnId) => {
+    const column = comparison.columns.find(item => item.id === columnId);
+    if (!column?.text.trim()) return;
+
+    const botMessage = createBotMessage(column.text, {
+      ...column.info,
+      model: column.info?.model || column.model,
+      comparedModels: comparison.columns.map(item => item.model),
+    });
+    comparison.clear();
+    setMessages(prev => [...prev, botMessage]);
+    setChatState(CHAT_STATE.SUCCESS);
+  }, [comparison]);
+
+  /**
+   * Drop the comparison and put its prompt back in the input
+   */
+  const discardComparison = useCallback(() => {
+    const prompt = messagesRef.current.find(msg => msg.id === comparison.promptId);
+    comparison.clear();
+    setMessages(prev => prev.filter(msg => msg.id !== comparison.promptId));
+    if (prompt) {
+      setInputValue(prompt.text);
+      pendingAttachments.replaceAttachments(prompt.attachments);
+    }
     setError(null);
     setChatState(CHAT_STATE.IDLE);
-    initializedRef.current = false;
-  }, [cancelStreaming]);
+    inputRef.current?.focus();
+  }, [comparison, pendingAttachments, setError]);
+
+  /**
+   * Current conversation as saved-conversation JSON (welcome messages left out)
+   * @returns {string}
+   */
+  const exportConversation = useCallback(() => serializeConversation(createConversation(
+    messagesRef.current.filter(msg => !msg.metadata?.isWelcome),
+    {
+      id: conversationId,
+      title: conversations.conversations.find(conversation => conversation.id === conversationId)?.title,
+      persona,
+    },
+  )), [conversationId, conversations.conversations, persona]);
+
+  /**
+   * Open a saved conversation file as a new chat
+   * It gets its own id, so importing a file twice doesn't overwrite the first copy
+   * @param {string} json - Saved conversation (see conversationFormat)
+   */
+  const importConversation = useCallback(async (json) => {
+    let conversation;
+    try {
+      conversation = parseConversation(json);
+    } catch (err) {
+      setError(`Could not open the conversation: ${err.message}`);
+      return;
+    }
+    await leaveConversation();
+    const imported = { ...conversation, id: generateId(), pinned: false, archived: false };
+    try {
+      const store = await getConversationStore();
+      await store.save(imported);
+      refreshConversations();
+    } catch (err) {
+      console.warn('Failed to save the opened conversation:', err);
+    }
+    showConversation(imported);
+  }, [leaveConversation, showConversation, refreshConversations, setError]);
+
+  /**
+   * Answer the last prompt again with the same context; the reply keeps every answer as a variant
+   * @param {string} messageId - The conversation's last message (a bot reply)
+   */
+  const regenerateResponse = useCallback((messageId) => {
+    const current = messagesRef.current;
+    const index = current.findIndex(msg => msg.id === messageId);
+    const target = current[index];
+    const promptIndex = current.findLastIndex((msg, i) => i < index && msg.sender === SENDER.USER);
+    if (target?.sender !== SENDER.BOT || index !== current.length - 1 || promptIndex === -1) return;
+    // Failed requests are retried instead; a blocked answer can be regenerated
+    if (target.status === MESSAGE_STATUS.ERROR && !target.metadata?.blocked) return;
+    if (streamActiveRef.current) return;
+
+    const prompt = current[promptIndex];
+    const history = current
+      .slice(0, promptIndex)
+      .filter(msg => msg.status !== MESSAGE_STATUS.ERROR);
+    sendMessage(prompt.text, { history, attachments: prompt.attachments || [], variantOf: target });
+  }, [sendMessage]);
+
+  /**
+   * Show another variant of a reply; the shown one is what later turns see as history
+   * @param {string} messageId - Bot message with variants
+   * @param {number} index - Variant to show
+   */
+  const selectVariant = useCallback((messageId, index) => {
+    setMessages(prev => prev.map(msg => (msg.id === messageId ? selectResponseVariant(msg, index) : msg)));
+  }, []);
 
   const retryLastMessage = useCallback(() => {
     if (chatState !== CHAT_STATE.ERROR) return;
     
-    const lastUserMessage = [...messages]
-      .reverse()
-      .find(msg => msg.sender === SENDER.USER);
+    // A failed regeneration is retried as one, so the earlier variants stay
+    if (failedRegenerationRef.current) {
+      regenerateResponse(failedRegenerationRef.current);
+      return;
+    }
+    
+    const lastUserIndex = messages.findLastIndex(msg => msg.sender === SENDER.USER);
+    if (lastUserIndex === -1) return;
+    
+    // Resend from the failed prompt; sendMessage re-appends it to the list
+    const lastUserMessage = messages[lastUserIndex];
+    const history = messages
+      .slice(0, lastUserIndex)
+      .filter(msg => msg.status !== MESSAGE_STATUS.ERROR);
+    
+    setMessages(history);
+    sendMessage(lastUserMessage.text, { history, attachments: lastUserMessage.attachments });
+  }, [chatState, messages, sendMessage, regenerateResponse]);
+
+  const editLastPrompt = useCallback(() => {
+    const lastUserIndex = messages.findLastIndex(msg => msg.sender === SENDER.USER);
+    if (lastUserIndex === -1) return;
     
-    if (lastUserMessage) {
-      setMessages(prev => prev.filter(msg => msg.status !== MESSAGE_STATUS.ERROR));
-      sendMessage(lastUserMessage.text);
+    // Put the failed prompt back in the input and drop it (and its error) from the log
+    const lastUserMessage = messages[lastUserIndex];
+    setMessages(messages.slice(0, lastUserIndex));
+    setInputValue(lastUserMessage.text);
+    pendingAttachments.replaceAttachments(lastUserMessage.attachments);
+    setError(null);
+    setChatState(CHAT_STATE.IDLE);
+    inputRef.current?.focus();
+  }, [messages, setError, pendingAttachments]);
+
+  /**
+   * Replace one of the user's prompts and answer it again
+   * Everything after the prompt is dropped; a response still streaming is stopped first
+   * @param {string} messageId - User message to change
+   * @param {string} text - Corrected prompt
+   */
+  const editMessage = useCallback((messageId, text) => {
+    const index = messagesRef.current.findIndex(msg => msg.id === messageId);
+    const original = messagesRef.current[index];
+    if (original?.sender !== SENDER.USER) return;
+    if (comparison.isActive) {
+      setError('Pick one of the compared answers or discard the comparison first.');
+      return;
     }
-  }, [chatState, messages, sendMessage]);
+
+    if (streamActiveRef.current) cancelStreaming();
+    const history = messagesRef.current
+      .slice(0, index)
+      .filter(msg => msg.status !== MESSAGE_STATUS.ERROR);
+
+    setMessages(history);
+    sendMessage(text, { history, attachments: original.attachments || [] });
+  }, [cancelStreaming, comparison.isActive, sendMessage, setError]);
 
   const deleteMessage = useCallback((messageId) => {
     setMessages(prev => prev.filter(msg => msg.id !== messageId));
@@ -316,7 +986,20 @@ export const useChat = () => {
     messages,
     chatState,
     error,
+    errorType,
     inputValue,
+    contextInfo,
+    retryStatus,
+    conversationId,
+    conversations: conversations.conversations,
+    titlePendingIds: titles.pendingIds,
+    persona,
+    generationSettings,
+    usage,
+    inputTokens,
+    comparison,
+    attachments: pendingAttachments.attachments,
+    isProcessingAttachments: pendingAttachments.isProcessing,
     isConfigured,
     isLoading,
     isStreaming,
@@ -326,8 +1009,29 @@ export const useChat = () => {
     inputRef,
     sendMessage,
     handleInputChange,
+    trimInput,
+    addAttachments,
+    removeAttachment: pendingAttachments.removeAttachment,
     clearMessages,
+    switchConversation,
+    renameConversation,
+    pinConversation,
+    archiveConversation,
+    duplicateConversation,
+    deleteConversation,
+    regenerateTitle,
+    cancelTitle,
+    updatePersona,
+    pickComparison,
+    discardComparison,
+    exportConversation,
+    importConversation,
     retryLastMessage,
+    editLastPrompt,
+    editMessage,
+    regenerateResponse,
+    selectVariant,
+    sendAnyway,
     deleteMessage,
     copyMessage,
     focusInput,
@@ -0,0 +1,188 @@
+/**
+ * useComparison Hook
+ * Sends one prompt to several models at once and tracks each answer as a column
+ *
+ * Every column is its own provider stream: requests are pinned to one model
+ * (`model`, no fallbacks) and tagged with a `streamId`, so the columns stream
+ * in parallel and can be stopped one at a time with `cancelStream(streamId)`.
+ */
+
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { COMPARISON_CONFIG, COMPARISON_STATUS } from '../constants';
+
+/**
+ * Custom hook for side-by-side model comparisons
+ * @returns {Object} - `{ availableModels, selectedModels, enabled, isEnabled, isActive, isRunning,
+ *   promptId, columns, loadModels, setEnabled, toggleModel, addModel, run, cancelColumn, cancelAll,
+ *   clear }`
+ */
+export const useComparison = () => {
+  const [availableModels, setAvailableModels] = useState([]);
+  const [selectedModels, setSelectedModels] = useState([]);
+  const [enabled, setEnabled] = useState(false);
+  // `{ promptId, columns }` from the first token until an answer is picked or discarded
+  const [comparison, setComparison] = useState(null);
+
+  const providerRef = useRef(null);
+  // Latest streamed text per column, flushed to state once per frame
+  const textsRef = useRef({});
+  const rafIdRef = useRef(null);
+
+  useEffect(() => () => {
+    if (rafIdRef.current) cancelAnimationFrame(rafIdRef.current);
+  }, []);
+
+  /**
+   * Offer the provider's models, preselecting the first two (primary and first fallback)
+   * @param {AIProvider} provider - Active provider
+   */
+  const loadModels = useCallback(async (provider) => {
+    try {
+      const names = [...new Set((await provider.listModels()).map(model => model.name))];
+      setAvailableModels(names);
+      setSelectedModels(selected => (selected.length > 0 ? selected : names.slice(0, COMPARISON_CONFIG.MIN_MODELS)));
+    } catch (error) {
+      console.warn('Could not list models for comparison:', error.message);
+    }
+  }, []);
+
+  const toggleModel = useCallback((model) => {
+    setSelectedModels((selected) => {
+      if (selected.includes(model)) return selected.filter(name => name !== model);
+      if (selected.length >= COMPARISON_CONFIG.MAX_MODELS) return selected;
+      return [...selected, model];
+    });
+  }, []);
+
+  /**
+   * Offer and select a model the provider didn't list
+   * @param {string} model - Model name
+   */
+  const addModel = useCallback((model) => {
+    const name = model.trim();
+    if (!name) return;
+    setAvailableModels(models => (models.includes(name) ? models : [...models, name]));
+    setSelectedModels(selected => (
+      selected.includes(name) || selected.length >= COMPARISON_CONFIG.MAX_MODELS ? selected : [...selected, name]
+    ));
+  }, []);
+
+  const updateColumn = useCallback((id, changes) => {
+    setComparison(current => current && {
+      ...current,
+      columns: current.columns.map(column => (column.id === id ? { ...column, ...changes } : column)),
+    });
+  }, []);
+
+  const flushTexts = useCallback(() => {
+    rafIdRef.current = null;
+    setComparison(current => current && {
+      ...current,
+      columns: current.columns.map(column => (
+        column.status === COMPARISON_STATUS.STREAMING && textsRef.current[column.id] !== undefined
+          ? { ...column, text: textsRef.current[column.id] }
+          : column
+      )),
+    });
+  }, []);
+
+  /**
+   * Stream a prompt to every model in parallel
+   * @param {AIProvider} provider - Provider to stream through
+   * @param {Object} request - Request
+   * @param {string} request.promptId - Id of the user message being answered
+   * @param {string} request.prompt - Prompt text
+   * @param {Array<string>} request.models - Models to compare
+   * @param {Object} request.options - Streaming options shared by every column (history, attachments, ...)
+   * @param {Function} request.onResponse - Receives each column's response info once it ends and
+   *   returns the info to keep (e.g. with its cost)
+   * @returns {Promise<void>} - Resolves once every column has finished
+   */
+  const run = useCallback(async (provider, { promptId, prompt, models, options = {}, onResponse = info => info }) => {
+    providerRef.current = provider;
+    textsRef.current = {};
+    const columns = models.map((model, index) => ({
+      id: `compare-${promptId}-${index}`,
+      model,
+      text: '',
+      status: COMPARISON_STATUS.STREAMING,
+      info: null,
+      error: null,
+    }));
+    setComparison({ promptId, columns });
+
+    await Promise.all(columns.map(async ({ id, model }) => {
+      try {
+        const text = await provider.generateStreamingResponse(prompt, {
+          ...options,
+          model,
+          streamId: id,
+          onChunk: (accumulatedText) => {
+            textsRef.current[id] = accumulatedText;
+            rafIdRef.current ??= requestAnimationFrame(flushTexts);
+          },
+          onComplete: (finalText, responseInfo) => {
+            textsRef.current[id] = finalText;
+            updateColumn(id, { text: finalText, status: COMPARISON_STATUS.DONE, info: onResponse(responseInfo) });
+          },
+        });
+        if (text === undefined) {
+          updateColumn(id, { text: textsRef.current[id] || '', status: COMPARISON_STATUS.CANCELLED });
+        }
+      } catch (error) {
+        updateColumn(id, {
+          text: textsRef.current[id] || '',
+          status: COMPARISON_STATUS.ERROR,
+          info: error.responseInfo ? onResponse(error.responseInfo) : null,
+          error: { type: error.type, message: error.message },
+        });
+      }
+    }));
+  }, [flushTexts, updateColumn]);
+
+  /**
+   * Stop one model's answer, keeping what it streamed so far
+   * @param {string} id - Column id
+   */
+  const cancelColumn = useCallback((id) => {
+    providerRef.current?.cancelStream(id);
+  }, []);
+
+  const cancelAll = useCallback(() => {
+    comparison?.columns
+      .filter(column => column.status === COMPARISON_STATUS.STREAMING)
+      .forEach(column => providerRef.current?.cancelStream(column.id));
+  }, [comparison]);
+
+  /**
+   * Stop any running streams and drop the comparison
+   */
+  const clear = useCallback(() => {
+    cancelAll();
+    setComparison(null);
+  }, [cancelAll]);
+
+  const columns = comparison?.columns || [];
+
+  return {
+    availableModels,
+    selectedModels,
+    enabled,
+    // Compare mode needs at least two models; with fewer, messages are sent normally
+    isEnabled: enabled && selectedModels.length >= COMPARISON_CONFIG.MIN_MODELS,
+    isActive: comparison !== null,
+    isRunning: columns.some(column => column.status === COMPARISON_STATUS.STREAMING),
+    promptId: comparison?.promptId || null,
+    columns,
+    loadModels,
+    setEnabled,
+    toggleModel,
+    addModel,
+    run,
+    cancelColumn,
+    cancelAll,
+    clear,
+  };
+};
+
+export default useComparison;
@@ -0,0 +1,227 @@
+/**
+ * useConversationStorage Hook
+ * Saves the open conversation as it changes and restores it on load
+ *
+ * Writes are debounced (CHAT_STORAGE_CONFIG.SAVE_DELAY). Streamed tokens live
+ * outside the message list until a response ends or is cancelled, so a stream
+ * causes one write for its final (or partial) message, never one per token.
+ * A pending write is flushed when the page is hidden or the conversation changes.
+ *
+ * The open conversation's id is mirrored to the page URL, which wins over the
+ * last active conversation on load so bookmarks reopen the right chat. Callers
+ * pass conversations they open (including `restoredConversation`) to
+ * `markSaved` before showing them, so opening a chat doesn't rewrite it.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { CHAT_STORAGE_CONFIG } from '../constants';
+import {
+  getConversationStore,
+  getActiveConversationId,
+  setActiveConversationId,
+  getUrlConversationId,
+  setUrlConversationId,
+} from '../services/conversationStore';
+import { createConversation, getConversationTitle } from '../services/conversationFormat';
+
+// Welcome messages are recreated on load, so they are never stored
+const isStoredMessage = (message) => !message.metadata?.isWelcome;
+
+/**
+ * Merge a pending write into the stored record (or create it)
+ * Titles derived from the messages follow them; renamed titles are kept
+ * @private
+ */
+const mergeSnapshot = (existing, { id, messages, draft, persona, touched }) => {
+  if (!existing) return createConversation(messages, { id, draft, persona });
+  const isDerivedTitle = existing.title === getConversationTitle(existing.messages);
+  return {
+    ...existing,
+    title: isDerivedTitle ? getConversationTitle(messages) : existing.title,
+    updatedAt: touched ? Date.now() : existing.updatedAt,
+    persona: persona || null,
+    draft,
+    messages,
+  };
+};
+
+/**
+ * Custom hook for conversation persistence
+ * @param {string} conversationId - Id of the open conversation
+ * @param {Object} snapshot - `{ messages, draft, persona }` of the open conversation
+ * @param {Object} options - `{ onSave }`: called with each conversation written
+ * @returns {Object} - `{ isRestoring, restoredConversation, load, markSaved, save, flush, discard }`
+ */
+export const useConversationStorage = (conversationId, { messages, draft = '', persona = null }, { onSave } = {}) => {
+  const [isRestoring, setIsRestoring] = useState(true);
+  const [restoredConversation, setRestoredConversation] = useState(null);
+
+  // Write waiting for the debounce: `{ id, messages, draft, persona, touched }`
+  const pendingRef = useRef(null);
+  const timerRef = useRef(null);
+  // Snapshot last written (or loaded), to skip identical writes
+  const savedRef = useRef(null);
+  // Ids known to be in the store; only these are written while empty
+  const storedIdsRef = useRef(new Set());
+  // Whether the URL has been pointed at a conversation yet
+  const hasUrlRef = useRef(false);
+  const onSaveRef = useRef(onSave);
+  onSaveRef.current = onSave;
+
+  /**
+   * Write the pending save now
+   * @returns {Promise<void>}
+   */
+  const flush = useCallback(async () => {
+    clearTimeout(timerRef.current);
+    timerRef.current = null;
+    const pending = pendingRef.current;
+    if (!pending) return;
+    pendingRef.current = null;
+
+    try {
+      const store = await getConversationStore();
+      const conversation = await store.update(pending.id, existing => mergeSnapshot(existing, pending));
+      storedIdsRef.current.add(pending.id);
+      onSaveRef.current?.(conversation);
+    } catch (error) {
+      console.warn('Failed to save conversation:', error);
+    }
+  }, []);
+
+  /**
+   * Drop a conversation's pending write (e.g. because it is being deleted)
+   * @param {string} id - Conversation id
+   */
+  const discard = useCallback((id) => {
+    storedIdsRef.current.delete(id);
+    if (pendingRef.current?.id !== id) return;
+    clearTimeout(timerRef.current);
+    pendingRef.current = null;
+  }, []);
+
+  /**
+   * Treat a conversation as saved as-is, so opening it doesn't write it back
+   * @param {Object} conversation - Stored conversation about to be shown
+   */
+  const markSaved = useCallback((conversation) => {
+    storedIdsRef.current.add(conversation.id);
+    savedRef.current = {
+      id: conversation.id,
+      messages: conversation.messages,
+      draft: conversation.draft,
+      persona: conversation.persona,
+    };
+  }, []);
+
+  /**
+   * Read a stored conversation to open it
+   * Pending writes go out first, so the record is current
+   * @param {string} id - Conversation id
+   * @returns {Promise<Object|null>}
+   */
+  const load = useCallback(async (id) => {
+    await flush();
+    const store = await getConversationStore();
+    return store.get(id);
+  }, [flush]);
+
+  /**
+   * Queue a write of a conversation's snapshot, unless nothing changed
+   * @private
+   */
+  const schedule = useCallback((id, { messages: current, draft: currentDraft = '', persona: currentPersona = null }) => {
+    const saved = savedRef.current;
+    const isSameConversation = saved?.id === id;
+    if (isSameConversation && saved.messages === current && saved.draft === currentDraft
+      && saved.persona === currentPersona) {
+      return;
+    }
+    savedRef.current = { id, messages: current, draft: currentDraft, persona: currentPersona };
+
+    const stored = current.filter(isStoredMessage);
+    const isEmpty = stored.length === 0 && !currentDraft.trim() && !currentPersona;
+    if (isEmpty && !storedIdsRef.current.has(id)) return;
+
+    // A different conversation's pending write goes out first
+    if (pendingRef.current && pendingRef.current.id !== id) flush();
+
+    const touched = Boolean(pendingRef.current?.touched)
+      || (isSameConversation ? saved.messages !== current : stored.length > 0);
+    pendingRef.current = { id, messages: stored, draft: currentDraft, persona: currentPersona, touched };
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(flush, CHAT_STORAGE_CONFIG.SAVE_DELAY);
+  }, [flush]);
+
+  /**
+   * Write a conversation now, e.g. when leaving it with state React hasn't rendered yet
+   * @param {string} id - Conversation id
+   * @param {Object} snapshot - `{ messages, draft, persona }`
+   * @returns {Promise<void>}
+   */
+  const save = useCallback(async (id, snapshot) => {
+    schedule(id, snapshot);
+    await flush();
+  }, [schedule, flush]);
+
+  // Reopen the conversation in the URL, or else the one that was open last
+  useEffect(() => {
+    let cancelled = false;
+    const id = getUrlConversationId() || getActiveConversationId();
+
+    (id ? load(id) : Promise.resolve(null))
+      .catch((error) => {
+        console.warn('Failed to restore conversation:', error);
+        return null;
+      })
+      .then((conversation) => {
+        if (cancelled) return;
+        setRestoredConversation(conversation);
+        setIsRestoring(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [load]);
+
+  // The first id replaces the URL's (which may name a deleted chat); later ones are history entries
+  useEffect(() => {
+    // Wait for the caller to show the restored conversation
+    const isPendingRestore = restoredConversation && conversationId !== restoredConversation.id;
+    if (isRestoring || (!hasUrlRef.current && isPendingRestore)) return;
+    setActiveConversationId(conversationId);
+    setUrlConversationId(conversationId, { replace: !hasUrlRef.current });
+    hasUrlRef.current = true;
+  }, [conversationId, isRestoring, restoredConversation]);
+
+  // Schedule a write whenever the conversation changes
+  useEffect(() => {
+    if (!isRestoring) schedule(conversationId, { messages, draft, persona });
+  }, [conversationId, messages, draft, persona, isRestoring, schedule]);
+
+  // Don't lose the last change to a reload or a closed tab
+  useEffect(() => {
+    const handlePageHide = () => { flush(); };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') flush();
+    };
+    window.addEventListener('pagehide', handlePageHide);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      flush();
+    };
+  }, [flush]);
+
+  return {
+    isRestoring,
+    restoredConversation,
+    load,
+    markSaved,
+    save,
+    flush,
+    discard,
+  };
+};
+
+export default useConversationStorage;
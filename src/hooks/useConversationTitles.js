@@ -0,0 +1,116 @@
+/**
+ * useConversationTitles Hook
+ * Generates conversation titles and summaries in the background
+ *
+ * Each request reads the stored conversation, asks the provider through
+ * generateConversationTitle and writes the result back with `store.update`,
+ * so it never touches the open chat's state or its stream. One request runs
+ * per conversation; asking again cancels the previous one.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getConversationStore } from '../services/conversationStore';
+import { getConversationTitle } from '../services/conversationFormat';
+import { generateConversationTitle } from '../services/conversationTitles';
+
+/**
+ * Custom hook for generated titles
+ * @param {Object} options - `{ getProvider, onUsage, onSave }`: `getProvider` resolves to the
+ *   active provider, `onUsage` receives each request's `(usage, model)`, `onSave` each conversation written
+ * @returns {Object} - `{ pendingIds, generate, cancel }`
+ */
+export const useConversationTitles = ({ getProvider, onUsage, onSave } = {}) => {
+  // Ids of conversations with a request in flight
+  const [pendingIds, setPendingIds] = useState([]);
+  // Abort controller per conversation id
+  const controllersRef = useRef(new Map());
+  const callbacksRef = useRef({ getProvider, onUsage, onSave });
+  callbacksRef.current = { getProvider, onUsage, onSave };
+
+  const setPending = useCallback((id, isPending) => {
+    setPendingIds(ids => (isPending
+      ? [...ids.filter(item => item !== id), id]
+      : ids.filter(item => item !== id)));
+  }, []);
+
+  /**
+   * Stop a conversation's request, if one is running
+   * @param {string} id - Conversation id
+   */
+  const cancel = useCallback((id) => {
+    const controller = controllersRef.current.get(id);
+    if (!controller) return;
+    controller.abort();
+    controllersRef.current.delete(id);
+    setPending(id, false);
+  }, [setPending]);
+
+  /**
+   * Title and summarize a stored conversation
+   * A title the user picked is kept unless `force` is set; the summary is always replaced
+   * @param {string} id - Conversation id
+   * @param {Object} options - `{ force }`
+   * @returns {Promise<Object|null>} - The updated conversation, or null if nothing was written
+   */
+  const generate = useCallback(async (id, { force = false } = {}) => {
+    cancel(id);
+    const controller = new AbortController();
+    controllersRef.current.set(id, controller);
+    setPending(id, true);
+
+    try {
+      const [provider, store] = await Promise.all([
+        callbacksRef.current.getProvider(),
+        getConversationStore(),
+      ]);
+      const conversation = await store.get(id);
+      if (!provider || !conversation || controller.signal.aborted) return null;
+
+      const { title, summary } = await generateConversationTitle(provider, conversation.messages, {
+        signal: controller.signal,
+        onUsage: (usage, model) => callbacksRef.current.onUsage?.(usage, model),
+      });
+      if (controller.signal.aborted) return null;
+
+      // The record may have changed while the request ran, so decide against the latest one
+      const updated = await store.update(id, (current) => {
+        if (!current) return null;
+        const isDerivedTitle = current.title === getConversationTitle(current.messages);
+        return {
+          ...current,
+          title: force || isDerivedTitle ? title : current.title,
+          summary: summary ?? current.summary,
+        };
+      });
+      if (updated) callbacksRef.current.onSave?.(updated);
+      return updated;
+    } catch (error) {
+      if (error.name !== 'AbortError' && !controller.signal.aborted) {
+        console.warn('Failed to generate a conversation title:', error);
+      }
+      return null;
+    } finally {
+      if (controllersRef.current.get(id) === controller) {
+        controllersRef.current.delete(id);
+        setPending(id, false);
+      }
+    }
+  }, [cancel, setPending]);
+
+  // Nothing keeps running after the chat goes away
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => {
+      controllers.forEach(controller => controller.abort());
+      controllers.clear();
+    };
+  }, []);
+
+  return {
+    pendingIds,
+    generate,
+    cancel,
+  };
+};
+
+export default useConversationTitles;
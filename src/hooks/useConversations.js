@@ -0,0 +1,114 @@
+/**
+ * useConversations Hook
+ * The list of saved conversations shown in the sidebar, and the changes made from it
+ *
+ * Operations work on the store directly and refresh the list afterwards; the
+ * open conversation's messages, draft and persona are written by
+ * useConversationStorage, whose saves merge into the same records.
+ */
+
+import { useState, useCallback, useEffect } from 'react';
+import { getConversationStore } from '../services/conversationStore';
+import { createConversation } from '../services/conversationFormat';
+
+/**
+ * Custom hook for the conversation list
+ * @returns {Object} - `{ conversations, isLoaded, refresh, rename, setPinned, setArchived, duplicate,
+ *   remove }`
+ */
+export const useConversations = () => {
+  // Most recently updated first
+  const [conversations, setConversations] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      const store = await getConversationStore();
+      setConversations(await store.list());
+    } catch (error) {
+      console.warn('Failed to list conversations:', error);
+    } finally {
+      setIsLoaded(true);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  /**
+   * Change a stored conversation and refresh the list
+   * @private
+   */
+  const updateConversation = useCallback(async (id, changes) => {
+    const store = await getConversationStore();
+    await store.update(id, conversation => conversation && { ...conversation, ...changes(conversation) });
+    await refresh();
+  }, [refresh]);
+
+  /**
+   * @param {string} id - Conversation id
+   * @param {string} title - New title; blank titles are ignored
+   */
+  const rename = useCallback(async (id, title) => {
+    const trimmed = title.trim();
+    if (!trimmed) return;
+    await updateConversation(id, () => ({ title: trimmed }));
+  }, [updateConversation]);
+
+  const setPinned = useCallback(
+    (id, pinned) => updateConversation(id, () => ({ pinned: Boolean(pinned) })),
+    [updateConversation],
+  );
+
+  // Archived conversations leave the pinned section too
+  const setArchived = useCallback(
+    (id, archived) => updateConversation(id, conversation => ({
+      archived: Boolean(archived),
+      pinned: archived ? false : conversation.pinned,
+    })),
+    [updateConversation],
+  );
+
+  /**
+   * Copy a conversation (messages, summary and persona) under a new id
+   * @param {string} id - Conversation id
+   * @returns {Promise<Object|null>} - The copy
+   */
+  const duplicate = useCallback(async (id) => {
+    const store = await getConversationStore();
+    const original = await store.get(id);
+    if (!original) return null;
+
+    const copy = createConversation(original.messages, {
+      title: `${original.title} (copy)`,
+      summary: original.summary,
+      persona: original.persona,
+    });
+    await store.save(copy);
+    await refresh();
+    return copy;
+  }, [refresh]);
+
+  /**
+   * @param {string} id - Conversation id
+   */
+  const remove = useCallback(async (id) => {
+    const store = await getConversationStore();
+    await store.delete(id);
+    await refresh();
+  }, [refresh]);
+
+  return {
+    conversations,
+    isLoaded,
+    refresh,
+    rename,
+    setPinned,
+    setArchived,
+    duplicate,
+    remove,
+  };
+};
+
+export default useConversations;
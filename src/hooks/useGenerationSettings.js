@@ -0,0 +1,125 @@
+/**
+ * useGenerationSettings Hook
+ * Global and per-conversation generation parameters, plus global safety
+ * thresholds, persisted in user preferences
+ */
+
+import { useMemo, useCallback } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+import { STORAGE_KEYS } from '../constants';
+import {
+  DEFAULT_PREFERENCES,
+  normalizeGenerationConfig,
+  resolveGenerationConfig,
+  normalizeSafetySettings,
+  getConversationOverrides,
+  setConversationOverrides,
+} from '../services/generationSettings';
+
+/**
+ * Custom hook for generation settings
+ * @param {string} conversationId - Conversation whose overrides are read and written
+ * @returns {Object} - `{ defaults, overrides, effective, safety, updateDefaults, updateOverrides,
+ *   updateSafety, resetDefaults, resetOverrides, copyOverrides, removeOverrides }`
+ */
+export const useGenerationSettings = (conversationId) => {
+  const [preferences, setPreferences] = useLocalStorage(STORAGE_KEYS.USER_PREFERENCES, DEFAULT_PREFERENCES);
+
+  const defaults = useMemo(() => normalizeGenerationConfig(preferences?.generation), [preferences]);
+  const overrides = useMemo(
+    () => normalizeGenerationConfig(getConversationOverrides(preferences, conversationId)),
+    [preferences, conversationId],
+  );
+  const effective = useMemo(() => resolveGenerationConfig(defaults, overrides), [defaults, overrides]);
+  const safety = useMemo(() => normalizeSafetySettings(preferences?.safety), [preferences]);
+
+  /**
+   * Merge changes into the global defaults (null clears a parameter)
+   */
+  const updateDefaults = useCallback((changes) => {
+    setPreferences(prev => ({
+      ...DEFAULT_PREFERENCES,
+      ...prev,
+      generation: normalizeGenerationConfig({ ...prev?.generation, ...changes }),
+    }));
+  }, [setPreferences]);
+
+  /**
+   * Merge changes into this conversation's overrides (null inherits the default)
+   */
+  const updateOverrides = useCallback((changes) => {
+    setPreferences(prev => setConversationOverrides(
+      { ...DEFAULT_PREFERENCES, ...prev },
+      conversationId,
+      { ...getConversationOverrides(prev, conversationId), ...changes },
+    ));
+  }, [setPreferences, conversationId]);
+
+  /**
+   * Merge safety threshold changes (null restores the API default for a category)
+   */
+  const updateSafety = useCallback((changes) => {
+    setPreferences(prev => ({
+      ...DEFAULT_PREFERENCES,
+      ...prev,
+      safety: normalizeSafetySettings({ ...prev?.safety, ...changes }),
+    }));
+  }, [setPreferences]);
+
+  const resetDefaults = useCallback(() => {
+    setPreferences(prev => ({ ...DEFAULT_PREFERENCES, ...prev, generation: {}, safety: {} }));
+  }, [setPreferences]);
+
+  const resetOverrides = useCallback(() => {
+    setPreferences(prev => setConversationOverrides({ ...DEFAULT_PREFERENCES, ...prev }, conversationId, null));
+  }, [setPreferences, conversationId]);
+
+  /**
+   * Give another conversation the same overrides (e.g. a duplicated chat)
+   * @param {string} fromId - Conversation to copy from
+   * @param {string} toId - Conversation to copy to
+   */
+  const copyOverrides = useCallback((fromId, toId) => {
+    setPreferences(prev => setConversationOverrides(
+      { ...DEFAULT_PREFERENCES, ...prev },
+      toId,
+      getConversationOverrides(prev, fromId),
+    ));
+  }, [setPreferences]);
+
+  /**
+   * Drop a conversation's overrides (e.g. a deleted chat)
+   * @param {string} id - Conversation id
+   */
+  const removeOverrides = useCallback((id) => {
+    setPreferences(prev => setConversationOverrides({ ...DEFAULT_PREFERENCES, ...prev }, id, null));
+  }, [setPreferences]);
+
+  return useMemo(() => ({
+    defaults,
+    overrides,
+    effective,
+    safety,
+    updateDefaults,
+    updateOverrides,
+    updateSafety,
+    resetDefaults,
+    resetOverrides,
+    copyOverrides,
+    removeOverrides,
+  }), [
+    defaults,
+    overrides,
+    effective,
+    safety,
+    updateDefaults,
+    updateOverrides,
+    updateSafety,
+    resetDefaults,
+    resetOverrides,
+    copyOverrides,
+    removeOverrides,
+  ]);
+};
+
+export default useGenerationSettings;
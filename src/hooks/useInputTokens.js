@@ -0,0 +1,95 @@
+/**
+ * useInputTokens Hook
+ * Live token count for the draft plus the context sent with it,
+ * measured against the active model's input limit
+ *
+ * Counting strategy mirrors ContextManager.measure: a local estimate on every
+ * keystroke, and an exact provider count (debounced) only once the request is
+ * large enough for the difference to matter.
+ */
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { INPUT_VALIDATION } from '../constants';
+import { estimateRequestTokens } from '../services/contextManager';
+import { estimateAttachmentTokens } from '../services/attachments';
+
+// Stable default so the estimate isn't recomputed on every render
+const NO_ATTACHMENTS = [];
+
+/**
+ * Custom hook for draft token accounting
+ * @param {string} draft - Current input value
+ * @param {Array} history - Messages the draft will be sent after
+ * @param {ContextManager|null} contextManager - Active context manager (null while loading)
+ * @param {Array} attachments - Images staged with the draft (always estimated)
+ * @returns {Object} - `{ draftTokens, contextTokens, totalTokens, limit, available, isEstimate,
+ *   status, trimDraft }` where status is 'ok', 'warning' or 'over'
+ */
+export const useInputTokens = (draft, history, contextManager, attachments = NO_ATTACHMENTS) => {
+  const [exactCount, setExactCount] = useState(null);
+
+  const estimate = useMemo(() => {
+    return contextManager
+      ? contextManager.estimateRequest(history, draft, attachments)
+      : estimateRequestTokens(history, draft, { attachments });
+  }, [contextManager, history, draft, attachments]);
+  const attachmentTokens = useMemo(() => estimateAttachmentTokens(attachments), [attachments]);
+
+  const needsExactCount = Boolean(draft.trim()) &&
+    estimate.totalTokens >= estimate.limit * INPUT_VALIDATION.EXACT_COUNT_RATIO;
+
+  useEffect(() => {
+    if (!needsExactCount || !contextManager?.aiProvider?.countTokens) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const tokens = await contextManager.aiProvider.countTokens(draft.trim());
+        if (!cancelled) setExactCount({ draft, tokens });
+      } catch {
+        // Keep showing the estimate
+      }
+    }, INPUT_VALIDATION.COUNT_DEBOUNCE);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [needsExactCount, contextManager, draft]);
+
+  // A count is only valid for the exact draft it was made for
+  const isEstimate = exactCount?.draft !== draft;
+  const draftTokens = isEstimate ? estimate.draftTokens : exactCount.tokens + attachmentTokens;
+  const totalTokens = estimate.contextTokens + draftTokens;
+
+  let status = 'ok';
+  if (totalTokens > estimate.limit) status = 'over';
+  else if (totalTokens >= estimate.limit * INPUT_VALIDATION.WARNING_RATIO) status = 'warning';
+
+  /**
+   * Cut the draft down to what fits in the remaining input window
+   * Scales by the measured characters-per-token ratio, with a small margin;
+   * attached images keep their share
+   * @returns {string} - Trimmed draft
+   */
+  const trimDraft = useCallback(() => {
+    if (draftTokens <= estimate.available) return draft;
+    const textTokens = draftTokens - attachmentTokens;
+    if (textTokens <= 0) return draft;
+    const ratio = Math.max(0, estimate.available - attachmentTokens) / textTokens;
+    return draft.trim().slice(0, Math.floor(draft.trim().length * ratio * 0.98));
+  }, [draft, draftTokens, attachmentTokens, estimate.available]);
+
+  return useMemo(() => ({
+    draftTokens,
+    contextTokens: estimate.contextTokens,
+    totalTokens,
+    limit: estimate.limit,
+    available: estimate.available,
+    isEstimate,
+    status,
+    trimDraft,
+  }), [draftTokens, estimate, totalTokens, isEstimate, status, trimDraft]);
+};
+
+export default useInputTokens;
@@ -0,0 +1,98 @@
+/**
+ * useUsage Hook
+ * Token usage and estimated cost per conversation and per day, with a soft daily budget
+ */
+
+import { useMemo, useCallback } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+import { STORAGE_KEYS } from '../constants';
+import {
+  EMPTY_USAGE_STORE,
+  EMPTY_TOTALS,
+  getDefaultDailyBudget,
+  estimateCost,
+  getDayKey,
+  recordUsage,
+  getBudgetStatus,
+} from '../services/usageTracker';
+
+// Days shown in the usage history, including today
+const HISTORY_DAYS = 7;
+
+/**
+ * Custom hook for usage accounting
+ * @param {string} conversationId - Conversation whose totals are reported
+ * @returns {Object} - `{ conversation, today, history, budget, dailyBudget, isBudgetAcknowledged,
+ *   record, setDailyBudget, acknowledgeBudget, resetUsage }`
+ */
+export const useUsage = (conversationId) => {
+  const [store, setStore, removeStore] = useLocalStorage(STORAGE_KEYS.USAGE, EMPTY_USAGE_STORE);
+
+  const todayKey = getDayKey();
+  const dailyBudget = store?.dailyBudget ?? getDefaultDailyBudget();
+
+  const conversation = store?.conversations?.[conversationId] || EMPTY_TOTALS;
+  const today = store?.days?.[todayKey] || EMPTY_TOTALS;
+
+  const history = useMemo(() => {
+    return Array.from({ length: HISTORY_DAYS }, (_, index) => {
+      const day = getDayKey(Date.now() - index * 24 * 60 * 60 * 1000);
+      return { day, ...(store?.days?.[day] || EMPTY_TOTALS) };
+    });
+  }, [store]);
+
+  const budget = useMemo(() => getBudgetStatus(today.cost, dailyBudget), [today.cost, dailyBudget]);
+
+  /**
+   * Add a response's usage to the running totals
+   * @param {Object} responseInfo - `{ model, usage }` from the provider
+   * @returns {number|null} - Estimated cost in USD, null when the model has no price
+   */
+  const record = useCallback(({ model, usage } = {}) => {
+    if (!usage) return null;
+    const cost = estimateCost(usage, model);
+    setStore(prev => recordUsage(prev, { conversationId, usage, cost }));
+    return cost;
+  }, [setStore, conversationId]);
+
+  /**
+   * Set the daily budget in USD (0 disables it, null restores the configured default)
+   */
+  const setDailyBudget = useCallback((value) => {
+    setStore(prev => ({ ...EMPTY_USAGE_STORE, ...prev, dailyBudget: value }));
+  }, [setStore]);
+
+  /**
+   * Stop warning about the budget for the rest of the day
+   */
+  const acknowledgeBudget = useCallback(() => {
+    setStore(prev => ({ ...EMPTY_USAGE_STORE, ...prev, budgetAcknowledged: getDayKey() }));
+  }, [setStore]);
+
+  return useMemo(() => ({
+    conversation,
+    today,
+    history,
+    budget,
+    dailyBudget,
+    isBudgetAcknowledged: store?.budgetAcknowledged === todayKey,
+    record,
+    setDailyBudget,
+    acknowledgeBudget,
+    resetUsage: removeStore,
+  }), [
+    conversation,
+    today,
+    history,
+    budget,
+    dailyBudget,
+    store,
+    todayKey,
+    record,
+    setDailyBudget,
+    acknowledgeBudget,
+    removeStore,
+  ]);
+};
+
+export default useUsage;
@@ -3,6 +3,32 @@
  * Abstract interface for AI providers (enables easy swapping of AI backends)
  */
 
+import { API_CONFIG, ERROR_TYPES, TOOL_CONFIG } from '../constants';
+import { estimateTokens } from '../utils/helpers';
+import { withRetry, isRetryableError, isFatalError, delay } from './retryPolicy';
+import { createAttemptController, TIMEOUT_KIND } from './requestTimeouts';
+import { classifyError, createTypedError } from './errorClassifier';
+import { sumUsage } from './usageTracker';
+
+// Stream id used when the caller doesn't name its stream
+const DEFAULT_STREAM_ID = 'default';
+
+/**
+ * Build the AbortError used to unwind cancelled requests
+ * @private
+ */
+const createAbortError = (message = 'Stream cancelled') => {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Join the text of consecutive model turns
+ * @private
+ */
+const joinTurns = (before, after) => (before && after ? `${before}\n\n${after}` : before + after);
+
 /**
  * Base AI Provider class
  * All AI providers should implement this interface
@@ -10,12 +36,24 @@
 export class AIProvider {
   constructor(config = {}) {
     this.config = config;
+    // Abort controllers of in-flight streams, by stream id
+    this.activeStreams = new Map();
   }
 
   /**
    * Generate a response from the AI
    * @param {string} prompt - User prompt
    * @param {Object} _options - Additional options (used by subclasses)
+   * @param {Object} _options.generationConfig - Generation parameters
+   *   `{ temperature, topP, topK, maxOutputTokens, stopSequences, candidateCount }`;
+   *   providers map what their backend supports and omit unset values
+   * @param {Object|Array} _options.safetySettings - Harm category thresholds, as a
+   *   `{ [category]: threshold }` map or `[{ category, threshold }]`; only Gemini applies them
+   * @param {AbortSignal} _options.signal - Aborts the in-flight request
+   * @param {Function} _options.onUsage - Receives `(usage, model)` when the backend reports token counts
+   * @param {ToolRegistry} _options.tools - Local tools the model may call; providers without
+   *   function calling ignore it
+   * @param {string} _options.model - Use only this model, skipping the fallback chain
    * @returns {Promise<string>} - AI response
    */
   // eslint-disable-next-line no-unused-vars
@@ -23,6 +61,77 @@ export class AIProvider {
     throw new Error('generateResponse must be implemented by subclass');
   }
 
+  /**
+   * Generate a streaming response from the AI
+   * @param {string} prompt - User prompt
+   * @param {Object} _options - Streaming options
+   * @param {Array} _options.conversationHistory - Messages preceding the prompt
+   * @param {string} _options.contextSummary - Summary of older turns not sent verbatim
+   * @param {Array} _options.attachments - Images sent with the prompt (see createImageAttachment);
+   *   earlier turns carry their own `attachments`
+   * @param {Object} _options.generationConfig - Generation parameters (see generateResponse)
+   * @param {Object|Array} _options.safetySettings - Harm category thresholds (see generateResponse)
+   * @param {ToolRegistry} _options.tools - Local tools the model may call (see generateResponse)
+   * @param {string} _options.model - Use only this model (see generateResponse)
+   * @param {string} _options.streamId - Identifies the stream for cancelStream; starting a stream
+   *   cancels the in-flight one with the same id, so streams with distinct ids run side by side
+   * @param {Function} _options.onToolStep - Receives each executed tool call
+   *   `{ name, args, result, error, durationMs }`
+   * @param {Function} _options.onChunk - Callback for each chunk (receives accumulated text)
+   * @param {Function} _options.onComplete - Callback when streaming completes; receives the
+   *   text and `{ provider, model, attempts, usage, toolSteps, latencyMs, firstTokenMs }`; `usage` is
+   *   `{ promptTokens, outputTokens, totalTokens }` (summed over tool-call turns) or null when the
+   *   backend reports none
+   * @param {Function} _options.onError - Callback on error (the error carries `responseInfo`)
+   * @param {Function} _options.onRetry - Callback before each retry wait
+   *   (receives `{ attempt, maxAttempts, delayMs, retryAt, model, error }`)
+   * @returns {Promise<string>} - Complete AI response
+   */
+  // eslint-disable-next-line no-unused-vars
+  async generateStreamingResponse(prompt, _options = {}) {
+    throw new Error('generateStreamingResponse must be implemented by subclass');
+  }
+
+  /**
+   * Cancel active streaming requests
+   * @param {string} streamId - Stream to cancel; all streams when omitted
+   */
+  cancelStream(streamId) {
+    const ids = streamId === undefined ? [...this.activeStreams.keys()] : [streamId];
+    for (const id of ids) {
+      this.activeStreams.get(id)?.abort();
+      this.activeStreams.delete(id);
+    }
+  }
+
+  /**
+   * Count tokens for the given text
+   * Providers with a token counting endpoint should override this;
+   * the default is a local character-based estimate
+   * @param {string} text - Text to measure
+   * @returns {Promise<number>}
+   */
+  async countTokens(text) {
+    return estimateTokens(text);
+  }
+
+  /**
+   * Get the primary model this provider talks to
+   * @returns {string|null}
+   */
+  getModelName() {
+    return this.config.model || null;
+  }
+
+  /**
+   * List models this provider can use
+   * Providers with a discovery endpoint should override this
+   * @returns {Promise<Array<{name: string}>>}
+   */
+  async listModels() {
+    return this._getModelsToTry().map(name => ({ name }));
+  }
+
   /**
    * Check if the provider is properly configured
    * @returns {boolean}
@@ -38,30 +147,469 @@ export class AIProvider {
   getName() {
     throw new Error('getName must be implemented by subclass');
   }
+
+  /**
+   * Get all models to try (primary + fallbacks)
+   * @protected
+   */
+  _getModelsToTry() {
+    const fallbacks = this.config.fallbackModels || [];
+    return [this.getModelName(), ...fallbacks].filter(Boolean);
+  }
+
+  /**
+   * Resolve the models to try for a request
+   * Override when the list depends on runtime discovery
+   * @protected
+   * @returns {Promise<string[]>}
+   */
+  async _resolveModelsToTry() {
+    return this._getModelsToTry();
+  }
+
+  /**
+   * Run a request against each model in turn, retrying transient failures
+   * Retries happen per model with exponential backoff; quota and other
+   * non-retryable errors move on to the next model; fatal errors stop early
+   * @protected
+   * @param {Function} attempt - Receives a model name, returns a promise
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Cancels pending retry waits
+   * @param {Function} options.onRetry - Retry progress callback
+   * @param {Object} options.trace - Filled with the answering `model`, failed `attempts`,
+   *   and the `usage` and `toolSteps` of the successful attempt
+   * @param {string} options.model - Try only this model
+   * @returns {Promise<*>} - Result of the first successful attempt
+   */
+  async _runWithFallback(attempt, { signal, onRetry, trace, model } = {}) {
+    const modelsToTry = model ? [model] : await this._resolveModelsToTry();
+    let lastError = null;
+
+    const tryModel = async (modelName) => {
+      // Only the answering attempt's usage and tool calls are reported
+      if (trace) {
+        trace.usage = null;
+        trace.toolSteps = [];
+      }
+      try {
+        return await attempt(modelName);
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          const { type, status, message } = classifyError(error);
+          trace?.attempts.push({ model: modelName, type, status, message });
+        }
+        throw error;
+      }
+    };
+
+    for (const modelName of modelsToTry) {
+      try {
+        console.log(`Attempting with model: ${modelName}`);
+        const result = await withRetry(() => tryModel(modelName), {
+          maxRetries: this.config.maxRetries ?? API_CONFIG.MAX_RETRIES,
+          baseDelay: this.config.retryDelay ?? API_CONFIG.RETRY_DELAY,
+          signal,
+          shouldRetry: (error) => this._isRetryableError(error),
+          onRetry: (info) => {
+            console.warn(`Model ${modelName} failed, retrying in ${info.delayMs}ms:`, info.error.message);
+            onRetry?.({ ...info, model: modelName });
+          },
+        });
+        console.log(`Success with model: ${modelName}`);
+        if (trace) trace.model = modelName;
+        return result;
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        // Lets the classifier name the model that failed
+        if (!error.model) error.model = modelName;
+
+        console.warn(`Model ${modelName} failed:`, error.message);
+        lastError = error;
+
+        // A 403 that refuses this model (e.g. PROXY_ALLOWED_MODELS) is worth trying the next one for
+        if (isFatalError(error) && classifyError(error).type !== ERROR_TYPES.MODEL_NOT_FOUND) break;
+        // Continue to next model
+      }
+    }
+
+    if (lastError) throw lastError;
+    // An empty model list (e.g. a blank model name) never reaches a request
+    throw this._createError(
+      ERROR_TYPES.MODEL_NOT_FOUND,
+      'No model configured. Set a model name in your configuration.',
+    );
+  }
+
+  /**
+   * Accumulate a chunk stream, reporting progress through onChunk
+   * Marks errors raised after output has been shown so they are not retried
+   * @protected
+   * @param {AsyncIterable} chunks - Provider-specific stream of chunks
+   * @param {Function} getText - Extracts the text delta from a chunk
+   * @param {Object} options - Options
+   * @param {Function} options.onChunk - Receives the accumulated text
+   * @param {AbortSignal} options.signal - Stops consumption when aborted
+   * @returns {Promise<string>}
+   */
+  async _collectStream(chunks, getText, { onChunk, signal } = {}) {
+    let accumulatedText = '';
+
+    try {
+      for await (const chunk of chunks) {
+        if (signal?.aborted) {
+          throw createAbortError();
+        }
+        const chunkText = getText(chunk);
+        if (chunkText) {
+          accumulatedText += chunkText;
+          onChunk?.(accumulatedText);
+        }
+      }
+    } catch (error) {
+      if (accumulatedText) error.hasPartialOutput = true;
+      throw error;
+    }
+
+    return accumulatedText;
+  }
+
+  /**
+   * Run model turns until the model answers without requesting tools
+   * Each turn's tool calls are executed through the registry and their
+   * results become the next turn's input. Text from every turn is kept,
+   * so a preamble like "Let me check." stays in front of the answer
+   * @protected
+   * @param {Function} step - Receives `(toolResults, turn)` and returns `{ text, toolCalls }`;
+   *   toolResults is null on the first turn, then the executed calls
+   *   `[{ name, args, result, error }]`; `turn` is `{ signal, onChunk, onUsage }` scoped to the turn
+   * @param {Object} attempt - Attempt context (see _runTimedAttempt)
+   * @param {ToolRegistry} tools - Executes the calls; without it tool calls end the loop
+   * @returns {Promise<string>} - Text of all turns
+   */
+  async _runToolLoop(step, attempt, tools) {
+    let transcript = '';
+    let usage = null;
+    let toolResults = null;
+
+    for (let turn = 1; ; turn++) {
+      const before = transcript;
+      let turnUsage = null;
+      const { text = '', toolCalls = [] } = await step(toolResults, {
+        signal: attempt.signal,
+        onChunk: (accumulatedText) => attempt.onChunk?.(joinTurns(before, accumulatedText)),
+        // Usage is running within a turn, so it is added once the turn ends
+        onUsage: (reported) => {
+          turnUsage = reported;
+          attempt.onUsage?.(sumUsage(usage, reported));
+        },
+      });
+      usage = sumUsage(usage, turnUsage);
+      transcript = joinTurns(transcript, text);
+
+      if (toolCalls.length === 0 || !tools) return transcript;
+      if (turn >= TOOL_CONFIG.MAX_STEPS) {
+        const error = this._createError(ERROR_TYPES.TOOL_LIMIT);
+        error.hasPartialOutput = Boolean(transcript);
+        throw error;
+      }
+
+      toolResults = [];
+      for (const call of toolCalls) {
+        if (attempt.signal?.aborted) throw createAbortError();
+        const result = await tools.execute(call, { signal: attempt.signal });
+        attempt.onToolStep?.(result);
+        toolResults.push(result);
+      }
+    }
+  }
+
+  /**
+   * Get the time limits applied to each attempt
+   * @protected
+   * @returns {{firstToken: number, total: number}}
+   */
+  _getTimeouts() {
+    return {
+      firstToken: this.config.timeout ?? API_CONFIG.TIMEOUT,
+      total: this.config.totalTimeout ?? API_CONFIG.TOTAL_TIMEOUT,
+    };
+  }
+
+  /**
+   * Run a single attempt under its own abort controller and time limits
+   * The attempt's signal fires on user cancellation and on timeout, so the
+   * underlying HTTP request is actually torn down in both cases
+   * @protected
+   * @param {Function} attempt - Receives `(modelName, { signal, onChunk, onUsage, onToolStep })`
+   * @param {string} modelName - Model for this attempt
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Caller's cancellation signal
+   * @param {Function} options.onChunk - Progress callback; the first call stops the first-token timer
+   * @param {Function} options.onUsage - Receives token usage reported by the provider
+   * @param {Function} options.onToolStep - Receives executed tool calls; like output, a tool
+   *   call stops the first-token timer
+   * @param {number} options.firstTokenTimeout - Time to first token (ms), 0 to disable
+   * @param {number} options.totalTimeout - Total duration (ms), 0 to disable
+   * @returns {Promise<*>}
+   */
+  async _runTimedAttempt(attempt, modelName, {
+    signal,
+    onChunk,
+    onUsage,
+    onToolStep,
+    firstTokenTimeout,
+    totalTimeout,
+  } = {}) {
+    const controller = createAttemptController(signal, { firstTokenTimeout, totalTimeout });
+
+    try {
+      return await attempt(modelName, {
+        signal: controller.signal,
+        onChunk: (text) => {
+          controller.markFirstToken();
+          onChunk?.(text);
+        },
+        onUsage: (usage) => onUsage?.(usage),
+        onToolStep: (toolStep) => {
+          controller.markFirstToken();
+          onToolStep?.(toolStep);
+        },
+      });
+    } catch (error) {
+      if (signal?.aborted) throw createAbortError();
+      if (controller.timedOut) {
+        throw this._createTimeoutError(modelName, controller.timedOut, {
+          firstTokenTimeout,
+          totalTimeout,
+          hasPartialOutput: Boolean(error?.hasPartialOutput),
+        });
+      }
+      throw error;
+    } finally {
+      controller.dispose();
+    }
+  }
+
+  /**
+   * Shared streaming lifecycle: abort controller, timeouts, fallback/retry, callbacks
+   * @protected
+   * @param {Function} attempt - Receives `(modelName, { signal, onChunk, onUsage, onToolStep })`, returns
+   *   the full text; the provider must pass `signal` to its HTTP request and report output through
+   *   `onChunk`, and reports token counts through `onUsage` (see createUsage) when the backend returns
+   *   them. Providers with function calling hand the context to _runToolLoop
+   * @param {Object} options - Streaming options (onChunk, onComplete, onError, onRetry, onToolStep,
+   *   model, streamId)
+   * @returns {Promise<string|undefined>} - Undefined when cancelled
+   */
+  async _runStream(attempt, options = {}) {
+    const { onChunk, onComplete, onError, onRetry, onToolStep, model, streamId = DEFAULT_STREAM_ID } = options;
+    const timeouts = this._getTimeouts();
+    const trace = { model: null, attempts: [], usage: null, toolSteps: [] };
+    const startedAt = performance.now();
+    let firstTokenAt = null;
+
+    // Replace the stream with the same id; other streams keep running
+    this.cancelStream(streamId);
+
+    // Create new abort controller for this request
+    const abortController = new AbortController();
+    this.activeStreams.set(streamId, abortController);
+    const { signal } = abortController;
+
+    try {
+      const text = await this._runWithFallback(
+        (modelName) => this._runTimedAttempt(attempt, modelName, {
+          signal,
+          onChunk: (accumulatedText) => {
+            firstTokenAt ??= performance.now();
+            onChunk?.(accumulatedText);
+          },
+          onUsage: (usage) => { trace.usage = usage; },
+          onToolStep: (toolStep) => {
+            trace.toolSteps.push(toolStep);
+            onToolStep?.(toolStep);
+          },
+          firstTokenTimeout: timeouts.firstToken,
+          totalTimeout: timeouts.total,
+        }),
+        { signal, onRetry, trace, model },
+      );
+      // A cancelled stream may still end cleanly; the caller keeps its own partial text
+      if (signal.aborted) return;
+      onComplete?.(text, this._buildResponseInfo(trace, startedAt, firstTokenAt));
+      return text;
+    } catch (error) {
+      if (error.name === 'AbortError' || signal.aborted) return;
+
+      const enhancedError = this._handleError(error);
+      enhancedError.responseInfo = this._buildResponseInfo(trace, startedAt, firstTokenAt);
+      onError?.(enhancedError);
+      throw enhancedError;
+    } finally {
+      if (this.activeStreams.get(streamId) === abortController) {
+        this.activeStreams.delete(streamId);
+      }
+    }
+  }
+
+  /**
+   * Describe how a response was produced, for display alongside the message
+   * @protected
+   * @returns {{provider: string, model: string|null, attempts: Array, usage: Object|null,
+   *   toolSteps: Array, latencyMs: number, firstTokenMs: number|null}}
+   */
+  _buildResponseInfo(trace, startedAt, firstTokenAt) {
+    return {
+      provider: this.getName(),
+      model: trace.model,
+      attempts: trace.attempts,
+      usage: trace.usage,
+      toolSteps: trace.toolSteps,
+      latencyMs: Math.round(performance.now() - startedAt),
+      firstTokenMs: firstTokenAt != null ? Math.round(firstTokenAt - startedAt) : null,
+    };
+  }
+
+  /**
+   * Shared non-streaming lifecycle: total timeout, fallback/retry, error mapping
+   * Not tied to `cancelStream()`, so background requests don't interfere with the chat stream
+   * @protected
+   * @param {Function} attempt - Receives `(modelName, { signal, onUsage, onToolStep })`, returns the
+   *   full text
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Aborts the request (rejects with an AbortError)
+   * @param {Function} options.onRetry - Retry progress callback
+   * @param {Function} options.onUsage - Receives `(usage, model)` once the request succeeds
+   * @param {Function} options.onToolStep - Receives each executed tool call
+   * @param {string} options.model - Use only this model
+   * @returns {Promise<string>}
+   */
+  async _runRequest(attempt, { signal, onRetry, onUsage, onToolStep, model } = {}) {
+    const trace = { model: null, attempts: [], usage: null, toolSteps: [] };
+
+    try {
+      const text = await this._runWithFallback(
+        (modelName) => this._runTimedAttempt(attempt, modelName, {
+          signal,
+          onUsage: (usage) => { trace.usage = usage; },
+          onToolStep,
+          totalTimeout: this._getTimeouts().total,
+        }),
+        { signal, onRetry, trace, model },
+      );
+      if (trace.usage) onUsage?.(trace.usage, trace.model);
+      return text;
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw this._handleError(error);
+    }
+  }
+
+  /**
+   * Create the error reported when an attempt exceeds a time limit
+   * @protected
+   */
+  _createTimeoutError(modelName, kind, { firstTokenTimeout, totalTimeout, hasPartialOutput }) {
+    const seconds = (ms) => `${Math.round(ms / 100) / 10}s`;
+    const message = kind === TIMEOUT_KIND.FIRST_TOKEN
+      ? `No response from ${modelName} within ${seconds(firstTokenTimeout)}`
+      : `Response from ${modelName} exceeded ${seconds(totalTimeout)}`;
+    const error = this._createError(ERROR_TYPES.TIMEOUT, message);
+    error.timeout = kind;
+    error.hasPartialOutput = hasPartialOutput;
+    return error;
+  }
+
+  /**
+   * Create a structured error object
+   * @protected
+   */
+  _createError(type, message) {
+    return createTypedError(type, message);
+  }
+
+  /**
+   * Handle and categorize API errors
+   * Providers can override to add backend-specific guidance
+   * @protected
+   */
+  _handleError(error) {
+    return classifyError(error);
+  }
+
+  /**
+   * Check if error is retryable
+   * @protected
+   */
+  _isRetryableError(error) {
+    return isRetryableError(error);
+  }
+
+  /**
+   * Delay utility for retry logic
+   * @protected
+   */
+  _delay(ms, signal) {
+    return delay(ms, signal);
+  }
 }
 
 /**
  * Factory function to create the appropriate AI provider
- * @param {string} providerType - Type of provider ('gemini', 'openai', etc.)
+ * @param {string} providerType - Type of provider ('gemini', 'proxy', 'openai', 'local', 'mock')
  * @param {Object} config - Provider configuration
+ * @param {boolean} config.record - Wrap the provider in a RecordingProvider
  * @returns {AIProvider}
  */
 export const createAIProvider = async (providerType, config = {}) => {
+  const provider = await instantiateProvider(providerType, config);
+
+  // Record mode captures real streams as fixtures for MockProvider replay
+  const shouldRecord = config.record ?? import.meta.env.VITE_RECORD_FIXTURES === 'true';
+  if (shouldRecord && providerType.toLowerCase() !== 'mock') {
+    const { RecordingProvider } = await import('./mockService');
+    const recorder = new RecordingProvider(provider);
+    if (typeof window !== 'undefined') {
+      window.__JARVIS_RECORDER__ = recorder;
+      console.info('Recording streams. Run __JARVIS_RECORDER__.downloadFixtures() to save them.');
+    }
+    return recorder;
+  }
+
+  return provider;
+};
+
+/**
+ * Instantiate a provider by type
+ * @private
+ */
+const instantiateProvider = async (providerType, config) => {
   switch (providerType.toLowerCase()) {
     case 'gemini': {
       const { GeminiProvider } = await import('./geminiService');
       return new GeminiProvider(config);
     }
     
-    // Future providers can be added here:
-    // case 'openai': {
-    //   const { OpenAIProvider } = await import('./openaiService');
-    //   return new OpenAIProvider(config);
-    // }
-    // case 'local': {
-    //   const { LocalLLMProvider } = await import('./localService');
-    //   return new LocalLLMProvider(config);
-    // }
+    case 'openai': {
+      const { OpenAICompatibleProvider } = await import('./openaiService');
+      return new OpenAICompatibleProvider(config);
+    }
+    
+    case 'proxy': {
+      const { ProxyProvider } = await import('./proxyService');
+      return new ProxyProvider(config);
+    }
+    
+    case 'local':
+    case 'ollama': {
+      const { OllamaProvider } = await import('./ollamaService');
+      return new OllamaProvider(config);
+    }
+    
+    case 'mock': {
+      const { MockProvider, getMockConfigFromEnv } = await import('./mockService');
+      return new MockProvider({ ...getMockConfigFromEnv(), ...config });
+    }
     
     default:
       throw new Error(`Unknown AI provider: ${providerType}`);
@@ -69,4 +617,4 @@ export const createAIProvider = async (providerType, config = {}) => {
 };
 
 // Default provider type (can be configured via environment)
-export const DEFAULT_PROVIDER = 'gemini';
+export const DEFAULT_PROVIDER = import.meta.env.VITE_AI_PROVIDER || 'gemini';
@@ -0,0 +1,321 @@
+/**
+ * Attachments
+ * Reading and describing images and files attached to a message
+ *
+ * Attachments are stored on the message as plain data, so a message can be
+ * serialized and restored without losing them:
+ *
+ *   { id, type: 'image', mimeType: 'image/jpeg', data: '<base64>', name, width, height, size }
+ *   { id, type: 'file', kind: 'text' | 'pdf', mimeType, name, size, text, pages }
+ *
+ * Image `data` is the base64 payload without the `data:` prefix, which is what
+ * Gemini expects in `inlineData` parts. File `text` is sent as delimited
+ * prompt text (see formatFileContext), PDFs after local text extraction.
+ */
+
+import { ATTACHMENT_CONFIG, CONTEXT_CONFIG } from '../constants';
+import { formatFileContext } from '../constants/prompts';
+import { generateId, formatFileSize, estimateTokens } from '../utils/helpers';
+
+// Formats the model accepts as they are; anything else is re-encoded
+const PASSTHROUGH_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+// Formats that may have transparency or sharp edges, re-encoded as PNG rather than JPEG
+const LOSSLESS_TYPES = ['image/png', 'image/gif'];
+
+// Below this size on both sides Gemini bills an image as a single tile
+const SMALL_IMAGE_SIZE = 384;
+
+/**
+ * Build an attachment record
+ * @param {Object} image - `{ mimeType, data, name, width, height }`
+ * @returns {Object}
+ */
+export const createImageAttachment = ({ mimeType, data, name = 'image', width = null, height = null }) => ({
+  id: generateId(),
+  type: 'image',
+  mimeType,
+  data,
+  name,
+  width,
+  height,
+  // Decoded size of the base64 payload
+  size: Math.floor((data.length * 3) / 4) - (data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0),
+});
+
+/**
+ * Build a file attachment record
+ * @param {Object} file - `{ kind, mimeType, name, size, text, pages }`
+ * @returns {Object}
+ */
+export const createFileAttachment = ({ kind = 'text', mimeType = 'text/plain', name = 'file', size, text, pages = null }) => ({
+  id: generateId(),
+  type: 'file',
+  kind,
+  mimeType,
+  name,
+  size: size ?? text.length,
+  text,
+  pages,
+});
+
+/**
+ * Get a `data:` URL for displaying an attachment
+ * @param {Object} attachment - `{ mimeType, data }`
+ * @returns {string}
+ */
+export const toDataUrl = ({ mimeType, data }) => `data:${mimeType};base64,${data}`;
+
+/**
+ * Fit dimensions within a maximum side length, keeping the aspect ratio
+ * @param {number} width - Original width
+ * @param {number} height - Original height
+ * @param {number} maxDimension - Longest side allowed
+ * @returns {{width: number, height: number}}
+ */
+export const getScaledSize = (width, height, maxDimension = ATTACHMENT_CONFIG.MAX_DIMENSION) => {
+  const scale = Math.min(1, maxDimension / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+};
+
+/**
+ * Estimate the input tokens an image costs
+ * Small images are one tile; larger ones are billed per TILE_SIZE tile
+ * @param {Object} attachment - `{ width, height }` (unknown sizes count as MAX_DIMENSION square)
+ * @returns {number}
+ */
+export const estimateImageTokens = ({ width, height } = {}) => {
+  const { TILE_SIZE, TOKENS_PER_TILE, MAX_DIMENSION } = ATTACHMENT_CONFIG;
+  const w = width || MAX_DIMENSION;
+  const h = height || MAX_DIMENSION;
+  if (w <= SMALL_IMAGE_SIZE && h <= SMALL_IMAGE_SIZE) return TOKENS_PER_TILE;
+  return Math.ceil(w / TILE_SIZE) * Math.ceil(h / TILE_SIZE) * TOKENS_PER_TILE;
+};
+
+/**
+ * Estimate the input tokens of a single attachment
+ * Files are measured as sent, delimiters included
+ * @param {Object} attachment - Attachment record
+ * @returns {number}
+ */
+export const estimateAttachmentTokenCount = (attachment) => {
+  if (attachment.type === 'image') return estimateImageTokens(attachment);
+  if (attachment.type === 'file') {
+    return estimateTokens(formatFileContext(attachment), CONTEXT_CONFIG.CHARS_PER_TOKEN);
+  }
+  return 0;
+};
+
+/**
+ * Estimate the input tokens of a message's attachments
+ * @param {Array} attachments - Attachment records
+ * @returns {number}
+ */
+export const estimateAttachmentTokens = (attachments = []) => {
+  return attachments.reduce((sum, attachment) => sum + estimateAttachmentTokenCount(attachment), 0);
+};
+
+/**
+ * Read a Blob as a data URL
+ * @private
+ */
+const readAsDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+/**
+ * Split a data URL into its MIME type and base64 payload
+ * @private
+ */
+const splitDataUrl = (dataUrl) => {
+  const [header, data] = dataUrl.split(',');
+  return { mimeType: header.slice('data:'.length, header.indexOf(';')), data };
+};
+
+// MIME types read as text regardless of extension
+const TEXT_MIME_TYPES = [
+  'application/json',
+  'application/xml',
+  'application/javascript',
+  'application/x-yaml',
+  'application/yaml',
+  'application/sql',
+  'application/x-sh',
+];
+
+/**
+ * Get a file's lowercase extension, or its whole name for files like "Dockerfile"
+ * @private
+ */
+const getExtension = (name = '') => {
+  const lower = name.toLowerCase();
+  const dot = lower.lastIndexOf('.');
+  return dot === -1 ? lower : lower.slice(dot + 1);
+};
+
+/**
+ * Decide how a file is read
+ * @param {File} file - Picked, pasted or dropped file
+ * @returns {'image'|'pdf'|'text'|null} - Null for unsupported files
+ */
+export const getAttachmentKind = (file) => {
+  if (ATTACHMENT_CONFIG.IMAGE_TYPES.includes(file.type)) return 'image';
+  const extension = getExtension(file.name);
+  if (file.type === 'application/pdf' || extension === 'pdf') return 'pdf';
+  if (file.type.startsWith('text/') || TEXT_MIME_TYPES.includes(file.type)) return 'text';
+  if (ATTACHMENT_CONFIG.TEXT_EXTENSIONS.includes(extension)) return 'text';
+  return null;
+};
+
+/**
+ * Check whether a file can be attached
+ * @param {File} file - Picked, pasted or dropped file
+ * @returns {string|null} - Reason it can't, or null when it can
+ */
+export const getAttachmentFileError = (file) => {
+  const name = file.name || 'Pasted file';
+  const kind = getAttachmentKind(file);
+  if (!kind) {
+    return `${name} is not a supported file (images, PDFs, or text and code files)`;
+  }
+  const maxSize = kind === 'text' ? ATTACHMENT_CONFIG.MAX_TEXT_FILE_SIZE : ATTACHMENT_CONFIG.MAX_FILE_SIZE;
+  if (file.size > maxSize) {
+    return `${name} is larger than ${formatFileSize(maxSize)}`;
+  }
+  return null;
+};
+
+/**
+ * Read an image file into an attachment, downscaling it to MAX_DIMENSION
+ * Browser only (uses createImageBitmap and a canvas)
+ * @param {File} file - Image file
+ * @returns {Promise<Object>} - Attachment record
+ */
+export const readImageFile = async (file) => {
+  const problem = getAttachmentFileError(file);
+  if (problem) throw new Error(problem);
+  const name = file.name || 'Pasted image';
+
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch {
+    // No decoder in this browser (e.g. HEIC outside Safari): send the file as it is
+    return createImageAttachment({ ...splitDataUrl(await readAsDataUrl(file)), name });
+  }
+
+  const { width, height } = getScaledSize(bitmap.width, bitmap.height);
+  if (width === bitmap.width && PASSTHROUGH_TYPES.includes(file.type)) {
+    bitmap.close();
+    return createImageAttachment({ ...splitDataUrl(await readAsDataUrl(file)), name, width, height });
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  const outputType = LOSSLESS_TYPES.includes(file.type) ? 'image/png' : 'image/jpeg';
+  const dataUrl = canvas.toDataURL(outputType, ATTACHMENT_CONFIG.JPEG_QUALITY);
+  return createImageAttachment({ ...splitDataUrl(dataUrl), name, width, height });
+};
+
+/**
+ * Read a text or code file into an attachment
+ * @param {File} file - Text file
+ * @returns {Promise<Object>} - Attachment record
+ */
+export const readTextFile = async (file) => {
+  const text = await file.text();
+  // NUL characters mean a binary file with a text-like name
+  if (text.includes('\u0000')) {
+    throw new Error(`${file.name} looks like a binary file`);
+  }
+  return createFileAttachment({
+    kind: 'text',
+    mimeType: file.type || 'text/plain',
+    name: file.name,
+    size: file.size,
+    text: text.replace(/\r\n/g, '\n'),
+  });
+};
+
+/**
+ * Extract a PDF's text locally into an attachment
+ * @param {File} file - PDF file
+ * @returns {Promise<Object>} - Attachment record
+ */
+export const readPdfFile = async (file) => {
+  const { extractPdfText } = await import('./pdfExtractor');
+  let result;
+  try {
+    result = await extractPdfText(await file.arrayBuffer());
+  } catch (error) {
+    throw new Error(`${file.name} could not be read as a PDF (${error.message})`);
+  }
+  if (!result.text) {
+    throw new Error(`${file.name} has no text layer (scanned PDFs are not supported)`);
+  }
+  return createFileAttachment({
+    kind: 'pdf',
+    mimeType: 'application/pdf',
+    name: file.name,
+    size: file.size,
+    text: result.text,
+    pages: result.pages,
+  });
+};
+
+/**
+ * Read any supported file into an attachment
+ * @param {File} file - Picked, pasted or dropped file
+ * @returns {Promise<Object>} - Image or file attachment record
+ */
+export const readAttachmentFile = async (file) => {
+  const problem = getAttachmentFileError(file);
+  if (problem) throw new Error(problem);
+
+  switch (getAttachmentKind(file)) {
+    case 'image':
+      return readImageFile(file);
+    case 'pdf':
+      return readPdfFile(file);
+    default:
+      return readTextFile(file);
+  }
+};
+
+/**
+ * First lines of a file attachment, for previews
+ * @param {Object} attachment - File attachment
+ * @param {number} lines - Lines to keep
+ * @returns {{text: string, truncated: boolean}}
+ */
+export const getFilePreview = (attachment, lines = ATTACHMENT_CONFIG.PREVIEW_LINES) => {
+  const all = attachment.text.split('\n');
+  return { text: all.slice(0, lines).join('\n'), truncated: all.length > lines };
+};
+
+export default {
+  createImageAttachment,
+  createFileAttachment,
+  toDataUrl,
+  getScaledSize,
+  estimateImageTokens,
+  estimateAttachmentTokenCount,
+  estimateAttachmentTokens,
+  getAttachmentKind,
+  getAttachmentFileError,
+  readImageFile,
+  readTextFile,
+  readPdfFile,
+  readAttachmentFile,
+  getFilePreview,
+};
@@ -4,41 +4,52 @@
  */
 
 import { generateId } from '../utils/helpers';
-import { SENDER, MESSAGE_STATUS } from '../constants';
-import { getGeminiProvider } from './geminiService';
+import { SENDER, MESSAGE_STATUS, ERROR_TYPES } from '../constants';
 
 /**
  * Create a new message object
  * @param {string} text - Message content
  * @param {string} sender - Message sender (user/bot/system)
  * @param {Object} options - Additional options
+ * @param {Array} options.attachments - Images sent with the message (see createImageAttachment);
+ *   stored as base64 so the message survives serialization
+ * @param {Array} options.variants - Alternative responses (see addResponseVariant), kept with
+ *   `options.variantIndex` when there is more than one
  * @returns {Object} - Message object
  */
 export const createMessage = (text, sender = SENDER.USER, options = {}) => {
-  return {
+  const message = {
     id: options.id || generateId(),
     text,
     sender,
     timestamp: options.timestamp || Date.now(),
     status: options.status || MESSAGE_STATUS.SENT,
+    attachments: options.attachments || [],
     metadata: options.metadata || {},
   };
+  if (options.variants?.length > 1) {
+    message.variants = options.variants;
+    message.variantIndex = Math.min(Math.max(options.variantIndex ?? 0, 0), options.variants.length - 1);
+  }
+  return message;
 };
 
 /**
  * Create a user message
  * @param {string} text - Message content
+ * @param {Array} attachments - Images sent with the message
  */
-export const createUserMessage = (text) => {
-  return createMessage(text, SENDER.USER);
+export const createUserMessage = (text, attachments = []) => {
+  return createMessage(text, SENDER.USER, { attachments });
 };
 
 /**
  * Create a bot message
  * @param {string} text - Message content
+ * @param {Object} metadata - How the response was produced (model, attempts, timings)
  */
-export const createBotMessage = (text) => {
-  return createMessage(text, SENDER.BOT);
+export const createBotMessage = (text, metadata = {}) => {
+  return createMessage(text, SENDER.BOT, { metadata });
 };
 
 /**
@@ -58,20 +69,82 @@ export const createErrorMessage = (error) => {
   return createMessage(errorText, SENDER.BOT, { 
     status: MESSAGE_STATUS.ERROR,
     metadata: { 
+      ...error?.responseInfo,
       errorType: error?.type || 'UNKNOWN',
       errorMessage: error?.message,
     },
   });
 };
 
+/**
+ * Create the message shown when the model refuses a prompt or withholds its answer
+ * Kept out of conversation context like other error messages
+ * @param {Error} error - SAFETY_BLOCKED error with `blockReason`, `blockSource` and `safetyRatings`
+ * @param {string} partialText - Text streamed before the block, if any
+ */
+export const createBlockedMessage = (error, partialText = '') => {
+  return createMessage(partialText, SENDER.BOT, {
+    status: MESSAGE_STATUS.ERROR,
+    metadata: {
+      ...error?.responseInfo,
+      errorType: error?.type,
+      errorMessage: error?.message,
+      blocked: {
+        reason: error?.blockReason,
+        source: error?.blockSource,
+        safetyRatings: error?.safetyRatings || [],
+      },
+    },
+  });
+};
+
+/**
+ * The parts of a response that differ between its variants
+ * @private
+ */
+const toVariant = ({ text, timestamp, status, metadata }) => ({ text, timestamp, status, metadata });
+
+/**
+ * Add an alternative response to a bot message and show it
+ * The message's text, status and metadata always mirror the shown variant, so
+ * everything that reads messages (history, export, search) uses that one
+ * @param {Object} message - Bot message being regenerated
+ * @param {Object} response - New bot message for the same prompt
+ * @returns {Object} - The message with `variants` and `variantIndex`
+ */
+export const addResponseVariant = (message, response) => {
+  const variants = [...(message.variants || [toVariant(message)]), toVariant(response)];
+  return { ...message, ...toVariant(response), variants, variantIndex: variants.length - 1 };
+};
+
+/**
+ * Show another of a message's variants
+ * @param {Object} message - Bot message with variants
+ * @param {number} index - Variant to show
+ * @returns {Object} - The message showing that variant (unchanged when the index is out of range)
+ */
+export const selectResponseVariant = (message, index) => {
+  const variant = message.variants?.[index];
+  return variant ? { ...message, ...variant, variantIndex: index } : message;
+};
+
 /**
  * Chat Service class
  * Manages chat state and interactions
  */
 export class ChatService {
-  constructor(aiProvider = null) {
-    this.aiProvider = aiProvider || getGeminiProvider();
+  /**
+   * @param {AIProvider} aiProvider - Provider to talk to (see createAIProvider)
+   * @param {Object} options - Options
+   * @param {ContextManager} options.contextManager - Fits long histories into the model's budget
+   */
+  constructor(aiProvider, options = {}) {
+    if (!aiProvider) throw new Error('ChatService needs a provider (see createAIProvider)');
+    this.aiProvider = aiProvider;
+    this.contextManager = options.contextManager || null;
     this.conversationHistory = [];
+    // Controller of the streamed request in flight (see cancel)
+    this.pendingRequest = null;
   }
 
   /**
@@ -80,14 +153,15 @@ export class ChatService {
    * @returns {Promise<Object>} - Bot response message
    */
   async sendMessage(userMessage) {
-    // Add user message to history
+    // Previous turns are sent as context; the new prompt is sent separately
+    const previousHistory = [...this.conversationHistory];
     const userMsg = createUserMessage(userMessage);
     this.conversationHistory.push(userMsg);
 
     try {
       // Get AI response
       const responseText = await this.aiProvider.generateResponse(userMessage, {
-        conversationHistory: this.conversationHistory,
+        conversationHistory: previousHistory,
       });
 
       // Create bot message
@@ -101,11 +175,98 @@ export class ChatService {
     }
   }
 
+  /**
+   * Send a message and stream the response
+   * Outcomes are recorded the way the web app records them: partial text is
+   * kept when a response is cancelled or interrupted, safety blocks become
+   * blocked messages and other failures error messages (none of which are
+   * sent back as context)
+   * @param {string} userMessage - User's message
+   * @param {Object} options - Options
+   * @param {Array} options.attachments - Images and files sent with the message
+   * @param {Object} options.generationConfig - Generation parameters
+   * @param {ToolRegistry} options.tools - Local tools the model may call
+   * @param {Function} options.onChunk - Receives the accumulated text
+   * @param {Function} options.onRetry - Callback before each retry wait
+   * @param {Function} options.onToolStep - Receives each executed tool call
+   * @returns {Promise<{message: Object|null, error: Error|null}>} - The bot message
+   *   (null when cancelled before any output) and the error, if any
+   */
+  async streamMessage(userMessage, options = {}) {
+    const { onChunk, ...requestOptions } = options;
+    const previousHistory = [...this.conversationHistory];
+    this.conversationHistory.push(createUserMessage(userMessage, options.attachments));
+
+    let partialText = '';
+    let responseInfo = null;
+    const record = (message) => {
+      if (message) this.conversationHistory.push(message);
+      return message;
+    };
+
+    // Cancels the context summary too, so a cancelled prompt never starts streaming
+    const controller = new AbortController();
+    this.pendingRequest = controller;
+
+    try {
+      const context = this.contextManager
+        ? await this.contextManager.prepare(previousHistory, { signal: controller.signal })
+        : { history: previousHistory, contextSummary: null };
+      if (controller.signal.aborted) return { message: null, error: null };
+
+      const text = await this.aiProvider.generateStreamingResponse(userMessage, {
+        ...requestOptions,
+        conversationHistory: context.history,
+        contextSummary: context.contextSummary,
+        onChunk: (accumulatedText) => {
+          partialText = accumulatedText;
+          onChunk?.(accumulatedText);
+        },
+        onComplete: (_text, info) => { responseInfo = info; },
+      });
+
+      if (text === undefined) {
+        return { message: record(partialText.trim() ? createBotMessage(partialText) : null), error: null };
+      }
+      return { message: record(createBotMessage(text, responseInfo)), error: null };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return { message: record(partialText.trim() ? createBotMessage(partialText) : null), error: null };
+      }
+      if (error.type === ERROR_TYPES.SAFETY_BLOCKED) {
+        return { message: record(createBlockedMessage(error, partialText.trim() ? partialText : '')), error };
+      }
+      if (partialText.trim()) {
+        const notice = error.type === ERROR_TYPES.TIMEOUT ? '[Response timed out]' : '[Stream interrupted]';
+        return { message: record(createBotMessage(`${partialText}\n\n${notice}`, error.responseInfo)), error };
+      }
+      return { message: record(createErrorMessage(error)), error };
+    }
+  }
+
+  /**
+   * Cancel the response being streamed
+   */
+  cancel() {
+    this.pendingRequest?.abort();
+    this.aiProvider.cancelStream();
+  }
+
   /**
    * Clear conversation history
    */
   clearHistory() {
     this.conversationHistory = [];
+    this.contextManager?.reset();
+  }
+
+  /**
+   * Replace the conversation history, e.g. with a loaded conversation
+   * @param {Array} messages - Messages from createMessage
+   */
+  setHistory(messages = []) {
+    this.clearHistory();
+    this.conversationHistory = [...messages];
   }
 
   /**
@@ -130,11 +291,12 @@ let defaultChatService = null;
 
 /**
  * Get the default chat service instance
+ * @param {AIProvider} aiProvider - Provider for the instance; required on the first call
  * @returns {ChatService}
  */
-export const getChatService = () => {
+export const getChatService = (aiProvider) => {
   if (!defaultChatService) {
-    defaultChatService = new ChatService();
+    defaultChatService = new ChatService(aiProvider);
   }
   return defaultChatService;
 };
@@ -145,6 +307,7 @@ export default {
   createBotMessage,
   createSystemMessage,
   createErrorMessage,
+  createBlockedMessage,
   ChatService,
   getChatService,
 };
@@ -0,0 +1,272 @@
+/**
+ * Context Manager
+ * Keeps conversation history within the model's token budget
+ *
+ * Strategy:
+ * - Recent turns are always sent verbatim
+ * - Older turns that no longer fit are folded into a running summary
+ *   produced by the same AI provider
+ * - The summary is cached and only extended when more turns fall out of the window
+ */
+
+import { API_CONFIG, CONTEXT_CONFIG, SENDER } from '../constants';
+import { isContextMessage, buildSummaryPrompt, getSystemPrompt } from '../constants/prompts';
+import { estimateTokens } from '../utils/helpers';
+import { estimateAttachmentTokens } from './attachments';
+
+/**
+ * Look up token limits for a model
+ * @param {string} modelName - Model identifier
+ * @returns {{inputTokens: number, outputTokens: number}}
+ */
+export const getModelLimits = (modelName) => {
+  return API_CONFIG.MODEL_LIMITS[modelName] || API_CONFIG.DEFAULT_MODEL_LIMITS;
+};
+
+/**
+ * Get the token budget available for conversation history
+ * @param {string} modelName - Model identifier
+ * @returns {number}
+ */
+export const getHistoryBudget = (modelName) => {
+  const { inputTokens } = getModelLimits(modelName);
+  return Math.min(
+    Math.floor(inputTokens * CONTEXT_CONFIG.HISTORY_BUDGET_RATIO),
+    CONTEXT_CONFIG.MAX_HISTORY_TOKENS,
+  );
+};
+
+/**
+ * Estimate tokens for a single message
+ * @private
+ */
+const estimateMessageTokens = (message) => {
+  return estimateTokens(message.text, CONTEXT_CONFIG.CHARS_PER_TOKEN) +
+    estimateAttachmentTokens(message.attachments);
+};
+
+/**
+ * Estimate what a request will use of the model's input window before it is sent
+ * History over the budget gets summarized, so it never counts for more than the budget
+ * @param {Array} conversationHistory - Messages preceding the draft
+ * @param {string} draft - Message about to be sent
+ * @param {Object} options - Options
+ * @param {string} options.modelName - Model whose input limit applies
+ * @param {number} options.budget - History budget (defaults to the model's)
+ * @param {string} options.summary - Cached summary sent in place of older turns
+ * @param {Array} options.attachments - Images attached to the draft (counted with it)
+ * @returns {{draftTokens: number, contextTokens: number, totalTokens: number, limit: number, available: number}}
+ */
+export const estimateRequestTokens = (conversationHistory = [], draft = '', options = {}) => {
+  const modelName = options.modelName || API_CONFIG.MODEL;
+  const limit = getModelLimits(modelName).inputTokens;
+  const budget = options.budget ?? getHistoryBudget(modelName);
+
+  const historyTokens = conversationHistory
+    .filter(isContextMessage)
+    .reduce((sum, msg) => sum + estimateMessageTokens(msg), 0);
+  const contextTokens = estimateTokens(getSystemPrompt(), CONTEXT_CONFIG.CHARS_PER_TOKEN) +
+    Math.min(historyTokens, budget) +
+    (historyTokens > budget ? estimateTokens(options.summary, CONTEXT_CONFIG.CHARS_PER_TOKEN) : 0);
+  const draftTokens = estimateTokens(draft.trim(), CONTEXT_CONFIG.CHARS_PER_TOKEN) +
+    estimateAttachmentTokens(options.attachments);
+
+  return {
+    draftTokens,
+    contextTokens,
+    totalTokens: contextTokens + draftTokens,
+    limit,
+    available: limit - contextTokens,
+  };
+};
+
+/**
+ * Render messages as a plain transcript for summarization
+ * @private
+ */
+const toTranscript = (messages) => {
+  return messages
+    .map((msg) => {
+      const attached = msg.attachments?.length
+        ? ` [attached: ${msg.attachments.map(attachment => attachment.name).join(', ')}]`
+        : '';
+      return `${msg.sender === SENDER.USER ? 'User' : 'JARVIS'}: ${msg.text}${attached}`;
+    })
+    .join('\n\n');
+};
+
+/**
+ * Context Manager class
+ * One instance per conversation, since it caches that conversation's summary
+ */
+export class ContextManager {
+  constructor(aiProvider, options = {}) {
+    this.aiProvider = aiProvider;
+    this.options = options;
+    this.summary = null;
+    this.summarizedIds = [];
+  }
+
+  /**
+   * Get the provider's current model
+   * @returns {string}
+   */
+  getModelName() {
+    return this.aiProvider?.getModelName?.() || API_CONFIG.MODEL;
+  }
+
+  /**
+   * Get the token budget for the provider's current model
+   * @returns {number}
+   */
+  getBudget() {
+    if (this.options.budget) return this.options.budget;
+    return getHistoryBudget(this.getModelName());
+  }
+
+  /**
+   * Estimate a request's size against the current model's input limit
+   * @param {Array} conversationHistory - Messages preceding the draft
+   * @param {string} draft - Message about to be sent
+   * @param {Array} attachments - Images attached to the draft
+   * @returns {Object} - See estimateRequestTokens
+   */
+  estimateRequest(conversationHistory, draft, attachments = []) {
+    return estimateRequestTokens(conversationHistory, draft, {
+      modelName: this.getModelName(),
+      budget: this.getBudget(),
+      summary: this.summary,
+      attachments,
+    });
+  }
+
+  /**
+   * Measure history size in tokens
+   * Uses the cheap local estimate, and only asks the provider for an exact
+   * count when the estimate is close enough to the budget to matter
+   * @param {Array} messages - Context messages
+   * @returns {Promise<number>}
+   */
+  async measure(messages) {
+    const estimate = messages.reduce((sum, msg) => sum + estimateMessageTokens(msg), 0);
+    const budget = this.getBudget();
+
+    if (estimate < budget * 0.5 || !this.aiProvider?.countTokens) {
+      return estimate;
+    }
+
+    // Attachments aren't part of the transcript, so their estimate is added to the count
+    const attachmentTokens = messages.reduce((sum, msg) => sum + estimateAttachmentTokens(msg.attachments), 0);
+    return await this.aiProvider.countTokens(toTranscript(messages)) + attachmentTokens;
+  }
+
+  /**
+   * Fit conversation history into the token budget
+   * When the summary can't be produced, the full history is sent instead, so
+   * turns are never dropped without a summary standing in for them (an
+   * over-long request then fails with CONTEXT_TOO_LONG)
+   * @param {Array} conversationHistory - Messages preceding the current prompt
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Cancels the summary request (rejects with an AbortError)
+   * @returns {Promise<{history: Array, contextSummary: string|null, summarizedCount: number}>}
+   */
+  async prepare(conversationHistory = [], { signal } = {}) {
+    const messages = conversationHistory.filter(isContextMessage);
+    const budget = this.getBudget();
+
+    if (await this.measure(messages) <= budget) {
+      return { history: conversationHistory, contextSummary: null, summarizedCount: 0 };
+    }
+
+    const splitIndex = this._findSplitIndex(messages, budget);
+    const olderMessages = messages.slice(0, splitIndex);
+    const recentMessages = messages.slice(splitIndex);
+
+    // The required recent turns alone are over budget (e.g. large attachments):
+    // there is nothing older to summarize, so don't spend a request on it
+    if (olderMessages.length === 0) {
+      return { history: conversationHistory, contextSummary: null, summarizedCount: 0 };
+    }
+
+    let contextSummary;
+    try {
+      contextSummary = await this._summarize(olderMessages, { signal });
+    } catch (error) {
+      if (error.name === 'AbortError' || signal?.aborted) throw error;
+      console.warn('Context summarization failed, sending the full history:', error.message);
+      return { history: conversationHistory, contextSummary: null, summarizedCount: 0 };
+    }
+
+    return {
+      history: recentMessages,
+      contextSummary,
+      summarizedCount: olderMessages.length,
+    };
+  }
+
+  /**
+   * Forget the cached summary (e.g. when the conversation is cleared)
+   */
+  reset() {
+    this.summary = null;
+    this.summarizedIds = [];
+  }
+
+  /**
+   * Find where verbatim history starts
+   * Walks back from the newest message until the budget is spent, then moves
+   * forward to a user turn so the kept history starts with the user
+   * @private
+   */
+  _findSplitIndex(messages, budget) {
+    const minRecent = Math.min(CONTEXT_CONFIG.MIN_RECENT_MESSAGES, messages.length);
+    let used = 0;
+    let index = messages.length;
+
+    while (index > 0) {
+      const cost = estimateMessageTokens(messages[index - 1]);
+      const isRequired = messages.length - index < minRecent;
+      if (!isRequired && used + cost > budget) break;
+      used += cost;
+      index--;
+    }
+
+    while (index < messages.length && messages[index].sender !== SENDER.USER) {
+      index++;
+    }
+
+    return index;
+  }
+
+  /**
+   * Produce a summary covering the given messages
+   * Reuses the cached summary when the older messages extend what it covers
+   * @throws {Error} - When the provider request fails or is aborted
+   * @private
+   */
+  async _summarize(olderMessages, { signal } = {}) {
+    const olderIds = olderMessages.map(msg => msg.id);
+    const cacheIsPrefix = this.summarizedIds.length > 0 &&
+      this.summarizedIds.length <= olderIds.length &&
+      this.summarizedIds.every((id, i) => olderIds[i] === id);
+
+    if (cacheIsPrefix && this.summarizedIds.length === olderIds.length) {
+      return this.summary;
+    }
+
+    const previousSummary = cacheIsPrefix ? this.summary : null;
+    const pending = cacheIsPrefix
+      ? olderMessages.slice(this.summarizedIds.length)
+      : olderMessages;
+
+    const summary = await this.aiProvider.generateResponse(
+      buildSummaryPrompt(previousSummary, toTranscript(pending)),
+      { signal },
+    );
+    this.summary = summary.trim();
+    this.summarizedIds = olderIds;
+    return this.summary;
+  }
+}
+
+export default ContextManager;
@@ -0,0 +1,123 @@
+/**
+ * Conversation Format
+ * The JSON shape conversations are saved and loaded in; messages are the
+ * createMessage objects the web app holds in its message list
+ *
+ *   {
+ *     format: 'jarvis.conversation',
+ *     version: 1,
+ *     id, title, createdAt, updatedAt,
+ *     summary,           // one-line summary, null until generated
+ *     pinned, archived,  // sidebar state
+ *     persona,           // system prompt for this conversation, null for JARVIS
+ *     draft,             // unsent input
+ *     messages: [...],   // createMessage objects
+ *   }
+ *
+ * Messages keep their attachments (base64 / extracted text) and metadata,
+ * so a loaded conversation continues with the same context. Regenerated bot
+ * messages also keep every variant (`variants`, `variantIndex`), each with the
+ * model and generation parameters that produced it.
+ */
+
+import { SENDER } from '../constants';
+import { generateId, truncateText } from '../utils/helpers';
+import { createMessage } from './chatService';
+
+export const CONVERSATION_FORMAT = 'jarvis.conversation';
+export const CONVERSATION_VERSION = 1;
+
+// Longest title derived from the first message
+const TITLE_LENGTH = 60;
+
+/**
+ * Derive a title from the first user message
+ * @param {Array} messages - Conversation messages
+ * @returns {string}
+ */
+export const getConversationTitle = (messages = []) => {
+  const first = messages.find(message => message.sender === SENDER.USER && message.text?.trim());
+  return first ? truncateText(first.text.trim().replace(/\s+/g, ' '), TITLE_LENGTH) : 'New conversation';
+};
+
+/**
+ * Create a conversation record
+ * @param {Array} messages - Messages from createMessage
+ * @param {Object} options - `{ id, title, summary, createdAt, updatedAt, pinned, archived, persona, draft }`
+ *   to keep
+ * @returns {Object}
+ */
+export const createConversation = (messages = [], options = {}) => {
+  const now = Date.now();
+  return {
+    id: options.id || generateId(),
+    title: options.title || getConversationTitle(messages),
+    createdAt: options.createdAt || messages[0]?.timestamp || now,
+    updatedAt: options.updatedAt || now,
+    summary: typeof options.summary === 'string' && options.summary.trim() ? options.summary : null,
+    pinned: Boolean(options.pinned),
+    archived: Boolean(options.archived),
+    persona: typeof options.persona === 'string' && options.persona.trim() ? options.persona : null,
+    draft: typeof options.draft === 'string' ? options.draft : '',
+    messages,
+  };
+};
+
+/**
+ * Validate a stored message and fill in missing fields
+ * @private
+ */
+const normalizeMessage = (message, index) => {
+  if (!message || typeof message.text !== 'string' || !Object.values(SENDER).includes(message.sender)) {
+    throw new Error(`Message ${index + 1} is not a valid JARVIS message`);
+  }
+  const variants = Array.isArray(message.variants)
+    ? message.variants.filter(variant => typeof variant?.text === 'string')
+    : [];
+  return createMessage(message.text, message.sender, { ...message, variants });
+};
+
+/**
+ * Serialize a conversation for saving
+ * @param {Object} conversation - Conversation record (see createConversation)
+ * @returns {string} - JSON
+ */
+export const serializeConversation = (conversation) => JSON.stringify({
+  format: CONVERSATION_FORMAT,
+  version: CONVERSATION_VERSION,
+  ...conversation,
+}, null, 2);
+
+/**
+ * Parse a saved conversation
+ * A bare array of messages is accepted as well
+ * @param {string|Object} input - JSON text or an already parsed value
+ * @returns {Object} - Conversation record
+ * @throws {Error} - When the input is not a conversation
+ */
+export const parseConversation = (input) => {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  const record = Array.isArray(data) ? { messages: data } : data;
+
+  if (!record || !Array.isArray(record.messages)) {
+    throw new Error('Not a JARVIS conversation: "messages" is missing');
+  }
+  if (record.format && record.format !== CONVERSATION_FORMAT) {
+    throw new Error(`Unsupported conversation format "${record.format}"`);
+  }
+  if (record.version > CONVERSATION_VERSION) {
+    throw new Error(`Conversation version ${record.version} is newer than this version of JARVIS supports`);
+  }
+
+  const { messages, ...options } = record;
+  return createConversation(messages.map(normalizeMessage), options);
+};
+
+export default {
+  CONVERSATION_FORMAT,
+  CONVERSATION_VERSION,
+  getConversationTitle,
+  createConversation,
+  serializeConversation,
+  parseConversation,
+};
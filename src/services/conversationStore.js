@@ -0,0 +1,347 @@
+/**
+ * Conversation Store
+ * Saved conversations in IndexedDB, with a localStorage fallback
+ *
+ * Records use the conversation format (`{ id, title, createdAt, updatedAt,
+ * messages }`, see conversationFormat) and are validated with
+ * parseConversation when read back. `list` returns lightweight entries
+ * (no messages) for the sidebar; full records are read with `get`, or
+ * `getAll` when every message is needed. The id of the conversation open in the app
+ * is kept under STORAGE_KEYS.ACTIVE_CONVERSATION and in the page URL, so a
+ * reload or a bookmark reopens it.
+ */
+
+import { STORAGE_KEYS, CHAT_STORAGE_CONFIG } from '../constants';
+import { parseConversation } from './conversationFormat';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @private
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Validate stored records, skipping (and reporting) any that no longer parse
+ * @private
+ */
+const toConversations = (records) => records.flatMap((record) => {
+  try {
+    return [parseConversation(record)];
+  } catch (error) {
+    console.warn(`Skipping stored conversation ${record?.id}:`, error.message);
+    return [];
+  }
+});
+
+// Most recently updated first
+const byUpdatedAt = (a, b) => b.updatedAt - a.updatedAt;
+
+/**
+ * List entry for a conversation (messages left out)
+ * @private
+ */
+const toEntry = ({ id, title, summary, createdAt, updatedAt, pinned, archived, messages }) => ({
+  id,
+  title,
+  summary,
+  createdAt,
+  updatedAt,
+  pinned,
+  archived,
+  messageCount: messages.length,
+});
+
+/**
+ * Apply an update function to a stored record
+ * @private
+ */
+const applyUpdate = (record, updater) => {
+  const current = record ? toConversations([record])[0] || null : null;
+  return updater(current);
+};
+
+/**
+ * IndexedDB-backed store
+ * Full records and their list entries live in two object stores keyed by
+ * conversation id, written together in one transaction
+ */
+export class IndexedDBConversationStore {
+  /**
+   * @param {IDBDatabase} db - Open database (see IndexedDBConversationStore.open)
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Open (and on first use create) the database
+   * @param {IDBFactory} factory - IndexedDB implementation
+   * @returns {Promise<IndexedDBConversationStore>}
+   */
+  static async open(factory = globalThis.indexedDB) {
+    if (!factory) throw new Error('IndexedDB is not available');
+
+    const request = factory.open(CHAT_STORAGE_CONFIG.DB_NAME, CHAT_STORAGE_CONFIG.DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(CHAT_STORAGE_CONFIG.STORE_NAME)) {
+        db.createObjectStore(CHAT_STORAGE_CONFIG.STORE_NAME, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(CHAT_STORAGE_CONFIG.ENTRY_STORE_NAME)) {
+        const entries = db.createObjectStore(CHAT_STORAGE_CONFIG.ENTRY_STORE_NAME, { keyPath: 'id' });
+        // Conversations saved before entries existed get theirs here, in the upgrade transaction
+        const records = request.transaction.objectStore(CHAT_STORAGE_CONFIG.STORE_NAME).getAll();
+        records.onsuccess = () => {
+          toConversations(records.result).forEach(conversation => entries.put(toEntry(conversation)));
+        };
+      }
+    };
+    return new IndexedDBConversationStore(await promisifyRequest(request));
+  }
+
+  /**
+   * Run a request against one object store in its own transaction
+   * @private
+   */
+  _request(mode, createRequest, storeName = CHAT_STORAGE_CONFIG.STORE_NAME) {
+    const transaction = this.db.transaction(storeName, mode);
+    return promisifyRequest(createRequest(transaction.objectStore(storeName)));
+  }
+
+  /**
+   * Open a read-write transaction over the records and their entries
+   * @private
+   * @returns {{transaction: IDBTransaction, records: IDBObjectStore, entries: IDBObjectStore}}
+   */
+  _writeTransaction() {
+    const transaction = this.db.transaction(
+      [CHAT_STORAGE_CONFIG.STORE_NAME, CHAT_STORAGE_CONFIG.ENTRY_STORE_NAME],
+      'readwrite',
+    );
+    return {
+      transaction,
+      records: transaction.objectStore(CHAT_STORAGE_CONFIG.STORE_NAME),
+      entries: transaction.objectStore(CHAT_STORAGE_CONFIG.ENTRY_STORE_NAME),
+    };
+  }
+
+  /**
+   * List saved conversations, most recently updated first
+   * Reads only the entries, so messages and attachments stay on disk
+   * @returns {Promise<Array>} - `{ id, title, summary, createdAt, updatedAt, pinned, archived, messageCount }`
+   */
+  async list() {
+    const entries = await this._request('readonly', store => store.getAll(), CHAT_STORAGE_CONFIG.ENTRY_STORE_NAME);
+    return entries.sort(byUpdatedAt);
+  }
+
+  /**
+   * Get every saved conversation with its messages, most recently updated first
+   * @returns {Promise<Array>}
+   */
+  async getAll() {
+    const records = await this._request('readonly', store => store.getAll());
+    return toConversations(records).sort(byUpdatedAt);
+  }
+
+  /**
+   * Get one conversation
+   * @param {string} id - Conversation id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const record = await this._request('readonly', store => store.get(id));
+    return record ? toConversations([record])[0] || null : null;
+  }
+
+  /**
+   * Insert or replace a conversation
+   * @param {Object} conversation - Conversation record (see createConversation)
+   */
+  save(conversation) {
+    const { transaction, records, entries } = this._writeTransaction();
+    records.put(conversation);
+    entries.put(toEntry(conversation));
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Read, change and write a conversation in one transaction, so concurrent
+   * updates (a debounced save and a rename, say) don't overwrite each other
+   * @param {string} id - Conversation id
+   * @param {Function} updater - `(conversation|null) => conversation|null`; null leaves the store unchanged
+   * @returns {Promise<Object|null>} - The saved conversation
+   */
+  update(id, updater) {
+    const { transaction, records, entries } = this._writeTransaction();
+
+    return new Promise((resolve, reject) => {
+      let next = null;
+      const request = records.get(id);
+      request.onsuccess = () => {
+        try {
+          next = applyUpdate(request.result, updater);
+          if (next) {
+            records.put(next);
+            entries.put(toEntry(next));
+          }
+        } catch (error) {
+          transaction.abort();
+          reject(error);
+        }
+      };
+      transaction.oncomplete = () => resolve(next);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Delete a conversation
+   * @param {string} id - Conversation id
+   */
+  delete(id) {
+    const { transaction, records, entries } = this._writeTransaction();
+    records.delete(id);
+    entries.delete(id);
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
+
+/**
+ * localStorage-backed store, for browsers without IndexedDB (e.g. some private modes)
+ * Every conversation lives in one JSON object keyed by id, so the smaller
+ * localStorage quota limits how much history (especially images) fits
+ */
+export class LocalStorageConversationStore {
+  /**
+   * @param {Storage} storage - Web Storage implementation
+   * @param {string} key - Storage key holding the conversations
+   */
+  constructor(storage = globalThis.localStorage, key = STORAGE_KEYS.CHAT_HISTORY) {
+    this.storage = storage;
+    this.key = key;
+  }
+
+  /**
+   * @private
+   * @returns {Object<string, Object>}
+   */
+  _read() {
+    try {
+      return JSON.parse(this.storage.getItem(this.key)) || {};
+    } catch (error) {
+      console.warn(`Error reading localStorage key "${this.key}":`, error);
+      return {};
+    }
+  }
+
+  /**
+   * @private
+   */
+  _write(records) {
+    this.storage.setItem(this.key, JSON.stringify(records));
+  }
+
+  // Everything is one JSON value here, so entries are derived from the full records
+  async list() {
+    return (await this.getAll()).map(toEntry);
+  }
+
+  async getAll() {
+    return toConversations(Object.values(this._read())).sort(byUpdatedAt);
+  }
+
+  async get(id) {
+    const record = this._read()[id];
+    return record ? toConversations([record])[0] || null : null;
+  }
+
+  async save(conversation) {
+    this._write({ ...this._read(), [conversation.id]: conversation });
+  }
+
+  async update(id, updater) {
+    const records = this._read();
+    const next = applyUpdate(records[id], updater);
+    if (next) this._write({ ...records, [id]: next });
+    return next;
+  }
+
+  async delete(id) {
+    const { [id]: _removed, ...rest } = this._read();
+    this._write(rest);
+  }
+}
+
+/**
+ * Get the id of the conversation open in the app
+ * @returns {string|null}
+ */
+export const getActiveConversationId = () => {
+  try {
+    return globalThis.localStorage?.getItem(STORAGE_KEYS.ACTIVE_CONVERSATION) ?? null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Remember the conversation open in the app
+ * @param {string} id - Conversation id
+ */
+export const setActiveConversationId = (id) => {
+  try {
+    globalThis.localStorage?.setItem(STORAGE_KEYS.ACTIVE_CONVERSATION, id);
+  } catch (error) {
+    console.warn('Could not remember the active conversation:', error);
+  }
+};
+
+/**
+ * Get the conversation id in the page URL (see CHAT_STORAGE_CONFIG.URL_PARAM)
+ * @returns {string|null}
+ */
+export const getUrlConversationId = () => {
+  if (typeof window === 'undefined') return null;
+  return new URL(window.location.href).searchParams.get(CHAT_STORAGE_CONFIG.URL_PARAM);
+};
+
+/**
+ * Put a conversation id in the page URL
+ * @param {string} id - Conversation id
+ * @param {Object} options - `{ replace }`: replace the history entry instead of adding one
+ */
+export const setUrlConversationId = (id, { replace = false } = {}) => {
+  if (typeof window === 'undefined' || getUrlConversationId() === id) return;
+  const url = new URL(window.location.href);
+  url.searchParams.set(CHAT_STORAGE_CONFIG.URL_PARAM, id);
+  window.history[replace ? 'replaceState' : 'pushState']({ conversationId: id }, '', url);
+};
+
+let storePromise = null;
+
+/**
+ * Get the shared conversation store
+ * IndexedDB when it opens, localStorage otherwise
+ * @returns {Promise<IndexedDBConversationStore|LocalStorageConversationStore>}
+ */
+export const getConversationStore = () => {
+  storePromise ??= IndexedDBConversationStore.open().catch((error) => {
+    console.warn('IndexedDB unavailable, saving conversations to localStorage:', error.message);
+    return new LocalStorageConversationStore();
+  });
+  return storePromise;
+};
+
+export default getConversationStore;
@@ -0,0 +1,81 @@
+/**
+ * Conversation Titles
+ * Asks the provider for a conversation's title and one-line summary
+ *
+ * Uses the provider's non-streaming `generateResponse`, which runs under its
+ * own abort signal and is not affected by (and does not affect) `cancelStream()`,
+ * so a title can be generated while the chat streams.
+ */
+
+import { SENDER, TITLE_CONFIG } from '../constants';
+import { buildTitlePrompt, isContextMessage } from '../constants/prompts';
+import { truncateText } from '../utils/helpers';
+
+/**
+ * Opening turns as a short transcript
+ * @private
+ */
+const toTranscript = (messages) => {
+  let transcript = '';
+  for (const message of messages.filter(isContextMessage)) {
+    const speaker = message.sender === SENDER.USER ? 'User' : 'JARVIS';
+    const line = `${speaker}: ${truncateText(message.text.trim(), TITLE_CONFIG.MAX_MESSAGE_CHARS)}\n\n`;
+    if (transcript && transcript.length + line.length > TITLE_CONFIG.MAX_INPUT_CHARS) break;
+    transcript += line;
+  }
+  return truncateText(transcript.trim(), TITLE_CONFIG.MAX_INPUT_CHARS);
+};
+
+/**
+ * Tidy one line of the model's reply
+ * @private
+ */
+const cleanLine = (text, maxLength) => truncateText(
+  text.replace(/^[*_#\s]+|[*_\s]+$/g, '').replace(/^["'“]+|["'”]+$/g, '').trim(),
+  maxLength,
+);
+
+/**
+ * Read `Title:` / `Summary:` lines; a reply without labels uses its first line as the title
+ * @param {string} reply - Model output
+ * @returns {{title: string, summary: string|null}}
+ * @throws {Error} - When the reply has no usable title
+ */
+export const parseTitleReply = (reply = '') => {
+  const lines = reply.split('\n').map(line => line.trim()).filter(Boolean);
+  const labelled = (label) => {
+    const pattern = new RegExp(`^\\W*${label}\\W*:\\s*(.+)$`, 'i');
+    const match = lines.map(line => line.match(pattern)).find(Boolean);
+    return match ? match[1] : null;
+  };
+
+  const title = cleanLine(labelled('title') ?? lines[0] ?? '', TITLE_CONFIG.TITLE_LENGTH).replace(/\.$/, '');
+  const summary = labelled('summary');
+  if (!title) throw new Error('The model did not return a title');
+
+  return { title, summary: summary ? cleanLine(summary, TITLE_CONFIG.SUMMARY_LENGTH) : null };
+};
+
+/**
+ * Generate a title and summary for a conversation
+ * @param {AIProvider} provider - Active provider
+ * @param {Array} messages - Conversation messages (only the opening turns are sent)
+ * @param {Object} options - `{ signal, onUsage }`, passed to the request
+ * @returns {Promise<{title: string, summary: string|null}>}
+ */
+export const generateConversationTitle = async (provider, messages, { signal, onUsage } = {}) => {
+  const transcript = toTranscript(messages);
+  if (!transcript) throw new Error('The conversation has no messages to title');
+
+  const reply = await provider.generateResponse(buildTitlePrompt(transcript), {
+    signal,
+    onUsage,
+    generationConfig: {
+      temperature: TITLE_CONFIG.TEMPERATURE,
+      maxOutputTokens: TITLE_CONFIG.MAX_OUTPUT_TOKENS,
+    },
+  });
+  return parseTitleReply(reply);
+};
+
+export default generateConversationTitle;
@@ -0,0 +1,193 @@
+/**
+ * Error Classifier
+ * Maps provider, SDK and network failures onto ERROR_TYPES
+ *
+ * Signals are checked from most to least reliable:
+ * - Blocks reported by the model (`promptFeedback.blockReason`, `finishReason`)
+ * - HTTP status and structured details (`GoogleGenerativeAIFetchError.status` / `errorDetails`)
+ * - Error class (fetch TypeErrors, timeouts)
+ * - Message wording, only for cases that share a status with other failures
+ *   (e.g. context length vs. other 400s) or carry no status at all
+ */
+
+import { ERROR_TYPES, ERROR_MESSAGES } from '../constants';
+import { getErrorStatus, isQuotaError } from './retryPolicy';
+
+// Finish reasons meaning the candidate was withheld rather than completed
+export const BLOCKING_FINISH_REASONS = [
+  'SAFETY',
+  'RECITATION',
+  'LANGUAGE',
+  'BLOCKLIST',
+  'PROHIBITED_CONTENT',
+  'SPII',
+  'IMAGE_SAFETY',
+];
+
+// Wording used by Gemini, OpenAI-compatible servers and Ollama for oversized input
+const CONTEXT_TOO_LONG_PATTERNS = [
+  /context.length/i,
+  /context window/i,
+  /input token count/i,
+  /exceeds the maximum number of tokens/i,
+  /maximum context/i,
+  /prompt is too long/i,
+  /too many tokens/i,
+];
+
+const MODEL_NOT_FOUND_PATTERNS = [
+  /model\b.*\bnot found/i,
+  /model\b.*\bdoes not exist/i,
+  /is not found for api version/i,
+  /does not have access to model/i,
+];
+
+// Error body codes meaning the server refused the model rather than the credentials
+// (the proxy's PROXY_ALLOWED_MODELS check, OpenAI-compatible gateways)
+const MODEL_ACCESS_CODES = ['MODEL_NOT_ALLOWED', 'model_not_found'];
+
+const NETWORK_PATTERNS = [
+  /failed to fetch/i,
+  /fetch failed/i,
+  /network/i,
+  /econnrefused/i,
+  /econnreset/i,
+  /load failed/i,
+];
+
+const TIMEOUT_PATTERNS = [/timed? ?out/i, /deadline/i];
+
+const matchesAny = (patterns, text) => patterns.some(pattern => pattern.test(text));
+
+/**
+ * Create an error carrying an ERROR_TYPES category
+ * @param {string} type - One of ERROR_TYPES
+ * @param {string} message - User-facing message (defaults to ERROR_MESSAGES)
+ * @param {Object} details - Extra fields copied onto the error (status, cause, ...)
+ * @returns {Error}
+ */
+export const createTypedError = (type, message = ERROR_MESSAGES[type], details = {}) => {
+  const error = new Error(message || ERROR_MESSAGES[ERROR_TYPES.UNKNOWN]);
+  error.type = type;
+  Object.assign(error, details);
+  return error;
+};
+
+/**
+ * Find a safety/recitation block in a Gemini response or stream chunk
+ * @param {Object} response - `GenerateContentResponse`
+ * @returns {{source: 'prompt'|'response', reason: string, safetyRatings: Array}|null}
+ */
+export const getBlockInfo = (response) => {
+  const blockReason = response?.promptFeedback?.blockReason;
+  if (blockReason) {
+    return {
+      source: 'prompt',
+      reason: blockReason,
+      safetyRatings: response.promptFeedback.safetyRatings || [],
+    };
+  }
+
+  const candidate = response?.candidates?.[0];
+  if (candidate && BLOCKING_FINISH_REASONS.includes(candidate.finishReason)) {
+    return {
+      source: 'response',
+      reason: candidate.finishReason,
+      safetyRatings: candidate.safetyRatings || [],
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Create the error raised when the model refuses a prompt or withholds its answer
+ * @param {Object} block - Result of getBlockInfo
+ * @returns {Error}
+ */
+export const createBlockedError = (block) => {
+  return createTypedError(ERROR_TYPES.SAFETY_BLOCKED, undefined, {
+    blockReason: block.reason,
+    blockSource: block.source,
+    safetyRatings: block.safetyRatings,
+  });
+};
+
+/**
+ * Classify by HTTP status
+ * @private
+ */
+const classifyStatus = (status, error, text) => {
+  const reasons = (error?.errorDetails || []).map(detail => detail?.reason).filter(Boolean);
+
+  if (MODEL_ACCESS_CODES.includes(error?.code)) return ERROR_TYPES.MODEL_NOT_FOUND;
+  if (reasons.includes('API_KEY_INVALID') || status === 401) return ERROR_TYPES.API_KEY_INVALID;
+  if (status === 403) {
+    return matchesAny(MODEL_NOT_FOUND_PATTERNS, text) ? ERROR_TYPES.MODEL_NOT_FOUND : ERROR_TYPES.API_KEY_INVALID;
+  }
+  if (status === 404) return ERROR_TYPES.MODEL_NOT_FOUND;
+  if (status === 408 || status === 504) return ERROR_TYPES.TIMEOUT;
+  if (status === 413 || (status === 400 && matchesAny(CONTEXT_TOO_LONG_PATTERNS, text))) {
+    return ERROR_TYPES.CONTEXT_TOO_LONG;
+  }
+  if (status === 429) {
+    return isQuotaError(error) ? ERROR_TYPES.QUOTA_EXCEEDED : ERROR_TYPES.RATE_LIMITED;
+  }
+  if (status >= 500) return ERROR_TYPES.SERVER_ERROR;
+
+  return ERROR_TYPES.UNKNOWN;
+};
+
+/**
+ * Classify errors that carry no HTTP status
+ * @private
+ */
+const classifyWithoutStatus = (error, text) => {
+  if (error instanceof TypeError || matchesAny(NETWORK_PATTERNS, text)) return ERROR_TYPES.NETWORK_ERROR;
+  if (matchesAny(TIMEOUT_PATTERNS, text)) return ERROR_TYPES.TIMEOUT;
+  if (matchesAny(CONTEXT_TOO_LONG_PATTERNS, text)) return ERROR_TYPES.CONTEXT_TOO_LONG;
+  if (matchesAny(MODEL_NOT_FOUND_PATTERNS, text)) return ERROR_TYPES.MODEL_NOT_FOUND;
+  if (/api.key/i.test(text)) return ERROR_TYPES.API_KEY_INVALID;
+  return ERROR_TYPES.UNKNOWN;
+};
+
+/**
+ * Classify any provider error into a typed, user-presentable error
+ * Already-typed errors are returned unchanged
+ * @param {Error} error - Raw error from a provider, the SDK or fetch
+ * @returns {Error} - Error with `type`, a user-facing `message`, and the raw
+ *   error as `cause` (plus `status`, `model` and block details when known)
+ */
+export const classifyError = (error) => {
+  if (error?.type) return error;
+
+  const block = getBlockInfo(error?.response);
+  if (block) return createBlockedError(block);
+
+  const text = error?.message || '';
+  const status = getErrorStatus(error);
+  const type = status ? classifyStatus(status, error, text) : classifyWithoutStatus(error, text);
+
+  let message = ERROR_MESSAGES[type];
+  if (type === ERROR_TYPES.MODEL_NOT_FOUND && error?.model) {
+    message = `Model "${error.model}" is not available. Check the model name in your configuration.`;
+  } else if (type === ERROR_TYPES.UNKNOWN && text) {
+    // Unrecognized failures are more useful with the provider's own wording
+    message = text;
+  }
+
+  return createTypedError(type, message, {
+    status: status ?? undefined,
+    model: error?.model,
+    hasPartialOutput: error?.hasPartialOutput,
+    cause: error,
+  });
+};
+
+export default {
+  classifyError,
+  createTypedError,
+  createBlockedError,
+  getBlockInfo,
+  BLOCKING_FINISH_REASONS,
+};
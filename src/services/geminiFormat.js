@@ -0,0 +1,38 @@
+/**
+ * Gemini Format
+ * Conversions between Gemini API payloads and the app's records
+ * Shared by the direct Gemini provider and the proxy provider
+ */
+
+import { createUsage } from './usageTracker';
+
+/**
+ * Convert Gemini `usageMetadata` to a usage record
+ * Output is derived from the total so reasoning ("thinking") tokens are billed as output
+ * @param {Object} usageMetadata - `usageMetadata` from a response or stream chunk
+ * @returns {Object|null} - Usage record, or null when the payload has none
+ */
+export const toUsage = (usageMetadata) => {
+  if (!usageMetadata) return null;
+  const { promptTokenCount = 0, candidatesTokenCount = 0, totalTokenCount } = usageMetadata;
+  const outputTokens = totalTokenCount ? totalTokenCount - promptTokenCount : candidatesTokenCount;
+  return createUsage(promptTokenCount, outputTokens, totalTokenCount);
+};
+
+/**
+ * Convert an executed tool call to a `functionResponse` part
+ * Gemini expects an object response, so results are wrapped
+ * @param {Object} toolResult - `{ name, result, error }`
+ * @returns {Object} - Content part
+ */
+export const toFunctionResponse = ({ name, result, error }) => ({
+  functionResponse: {
+    name,
+    response: error ? { error } : { result },
+  },
+});
+
+export default {
+  toUsage,
+  toFunctionResponse,
+};
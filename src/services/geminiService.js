@@ -8,6 +8,21 @@ import { GoogleGenerativeAI } from '@google/generative-ai';
 import { AIProvider } from './aiService';
 import { API_CONFIG, ERROR_TYPES } from '../constants';
 import { getSystemPrompt, buildContextualPrompt } from '../constants/prompts';
+import { getBlockInfo, createBlockedError } from './errorClassifier';
+import { normalizeGenerationConfig, normalizeStreamingConfig, toSafetySettingsList } from './generationSettings';
+import { toUsage, toFunctionResponse } from './geminiFormat';
+
+/**
+ * Extract text from a response or stream chunk
+ * The SDK only throws for some block reasons and returns '' for others
+ * (e.g. BLOCKLIST), so blocks are detected explicitly
+ * @private
+ */
+const readText = (response) => {
+  const block = getBlockInfo(response);
+  if (block) throw createBlockedError(block);
+  return response.text();
+};
 
 /**
  * Gemini Provider Implementation
@@ -19,7 +34,6 @@ export class GeminiProvider extends AIProvider {
     this.apiKey = config.apiKey || import.meta.env.VITE_GEMINI_API_KEY;
     this.model = null;
     this.genAI = null;
-    this.activeAbortController = null;
     this._initialize();
   }
 
@@ -39,6 +53,7 @@ export class GeminiProvider extends AIProvider {
       this.model = this.genAI.getGenerativeModel({ 
         model: this.config.model || API_CONFIG.MODEL,
         systemInstruction: getSystemPrompt(),
+        safetySettings: toSafetySettingsList(this.config.safetySettings),
       });
     } catch (error) {
       console.error('Failed to initialize Gemini:', error);
@@ -48,21 +63,41 @@ export class GeminiProvider extends AIProvider {
   /**
    * Get a model instance by name
    * @private
+   * @param {string} modelName - Model identifier
+   * @param {Object} generationConfig - Normalized generation parameters
+   * @param {Array} safetySettings - `[{ category, threshold }]`; omitted categories use the API default
+   * @param {ToolRegistry} tools - Tools declared to the model as `functionDeclarations`
    */
-  _getModel(modelName) {
+  _getModel(modelName, generationConfig = {}, safetySettings = [], tools = null) {
+    const functionDeclarations = tools?.getFunctionDeclarations() || [];
     return this.genAI.getGenerativeModel({ 
       model: modelName,
       systemInstruction: getSystemPrompt(),
+      generationConfig,
+      safetySettings,
+      ...(functionDeclarations.length > 0 && { tools: [{ functionDeclarations }] }),
     });
   }
 
+  /**
+   * Resolve safety settings for a request
+   * Per-request settings, when any are set, replace the provider's configured `safetySettings`
+   * @private
+   * @param {Object|Array} safetySettings - Per-request settings
+   * @returns {Array}
+   */
+  _getSafetySettings(safetySettings) {
+    const requested = toSafetySettingsList(safetySettings);
+    return requested.length > 0 ? requested : toSafetySettingsList(this.config.safetySettings);
+  }
+
   /**
    * Get all models to try (primary + fallbacks)
    * @private
    */
   _getModelsToTry() {
-    const primary = this.config.model || API_CONFIG.MODEL;
-    const fallbacks = API_CONFIG.FALLBACK_MODELS || [];
+    const primary = this.getModelName();
+    const fallbacks = this.config.fallbackModels || API_CONFIG.FALLBACK_MODELS || [];
     return [primary, ...fallbacks];
   }
 
@@ -74,6 +109,34 @@ export class GeminiProvider extends AIProvider {
     this._initialize();
   }
 
+  /**
+   * Get the primary model name
+   * @returns {string}
+   */
+  getModelName() {
+    return this.config.model || API_CONFIG.MODEL;
+  }
+
+  /**
+   * Count tokens using the Gemini countTokens endpoint
+   * Falls back to the local estimate when the request fails
+   * @param {string} text - Text to measure
+   * @returns {Promise<number>}
+   */
+  async countTokens(text) {
+    if (!this.isConfigured() || !text) {
+      return super.countTokens(text);
+    }
+
+    try {
+      const { totalTokens } = await this.model.countTokens(text);
+      return totalTokens;
+    } catch (error) {
+      console.warn('Token count failed, using estimate:', error.message);
+      return super.countTokens(text);
+    }
+  }
+
   /**
    * Check if Gemini is properly configured
    * @returns {boolean}
@@ -90,24 +153,23 @@ export class GeminiProvider extends AIProvider {
     return 'Google Gemini';
   }
 
-  /**
-   * Cancel any active streaming request
-   */
-  cancelStream() {
-    if (this.activeAbortController) {
-      this.activeAbortController.abort();
-      this.activeAbortController = null;
-    }
-  }
-
   /**
    * Generate a streaming response using Gemini
    * @param {string} prompt - User prompt
    * @param {Object} options - Additional options
+   * @param {Array} options.conversationHistory - Messages preceding the prompt
+   * @param {string} options.contextSummary - Summary of older turns not sent verbatim
+   * @param {Array} options.attachments - Images sent with the prompt as `inlineData` parts
+   * @param {Object} options.generationConfig - Generation parameters (temperature, topP, ...);
+   *   candidateCount is not sent, since a stream shows a single response
+   * @param {Object|Array} options.safetySettings - Harm category thresholds (overrides config.safetySettings)
+   * @param {ToolRegistry} options.tools - Local tools the model may call
+   * @param {Function} options.onToolStep - Callback for each executed tool call
    * @param {Function} options.onChunk - Callback for each chunk (receives accumulated text)
    * @param {Function} options.onComplete - Callback when streaming completes
    * @param {Function} options.onError - Callback on error
-   * @returns {Promise<void>}
+   * @param {Function} options.onRetry - Callback before each retry wait
+   * @returns {Promise<string|undefined>} - Undefined when cancelled
    */
   async generateStreamingResponse(prompt, options = {}) {
     if (!this.isConfigured()) {
@@ -116,62 +178,30 @@ export class GeminiProvider extends AIProvider {
       throw error;
     }
 
-    const { 
-      conversationHistory = [], 
-      onChunk, 
-      onComplete, 
-      onError,
-    } = options;
-
-    // Cancel any existing stream
-    this.cancelStream();
-    
-    // Create new abort controller for this request
-    this.activeAbortController = new AbortController();
+    const { conversationHistory = [], contextSummary, attachments } = options;
+    const { history, message } = buildContextualPrompt(prompt, conversationHistory, { contextSummary, attachments });
+    const generationConfig = normalizeStreamingConfig(options.generationConfig);
+    const safetySettings = this._getSafetySettings(options.safetySettings);
 
-    const contextualPrompt = buildContextualPrompt(prompt, conversationHistory);
-    const modelsToTry = this._getModelsToTry();
-    let lastError = null;
+    // Try each model in order (retry transient errors, fall back on quota exceeded)
+    return this._runStream((modelName, attempt) => {
+      const chat = this._getModel(modelName, generationConfig, safetySettings, options.tools)
+        .startChat({ history });
 
-    // Try each model in order (fallback on quota exceeded)
-    for (const modelName of modelsToTry) {
-      try {
-        console.log(`Attempting with model: ${modelName}`);
-        const model = this._getModel(modelName);
-        
-        const result = await model.generateContentStream(contextualPrompt);
-        let accumulatedText = '';
-        
-        for await (const chunk of result.stream) {
-          if (this.activeAbortController?.signal.aborted) {
-            break;
-          }
-          const chunkText = chunk.text();
-          accumulatedText += chunkText;
-          onChunk?.(accumulatedText);
-        }
-        
-        this.activeAbortController = null;
-        console.log(`Success with model: ${modelName}`);
-        onComplete?.(accumulatedText);
-        return accumulatedText;
-      } catch (error) {
-        console.warn(`Model ${modelName} failed:`, error.message);
-        lastError = error;
-        
-        if (error.name === 'AbortError') {
-          this.activeAbortController = null;
-          return;
-        }
-        // Continue to next model
-      }
-    }
-
-    // All models failed
-    this.activeAbortController = null;
-    const enhancedError = this._handleError(lastError);
-    onError?.(enhancedError);
-    throw enhancedError;
+      // The chat session keeps function calls and responses in its history between turns
+      return this._runToolLoop(async (toolResults, turn) => {
+        const request = toolResults ? toolResults.map(toFunctionResponse) : message;
+        // The signal aborts the underlying fetch, not just our read loop
+        const result = await chat.sendMessageStream(request, { signal: turn.signal });
+        // Every chunk carries running usage; the last one has the final counts
+        const text = await this._collectStream(result.stream, (chunk) => {
+          if (chunk.usageMetadata) turn.onUsage(toUsage(chunk.usageMetadata));
+          return readText(chunk);
+        }, turn);
+        const response = await result.response;
+        return { text, toolCalls: response.functionCalls() || [] };
+      }, attempt, options.tools);
+    }, options);
   }
 
   /**
@@ -179,6 +209,16 @@ export class GeminiProvider extends AIProvider {
    * Uses fallback strategy like streaming method
    * @param {string} prompt - User prompt
    * @param {Object} options - Additional options
+   * @param {Array} options.conversationHistory - Messages preceding the prompt
+   * @param {string} options.contextSummary - Summary of older turns not sent verbatim
+   * @param {Array} options.attachments - Images sent with the prompt as `inlineData` parts
+   * @param {Object} options.generationConfig - Generation parameters (temperature, topP, ...);
+   *   with candidateCount > 1 only the first candidate is used
+   * @param {Object|Array} options.safetySettings - Harm category thresholds (overrides config.safetySettings)
+   * @param {ToolRegistry} options.tools - Local tools the model may call
+   * @param {Function} options.onRetry - Callback before each retry wait
+   * @param {AbortSignal} options.signal - Aborts the in-flight request
+   * @param {Function} options.onUsage - Receives `(usage, model)` from `usageMetadata`
    * @returns {Promise<string>} - AI response
    */
   async generateResponse(prompt, options = {}) {
@@ -186,82 +226,23 @@ export class GeminiProvider extends AIProvider {
       throw this._createError(ERROR_TYPES.API_KEY_MISSING, 'Gemini API key not configured');
     }
 
-    const { conversationHistory = [] } = options;
-    const contextualPrompt = buildContextualPrompt(prompt, conversationHistory);
-    const modelsToTry = this._getModelsToTry();
-    let lastError = null;
-
-    for (const modelName of modelsToTry) {
-      try {
-        console.log(`Attempting with model: ${modelName}`);
-        const model = this._getModel(modelName);
-        const result = await model.generateContent(contextualPrompt);
-        const response = await result.response;
-        console.log(`Success with model: ${modelName}`);
-        return response.text();
-      } catch (error) {
-        console.warn(`Model ${modelName} failed:`, error.message);
-        lastError = error;
-      }
-    }
+    const { conversationHistory = [], contextSummary, attachments } = options;
+    const { history, message } = buildContextualPrompt(prompt, conversationHistory, { contextSummary, attachments });
+    const generationConfig = normalizeGenerationConfig(options.generationConfig);
+    const safetySettings = this._getSafetySettings(options.safetySettings);
 
-    throw this._handleError(lastError);
-  }
+    return this._runRequest((modelName, attempt) => {
+      const chat = this._getModel(modelName, generationConfig, safetySettings, options.tools)
+        .startChat({ history });
 
-  /**
-   * Create a structured error object
-   * @private
-   */
-  _createError(type, message) {
-    const error = new Error(message);
-    error.type = type;
-    return error;
-  }
-
-  /**
-   * Handle and categorize API errors
-   * @private
-   */
-  _handleError(error) {
-    const message = error?.message?.toLowerCase() || '';
-    
-    if (message.includes('api key') || message.includes('api_key') || message.includes('invalid')) {
-      return this._createError(ERROR_TYPES.API_KEY_INVALID, 'Invalid API key. Please check your configuration.');
-    }
-    
-    if (message.includes('quota') || message.includes('limit exceeded')) {
-      return this._createError(ERROR_TYPES.QUOTA_EXCEEDED, 'API quota exceeded. Please try again later.');
-    }
-    
-    if (message.includes('rate') || message.includes('429')) {
-      return this._createError(ERROR_TYPES.RATE_LIMITED, 'Rate limit exceeded. Please slow down.');
-    }
-    
-    if (message.includes('network') || message.includes('fetch') || message.includes('timeout')) {
-      return this._createError(ERROR_TYPES.NETWORK_ERROR, 'Network error. Please check your connection.');
-    }
-    
-    return this._createError(ERROR_TYPES.UNKNOWN, error.message || 'An unexpected error occurred.');
-  }
-
-  /**
-   * Check if error is retryable
-   * @private
-   */
-  _isRetryableError(error) {
-    const message = error?.message?.toLowerCase() || '';
-    return message.includes('network') || 
-           message.includes('timeout') || 
-           message.includes('503') ||
-           message.includes('429');
-  }
-
-  /**
-   * Delay utility for retry logic
-   * @private
-   */
-  _delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+      return this._runToolLoop(async (toolResults, turn) => {
+        const request = toolResults ? toolResults.map(toFunctionResponse) : message;
+        const result = await chat.sendMessage(request, { signal: turn.signal });
+        const response = await result.response;
+        if (response.usageMetadata) turn.onUsage(toUsage(response.usageMetadata));
+        return { text: readText(response), toolCalls: response.functionCalls() || [] };
+      }, attempt, options.tools);
+    }, options);
   }
 }
 
@@ -0,0 +1,163 @@
+/**
+ * Generation Settings
+ * Validation and layering of generation parameters
+ *
+ * Settings resolve in three layers: model defaults (parameters left unset),
+ * the user's global defaults, then per-conversation overrides. Safety
+ * thresholds are global only. All of it is persisted as one object under
+ * STORAGE_KEYS.USER_PREFERENCES:
+ *
+ *   {
+ *     generation: { temperature: 0.7 },
+ *     safety: { HARM_CATEGORY_HARASSMENT: 'BLOCK_ONLY_HIGH' },
+ *     conversations: { [conversationId]: { generation: { topP: 0.9 }, updatedAt } },
+ *   }
+ */
+
+import { GENERATION_CONFIG, SAFETY_CONFIG } from '../constants';
+
+// Parameters that must be whole numbers
+const INTEGER_PARAMS = ['topK', 'maxOutputTokens', 'candidateCount'];
+
+// Initial value for STORAGE_KEYS.USER_PREFERENCES
+export const DEFAULT_PREFERENCES = {
+  generation: {},
+  safety: {},
+  conversations: {},
+};
+
+/**
+ * Clean up a stop sequence list
+ * @private
+ */
+const normalizeStopSequences = (value) => {
+  if (!Array.isArray(value)) return [];
+  const sequences = value.filter(seq => typeof seq === 'string' && seq.length > 0);
+  return [...new Set(sequences)].slice(0, GENERATION_CONFIG.MAX_STOP_SEQUENCES);
+};
+
+/**
+ * Validate generation parameters
+ * Clamps numbers to GENERATION_CONFIG.LIMITS and drops unset values,
+ * so the result only contains parameters that should be sent
+ * @param {Object} config - Raw parameters (e.g. from a form or storage)
+ * @returns {Object} - e.g. `{ temperature: 0.7, stopSequences: ['END'] }`
+ */
+export const normalizeGenerationConfig = (config = {}) => {
+  const normalized = {};
+
+  for (const [key, limits] of Object.entries(GENERATION_CONFIG.LIMITS)) {
+    const raw = config[key];
+    if (raw == null || raw === '') continue;
+
+    let value = Number(raw);
+    if (!Number.isFinite(value)) continue;
+    if (INTEGER_PARAMS.includes(key)) value = Math.round(value);
+    normalized[key] = Math.min(limits.max, Math.max(limits.min, value));
+  }
+
+  const stopSequences = normalizeStopSequences(config.stopSequences);
+  if (stopSequences.length > 0) {
+    normalized.stopSequences = stopSequences;
+  }
+
+  return normalized;
+};
+
+/**
+ * Validate generation parameters for a streamed reply
+ * A stream shows a single response, so `candidateCount` is dropped rather than billed for
+ * @param {Object} config - Raw parameters
+ * @returns {Object} - Parameters to send with a streaming request
+ */
+export const normalizeStreamingConfig = (config = {}) => {
+  const { candidateCount: _unused, ...normalized } = normalizeGenerationConfig(config);
+  return normalized;
+};
+
+/**
+ * Layer conversation overrides on top of the global defaults
+ * @param {Object} defaults - Global defaults
+ * @param {Object} overrides - Per-conversation overrides
+ * @returns {Object} - Parameters to send with the request
+ */
+export const resolveGenerationConfig = (defaults = {}, overrides = {}) => {
+  return {
+    ...normalizeGenerationConfig(defaults),
+    ...normalizeGenerationConfig(overrides),
+  };
+};
+
+/**
+ * Validate safety thresholds
+ * Drops unknown categories and thresholds, so unset categories keep the API default
+ * @param {Object} safety - Map of harm category to threshold
+ * @returns {Object}
+ */
+export const normalizeSafetySettings = (safety = {}) => {
+  return Object.fromEntries(
+    Object.entries(safety || {}).filter(([category, threshold]) =>
+      category in SAFETY_CONFIG.CATEGORIES && threshold in SAFETY_CONFIG.THRESHOLDS),
+  );
+};
+
+/**
+ * Convert a threshold map into the Gemini `safetySettings` request format
+ * @param {Object|Array} safety - Map of harm category to threshold (arrays pass through)
+ * @returns {Array<{category: string, threshold: string}>}
+ */
+export const toSafetySettingsList = (safety) => {
+  if (Array.isArray(safety)) return safety;
+  return Object.entries(normalizeSafetySettings(safety))
+    .map(([category, threshold]) => ({ category, threshold }));
+};
+
+/**
+ * Get a conversation's overrides from stored preferences
+ * @param {Object} preferences - Stored preferences
+ * @param {string} conversationId - Conversation identifier
+ * @returns {Object}
+ */
+export const getConversationOverrides = (preferences, conversationId) => {
+  return preferences?.conversations?.[conversationId]?.generation || {};
+};
+
+/**
+ * Return preferences with a conversation's overrides replaced
+ * Only the most recently updated conversations keep their overrides
+ * @param {Object} preferences - Stored preferences
+ * @param {string} conversationId - Conversation identifier
+ * @param {Object|null} overrides - New overrides; empty or null removes the entry
+ * @returns {Object} - New preferences object
+ */
+export const setConversationOverrides = (preferences, conversationId, overrides) => {
+  const conversations = { ...preferences?.conversations };
+  const normalized = normalizeGenerationConfig(overrides || {});
+
+  if (Object.keys(normalized).length === 0) {
+    delete conversations[conversationId];
+  } else {
+    conversations[conversationId] = {
+      ...conversations[conversationId],
+      generation: normalized,
+      updatedAt: Date.now(),
+    };
+  }
+
+  const kept = Object.entries(conversations)
+    .sort(([, a], [, b]) => (b.updatedAt || 0) - (a.updatedAt || 0))
+    .slice(0, GENERATION_CONFIG.MAX_CONVERSATION_OVERRIDES);
+
+  return { ...preferences, conversations: Object.fromEntries(kept) };
+};
+
+export default {
+  normalizeGenerationConfig,
+  normalizeStreamingConfig,
+  resolveGenerationConfig,
+  normalizeSafetySettings,
+  toSafetySettingsList,
+  getConversationOverrides,
+  setConversationOverrides,
+  DEFAULT_PREFERENCES,
+};
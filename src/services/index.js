@@ -1,10 +1,41 @@
 /**
  * Services Index
  * Export all services from a single entry point
+ *
+ * Providers are not re-exported: createAIProvider loads only the configured
+ * one, so another provider's `VITE_` settings (e.g. a Gemini key in proxy
+ * mode) never land in the main bundle.
  */
 
 export { AIProvider, createAIProvider, DEFAULT_PROVIDER } from './aiService';
-export { GeminiProvider, getGeminiProvider, generateContent } from './geminiService';
+export { classifyError, createTypedError } from './errorClassifier';
+export { normalizeGenerationConfig, resolveGenerationConfig } from './generationSettings';
+export { createUsage, estimateCost, getModelPrice } from './usageTracker';
+export {
+  readAttachmentFile,
+  readImageFile,
+  toDataUrl,
+  estimateAttachmentTokens,
+} from './attachments';
+export { ToolRegistry, createDefaultToolRegistry } from './toolRegistry';
+export { BUILTIN_TOOLS } from './tools';
+export { ContextManager, getModelLimits, getHistoryBudget, estimateRequestTokens } from './contextManager';
+export {
+  createConversation,
+  serializeConversation,
+  parseConversation,
+  getConversationTitle,
+} from './conversationFormat';
+export {
+  IndexedDBConversationStore,
+  LocalStorageConversationStore,
+  getConversationStore,
+  getActiveConversationId,
+  setActiveConversationId,
+  getUrlConversationId,
+  setUrlConversationId,
+} from './conversationStore';
+export { generateConversationTitle, parseTitleReply } from './conversationTitles';
 export { 
   ChatService, 
   getChatService, 
@@ -13,4 +44,7 @@ export {
   createBotMessage,
   createSystemMessage,
   createErrorMessage,
+  createBlockedMessage,
+  addResponseVariant,
+  selectResponseVariant,
 } from './chatService';
@@ -0,0 +1,470 @@
+/**
+ * Mock AI Service
+ * Scripted provider for offline development, plus record/replay of real streams
+ *
+ * - MockProvider streams canned (or replayed) responses chunk by chunk with
+ *   configurable delays and can inject quota, rate-limit, network and
+ *   mid-stream abort failures
+ * - RecordingProvider wraps a real provider and captures its streams as
+ *   JSON fixtures that MockProvider replays deterministically
+ */
+
+import { AIProvider } from './aiService';
+import { normalizeGenerationConfig } from './generationSettings';
+import { createUsage } from './usageTracker';
+import { estimateAttachmentTokens } from './attachments';
+import { estimateTokens } from '../utils/helpers';
+import { CONTEXT_CONFIG } from '../constants';
+
+// Fixture file format version
+export const FIXTURE_VERSION = 1;
+
+// Failure modes that can be injected
+export const MOCK_ERRORS = {
+  QUOTA: 'quota',
+  RATE_LIMIT: 'rate-limit',
+  NETWORK: 'network',
+  ABORT: 'abort',
+};
+
+// Canned replies used when no script or fixtures are supplied
+const DEFAULT_RESPONSES = [
+  (prompt) => `**Mock response.** You said:\n\n> ${prompt}\n\nThis reply was generated locally by \`MockProvider\`; no API was called.`,
+  () => `Here's a code sample to exercise the renderer:\n\n\`\`\`javascript\nconst answer = await provider.generateStreamingResponse(prompt, {\n  onChunk: (text) => render(text),\n});\n\`\`\`\n\n| Mode | Purpose |\n|------|---------|\n| script | Canned replies |\n| replay | Recorded fixtures |`,
+  () => 'Short answer: the mock provider is working. Ask again to cycle through the canned replies.',
+];
+
+/**
+ * Build an error that looks like the corresponding real API failure
+ * @private
+ */
+const createInjectedError = (kind) => {
+  const errors = {
+    [MOCK_ERRORS.QUOTA]: { status: 429, message: '[429 Too Many Requests] Resource has been exhausted (e.g. check quota).' },
+    [MOCK_ERRORS.RATE_LIMIT]: { status: 429, message: '[429 Too Many Requests] Rate limited: too many requests per minute.' },
+    [MOCK_ERRORS.NETWORK]: { status: 0, message: 'Network request failed: Failed to fetch' },
+    [MOCK_ERRORS.ABORT]: { status: 0, message: 'Network connection lost: stream aborted by server' },
+  };
+  const { status, message } = errors[kind] || { status: 500, message: `Injected failure: ${kind}` };
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Split text into chunks on word boundaries
+ * @private
+ */
+const chunkText = (text, chunkSize) => {
+  const chunks = [];
+  let current = '';
+
+  for (const token of text.split(/(\s+)/)) {
+    current += token;
+    if (current.length >= chunkSize) {
+      chunks.push(current);
+      current = '';
+    }
+  }
+  if (current) chunks.push(current);
+
+  return chunks;
+};
+
+/**
+ * Cut chunks short the way a real model would for stopSequences and maxOutputTokens
+ * Other parameters have no meaning for canned text and are ignored
+ * @private
+ */
+const applyGenerationConfig = (chunks, generationConfig) => {
+  const { stopSequences = [], maxOutputTokens } = normalizeGenerationConfig(generationConfig);
+  const fullText = chunks.map(chunk => chunk.text).join('');
+
+  let limit = fullText.length;
+  for (const sequence of stopSequences) {
+    const index = fullText.indexOf(sequence);
+    if (index !== -1) limit = Math.min(limit, index);
+  }
+  if (maxOutputTokens) {
+    limit = Math.min(limit, maxOutputTokens * CONTEXT_CONFIG.CHARS_PER_TOKEN);
+  }
+
+  const limited = [];
+  let used = 0;
+  for (const chunk of chunks) {
+    if (used >= limit) break;
+    const text = chunk.text.slice(0, limit - used);
+    limited.push({ ...chunk, text });
+    used += text.length;
+  }
+  return limited;
+};
+
+/**
+ * Estimate usage for a played response, so usage tracking works offline
+ * @private
+ */
+const estimateUsage = (prompt, { conversationHistory = [], attachments = [] }, text) => {
+  const promptText = [...conversationHistory.map(message => message.text), prompt].join('\n');
+  const imageTokens = [...conversationHistory.map(message => message.attachments), attachments]
+    .reduce((sum, list) => sum + estimateAttachmentTokens(list), 0);
+  return createUsage(
+    estimateTokens(promptText, CONTEXT_CONFIG.CHARS_PER_TOKEN) + imageTokens,
+    estimateTokens(text, CONTEXT_CONFIG.CHARS_PER_TOKEN),
+  );
+};
+
+/**
+ * Check whether a script entry or fixture applies to the prompt
+ * @private
+ */
+const matchesPrompt = (match, prompt) => {
+  if (!match) return true;
+  if (match instanceof RegExp) return match.test(prompt);
+  return prompt.toLowerCase().includes(String(match).toLowerCase());
+};
+
+/**
+ * Mock Provider Implementation
+ *
+ * @example
+ * new MockProvider({
+ *   chunkDelay: 20,
+ *   script: [
+ *     { match: 'hello', response: 'Hi there' },
+ *     { error: 'rate-limit' },
+ *     { response: 'Partial answer...', error: 'abort', errorAfterChunks: 3 },
+ *     { toolCalls: [{ name: 'calculator', args: { expression: '2^10' } }], response: '1024' },
+ *   ],
+ * });
+ */
+export class MockProvider extends AIProvider {
+  constructor(config = {}) {
+    super({ model: 'mock-model', ...config });
+    this.chunkSize = config.chunkSize ?? 12;
+    this.chunkDelay = config.chunkDelay ?? 30;
+    this.firstChunkDelay = config.firstChunkDelay ?? 300;
+    this.script = config.script || [];
+    this.fixtures = config.fixtures || [];
+    this.error = config.error || null;
+    this.errorAfterChunks = config.errorAfterChunks ?? 0;
+    this.turn = 0;
+  }
+
+  /**
+   * Mock provider never needs credentials
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Get provider name
+   * @returns {string}
+   */
+  getName() {
+    return 'Mock';
+  }
+
+  /**
+   * Pick the next step to play for a prompt
+   * Order of precedence: matching fixture, matching script entry, canned reply
+   * @private
+   */
+  _nextStep(prompt, generationConfig) {
+    const turn = this.turn++;
+
+    const fixture = this.fixtures.find(f => f.prompt === prompt) ||
+      (this.fixtures.length > 0 ? this.fixtures[turn % this.fixtures.length] : null);
+    if (fixture) {
+      return {
+        chunks: applyGenerationConfig(fixture.chunks, generationConfig),
+        error: fixture.error ? { ...fixture.error, afterChunks: fixture.chunks.length } : null,
+        model: fixture.model,
+      };
+    }
+
+    // Script entries play in rotation, skipping ones whose `match` doesn't fit
+    const rotated = [
+      ...this.script.slice(turn % (this.script.length || 1)),
+      ...this.script,
+    ];
+    const scripted = rotated.find(entry => matchesPrompt(entry.match, prompt)) || null;
+    const response = scripted
+      ? (typeof scripted.response === 'function' ? scripted.response(prompt) : scripted.response || '')
+      : DEFAULT_RESPONSES[turn % DEFAULT_RESPONSES.length](prompt);
+    const errorKind = scripted ? scripted.error : this.error;
+
+    const chunks = applyGenerationConfig(
+      chunkText(response, scripted?.chunkSize ?? this.chunkSize).map((text, index) => ({
+        text,
+        delay: index === 0 ? this.firstChunkDelay : (scripted?.chunkDelay ?? this.chunkDelay),
+      })),
+      generationConfig,
+    );
+
+    return {
+      chunks,
+      error: errorKind
+        ? { kind: errorKind, afterChunks: scripted?.errorAfterChunks ?? this.errorAfterChunks }
+        : null,
+      toolCalls: scripted?.toolCalls || [],
+      model: this.getModelName(),
+    };
+  }
+
+  /**
+   * Sleep that rejects with an AbortError when the signal aborts,
+   * like a real request torn down mid-flight
+   * @private
+   */
+  _wait(ms, signal) {
+    return this._delay(ms, signal);
+  }
+
+  /**
+   * Turn a recorded or injected error description into an Error
+   * @private
+   */
+  _toError(errorSpec) {
+    if (errorSpec.kind) {
+      return createInjectedError(errorSpec.kind);
+    }
+    const error = new Error(errorSpec.message);
+    error.status = errorSpec.status;
+    return error;
+  }
+
+  /**
+   * Play a step's chunks, raising its error at the scripted point
+   * @private
+   */
+  async* _playStep(step, signal) {
+    for (let i = 0; i <= step.chunks.length; i++) {
+      if (step.error && i === Math.min(step.error.afterChunks, step.chunks.length)) {
+        throw this._toError(step.error);
+      }
+      if (i === step.chunks.length) return;
+
+      const { text, delay } = step.chunks[i];
+      await this._wait(delay, signal);
+
+      yield text;
+    }
+  }
+
+  /**
+   * Play a step through the tool-call loop
+   * Scripted `toolCalls` are requested on the first turn (when tools are
+   * available) and the scripted response follows their results
+   * @private
+   */
+  _playWithTools(step, prompt, options, attempt, collect) {
+    const toolCalls = (options.tools && step.toolCalls) || [];
+
+    return this._runToolLoop(async (toolResults, turn) => {
+      if (!toolResults && toolCalls.length > 0) {
+        return { text: '', toolCalls };
+      }
+      const text = await collect(turn);
+      turn.onUsage(estimateUsage(prompt, options, text));
+      return { text, toolCalls: [] };
+    }, attempt, options.tools);
+  }
+
+  /**
+   * Stream a scripted response
+   * Goes through the same retry/fallback lifecycle as real providers, so
+   * injected errors exercise retries; each retry replays the same step
+   * @param {string} prompt - User prompt
+   * @param {Object} options - Same contract as other providers
+   * @returns {Promise<string|undefined>} - Undefined when cancelled
+   */
+  async generateStreamingResponse(prompt, options = {}) {
+    const step = this._nextStep(prompt, options.generationConfig);
+
+    return this._runStream((modelName, attempt) => this._playWithTools(step, prompt, options, attempt,
+      (turn) => this._collectStream(this._playStep(step, turn.signal), chunk => chunk, turn),
+    ), options);
+  }
+
+  /**
+   * Return a scripted response in one piece
+   * @param {string} prompt - User prompt
+   * @param {Object} options - Additional options
+   * @param {Function} options.onRetry - Callback before each retry wait
+   * @param {AbortSignal} options.signal - Aborts playback
+   * @returns {Promise<string>}
+   */
+  async generateResponse(prompt, options = {}) {
+    const step = this._nextStep(prompt, options.generationConfig);
+
+    return this._runRequest((modelName, attempt) => this._playWithTools(step, prompt, options, attempt,
+      async (turn) => {
+        let text = '';
+        for await (const chunk of this._playStep(step, turn.signal)) {
+          text += chunk;
+        }
+        return text;
+      },
+    ), options);
+  }
+}
+
+/**
+ * Recording Provider
+ * Transparent wrapper that captures streams from a real provider as fixtures
+ */
+export class RecordingProvider extends AIProvider {
+  constructor(provider) {
+    super(provider.config);
+    this.provider = provider;
+    this.fixtures = [];
+  }
+
+  isConfigured() {
+    return this.provider.isConfigured();
+  }
+
+  getName() {
+    return `${this.provider.getName()} (recording)`;
+  }
+
+  getModelName() {
+    return this.provider.getModelName();
+  }
+
+  countTokens(text) {
+    return this.provider.countTokens(text);
+  }
+
+  listModels(options) {
+    return this.provider.listModels(options);
+  }
+
+  cancelStream(streamId) {
+    this.provider.cancelStream(streamId);
+  }
+
+  generateResponse(prompt, options) {
+    return this.provider.generateResponse(prompt, options);
+  }
+
+  /**
+   * Stream through the wrapped provider, recording each delta and its timing
+   * @param {string} prompt - User prompt
+   * @param {Object} options - Streaming options
+   * @returns {Promise<string>}
+   */
+  async generateStreamingResponse(prompt, options = {}) {
+    const fixture = {
+      version: FIXTURE_VERSION,
+      provider: this.provider.getName(),
+      model: options.model || this.provider.getModelName(),
+      prompt,
+      recordedAt: new Date().toISOString(),
+      chunks: [],
+      error: null,
+    };
+    let previousText = '';
+    let lastTime = performance.now();
+
+    const save = () => {
+      if (!this.fixtures.includes(fixture)) this.fixtures.push(fixture);
+    };
+
+    return this.provider.generateStreamingResponse(prompt, {
+      ...options,
+      onChunk: (accumulatedText) => {
+        const now = performance.now();
+        fixture.chunks.push({
+          text: accumulatedText.slice(previousText.length),
+          delay: Math.round(now - lastTime),
+        });
+        previousText = accumulatedText;
+        lastTime = now;
+        options.onChunk?.(accumulatedText);
+      },
+      onComplete: (finalText, responseInfo) => {
+        save();
+        options.onComplete?.(finalText, responseInfo);
+      },
+      onError: (error) => {
+        fixture.error = { type: error.type, status: error.status, message: error.message };
+        save();
+        options.onError?.(error);
+      },
+    });
+  }
+
+  /**
+   * Get recorded fixtures
+   * @returns {Array}
+   */
+  getFixtures() {
+    return [...this.fixtures];
+  }
+
+  /**
+   * Serialize recorded fixtures
+   * @returns {string}
+   */
+  exportFixtures() {
+    return JSON.stringify(this.fixtures, null, 2);
+  }
+
+  /**
+   * Save recorded fixtures as a JSON file (browser only)
+   * @param {string} filename - Download file name
+   */
+  downloadFixtures(filename = `jarvis-fixtures-${Date.now()}.json`) {
+    const blob = new Blob([this.exportFixtures()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Discard recorded fixtures
+   */
+  clearFixtures() {
+    this.fixtures = [];
+  }
+}
+
+/**
+ * Build MockProvider config from VITE_MOCK_* environment variables
+ * Fixture files live in src/services/fixtures and are selected by name
+ * @returns {Object}
+ */
+export const getMockConfigFromEnv = () => {
+  const env = import.meta.env;
+  const config = {};
+
+  if (env.VITE_MOCK_ERROR) config.error = env.VITE_MOCK_ERROR;
+  if (env.VITE_MOCK_ERROR_AFTER_CHUNKS) config.errorAfterChunks = Number(env.VITE_MOCK_ERROR_AFTER_CHUNKS);
+  if (env.VITE_MOCK_CHUNK_DELAY) config.chunkDelay = Number(env.VITE_MOCK_CHUNK_DELAY);
+
+  if (env.VITE_MOCK_FIXTURES) {
+    const files = import.meta.glob('./fixtures/*.json', { eager: true, import: 'default' });
+    const file = files[`./fixtures/${env.VITE_MOCK_FIXTURES}.json`];
+    if (file) {
+      config.fixtures = file;
+    } else {
+      console.warn(`Mock fixtures "${env.VITE_MOCK_FIXTURES}" not found in src/services/fixtures`);
+    }
+  }
+
+  return config;
+};
+
+export default {
+  MockProvider,
+  RecordingProvider,
+  getMockConfigFromEnv,
+  MOCK_ERRORS,
+};
@@ -0,0 +1,275 @@
+/**
+ * Ollama AI Service
+ * Implementation of the AI Provider interface for a local Ollama daemon
+ * Streams from `/api/chat` (NDJSON) and discovers installed models via `/api/tags`
+ */
+
+import { AIProvider } from './aiService';
+import { readNDJSON } from './streamParsers';
+import { OLLAMA_CONFIG, ERROR_TYPES } from '../constants';
+import { buildChatMessages } from '../constants/prompts';
+import { parseList } from '../utils/helpers';
+import { normalizeGenerationConfig } from './generationSettings';
+import { createUsage } from './usageTracker';
+
+/**
+ * Map generation parameters onto Ollama model options
+ * Ollama always returns a single candidate, so candidateCount is ignored
+ * @private
+ */
+const toModelOptions = (generationConfig) => {
+  const config = normalizeGenerationConfig(generationConfig);
+  const options = {
+    temperature: config.temperature,
+    top_p: config.topP,
+    top_k: config.topK,
+    num_predict: config.maxOutputTokens,
+    stop: config.stopSequences,
+  };
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Ollama takes images as bare base64 strings on the message (multimodal models such as llava)
+ * @private
+ */
+const toOllamaMessage = ({ images, ...message }) => {
+  if (!images) return message;
+  return { ...message, images: images.map(image => image.data) };
+};
+
+/**
+ * Read token counts from a final (`done`) `/api/chat` payload
+ * @private
+ */
+const toUsage = (payload) => {
+  if (!payload?.done) return null;
+  return createUsage(payload.prompt_eval_count, payload.eval_count);
+};
+
+/**
+ * Ollama Provider Implementation
+ * Handles all interactions with a local Ollama daemon
+ */
+export class OllamaProvider extends AIProvider {
+  constructor(config = {}) {
+    super({
+      ...config,
+      model: config.model || import.meta.env.VITE_OLLAMA_MODEL || OLLAMA_CONFIG.MODEL,
+      fallbackModels: config.fallbackModels ||
+        parseList(import.meta.env.VITE_OLLAMA_FALLBACK_MODELS) ||
+        OLLAMA_CONFIG.FALLBACK_MODELS,
+    });
+    this.baseUrl = (config.baseUrl || import.meta.env.VITE_OLLAMA_BASE_URL || OLLAMA_CONFIG.BASE_URL)
+      .replace(/\/+$/, '');
+    this.installedModels = null;
+  }
+
+  /**
+   * Check if the daemon address and a model are configured
+   * Whether the daemon is actually running is only known once a request is made
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.baseUrl && this.getModelName());
+  }
+
+  /**
+   * Get provider name
+   * @returns {string}
+   */
+  getName() {
+    return 'Ollama';
+  }
+
+  /**
+   * List models installed in the local daemon
+   * @param {Object} options - Options
+   * @param {boolean} options.refresh - Bypass the cached list
+   * @returns {Promise<Array<{name: string, size: number, modifiedAt: string, family: string, parameterSize: string}>>}
+   */
+  async listModels({ refresh = false } = {}) {
+    if (this.installedModels && !refresh) {
+      return this.installedModels;
+    }
+
+    try {
+      const response = await this._fetch('/api/tags', { method: 'GET' });
+      const { models = [] } = await response.json();
+
+      this.installedModels = models.map(model => ({
+        name: model.name,
+        size: model.size,
+        modifiedAt: model.modified_at,
+        family: model.details?.family,
+        parameterSize: model.details?.parameter_size,
+      }));
+      return this.installedModels;
+    } catch (error) {
+      throw this._handleError(error);
+    }
+  }
+
+  /**
+   * Resolve which models to try, preferring ones that are actually installed
+   * Falls back to the configured list when discovery is unavailable
+   * @protected
+   */
+  async _resolveModelsToTry() {
+    const configured = this._getModelsToTry();
+
+    let installed;
+    try {
+      installed = (await this.listModels()).map(model => model.name);
+    } catch {
+      return configured;
+    }
+
+    const isInstalled = (name) => installed.includes(name) || installed.includes(`${name}:latest`);
+    const available = configured.filter(isInstalled);
+
+    if (available.length > 0) return available;
+    if (installed.length > 0) {
+      console.warn(`None of [${configured.join(', ')}] are installed; using ${installed[0]}`);
+      return [installed[0]];
+    }
+    return configured;
+  }
+
+  /**
+   * Request helper that turns non-2xx responses into errors carrying the status
+   * @private
+   */
+  async _fetch(path, init) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      headers: { 'Content-Type': 'application/json' },
+      ...init,
+    });
+
+    if (!response.ok) {
+      let detail = response.statusText;
+      try {
+        const payload = await response.json();
+        detail = payload?.error || detail;
+      } catch {
+        // Body was not JSON; keep the status text
+      }
+      const error = new Error(`[${response.status} ${response.statusText}] ${detail}`);
+      error.status = response.status;
+      error.retryAfter = response.headers.get('retry-after');
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * Generate a streaming response from `/api/chat`
+   * @param {string} prompt - User prompt
+   * @param {Object} options - Additional options
+   * @param {Array} options.conversationHistory - Messages preceding the prompt
+   * @param {string} options.contextSummary - Summary of older turns not sent verbatim
+   * @param {Array} options.attachments - Images sent with the prompt (needs a multimodal model)
+   * @param {Object} options.generationConfig - Generation parameters (temperature, topP, ...)
+   * @param {Function} options.onChunk - Callback for each chunk (receives accumulated text)
+   * @param {Function} options.onComplete - Callback when streaming completes
+   * @param {Function} options.onError - Callback on error
+   * @param {Function} options.onRetry - Callback before each retry wait
+   * @returns {Promise<string|undefined>} - Undefined when cancelled
+   */
+  async generateStreamingResponse(prompt, options = {}) {
+    if (!this.isConfigured()) {
+      const error = this._createError(ERROR_TYPES.API_KEY_MISSING, 'Ollama model not configured');
+      options.onError?.(error);
+      throw error;
+    }
+
+    const { conversationHistory = [], contextSummary, attachments } = options;
+    const messages = buildChatMessages(prompt, conversationHistory, { contextSummary, attachments })
+      .map(toOllamaMessage);
+    const modelOptions = toModelOptions(options.generationConfig);
+
+    return this._runStream(async (modelName, attempt) => {
+      const response = await this._fetch('/api/chat', {
+        method: 'POST',
+        body: JSON.stringify({ model: modelName, messages, options: modelOptions, stream: true }),
+        signal: attempt.signal,
+      });
+
+      return this._collectStream(readNDJSON(response.body), (payload) => {
+        if (payload.error) {
+          throw new Error(payload.error);
+        }
+        const usage = toUsage(payload);
+        if (usage) attempt.onUsage(usage);
+        return payload.message?.content || '';
+      }, attempt);
+    }, options);
+  }
+
+  /**
+   * Generate a non-streaming response
+   * Uses the same fallback strategy as the streaming method
+   * @param {string} prompt - User prompt
+   * @param {Object} options - Additional options
+   * @param {Array} options.conversationHistory - Messages preceding the prompt
+   * @param {string} options.contextSummary - Summary of older turns not sent verbatim
+   * @param {Array} options.attachments - Images sent with the prompt (needs a multimodal model)
+   * @param {Object} options.generationConfig - Generation parameters (temperature, topP, ...)
+   * @param {Function} options.onRetry - Callback before each retry wait
+   * @param {AbortSignal} options.signal - Aborts the in-flight request
+   * @param {Function} options.onUsage - Receives `(usage, model)` from the daemon's eval counts
+   * @returns {Promise<string>}
+   */
+  async generateResponse(prompt, options = {}) {
+    if (!this.isConfigured()) {
+      throw this._createError(ERROR_TYPES.API_KEY_MISSING, 'Ollama model not configured');
+    }
+
+    const { conversationHistory = [], contextSummary, attachments } = options;
+    const messages = buildChatMessages(prompt, conversationHistory, { contextSummary, attachments })
+      .map(toOllamaMessage);
+    const modelOptions = toModelOptions(options.generationConfig);
+
+    return this._runRequest(async (modelName, { signal, onUsage }) => {
+      const response = await this._fetch('/api/chat', {
+        method: 'POST',
+        body: JSON.stringify({ model: modelName, messages, options: modelOptions, stream: false }),
+        signal,
+      });
+      const payload = await response.json();
+      const usage = toUsage(payload);
+      if (usage) onUsage(usage);
+      return payload.message?.content || '';
+    }, options);
+  }
+
+  /**
+   * Categorize errors with daemon-specific guidance
+   * @private
+   */
+  _handleError(error) {
+    const classified = super._handleError(error);
+
+    if (classified.type === ERROR_TYPES.NETWORK_ERROR) {
+      return this._createError(
+        ERROR_TYPES.NETWORK_ERROR,
+        `Cannot reach Ollama at ${this.baseUrl}. Is the daemon running (ollama serve)?`,
+      );
+    }
+
+    if (classified.type === ERROR_TYPES.MODEL_NOT_FOUND) {
+      const modelName = classified.model || this.getModelName();
+      return this._createError(
+        ERROR_TYPES.MODEL_NOT_FOUND,
+        `Model "${modelName}" is not installed. Run: ollama pull ${modelName}`,
+      );
+    }
+
+    return classified;
+  }
+}
+
+export default {
+  OllamaProvider,
+};
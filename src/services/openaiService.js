@@ -0,0 +1,238 @@
+/**
+ * OpenAI-Compatible AI Service
+ * Implementation of the AI Provider interface for any `/v1/chat/completions` endpoint
+ * Works with OpenAI, llama.cpp server, vLLM, LM Studio and internal gateways
+ */
+
+import { AIProvider } from './aiService';
+import { readServerSentEvents } from './streamParsers';
+import { OPENAI_CONFIG, ERROR_TYPES } from '../constants';
+import { buildChatMessages } from '../constants/prompts';
+import { parseList } from '../utils/helpers';
+import { normalizeGenerationConfig, normalizeStreamingConfig } from './generationSettings';
+import { createUsage } from './usageTracker';
+import { toDataUrl } from './attachments';
+
+/**
+ * Map validated generation parameters onto chat completion request fields
+ * `top_k` is not part of the OpenAI API but is honored by llama.cpp and vLLM
+ * @private
+ */
+const toRequestParams = (config) => {
+  const params = {
+    temperature: config.temperature,
+    top_p: config.topP,
+    top_k: config.topK,
+    max_tokens: config.maxOutputTokens,
+    stop: config.stopSequences,
+    n: config.candidateCount,
+  };
+  return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Encode attached images as `image_url` content parts (vision models)
+ * @private
+ */
+const toOpenAIMessage = ({ images, ...message }) => {
+  if (!images) return message;
+  return {
+    role: message.role,
+    content: [
+      ...(message.content ? [{ type: 'text', text: message.content }] : []),
+      ...images.map(image => ({ type: 'image_url', image_url: { url: toDataUrl(image) } })),
+    ],
+  };
+};
+
+/**
+ * Convert a chat completion `usage` object to a usage record
+ * @private
+ */
+const toUsage = (usage) => {
+  if (!usage) return null;
+  return createUsage(usage.prompt_tokens, usage.completion_tokens, usage.total_tokens);
+};
+
+/**
+ * OpenAI-Compatible Provider Implementation
+ * Handles all interactions with chat completion endpoints
+ */
+export class OpenAICompatibleProvider extends AIProvider {
+  constructor(config = {}) {
+    super({
+      ...config,
+      model: config.model || import.meta.env.VITE_OPENAI_MODEL || OPENAI_CONFIG.MODEL,
+      fallbackModels: config.fallbackModels ||
+        parseList(import.meta.env.VITE_OPENAI_FALLBACK_MODELS) ||
+        OPENAI_CONFIG.FALLBACK_MODELS,
+    });
+    this.baseUrl = (config.baseUrl || import.meta.env.VITE_OPENAI_BASE_URL || OPENAI_CONFIG.BASE_URL)
+      .replace(/\/+$/, '');
+    this.apiKey = config.apiKey || import.meta.env.VITE_OPENAI_API_KEY || '';
+    this.streamUsage = config.streamUsage ??
+      (import.meta.env.VITE_OPENAI_STREAM_USAGE
+        ? import.meta.env.VITE_OPENAI_STREAM_USAGE !== 'false'
+        : OPENAI_CONFIG.STREAM_USAGE);
+  }
+
+  /**
+   * Check if the endpoint is configured
+   * An API key is optional since local servers usually don't require one
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.baseUrl && this.getModelName());
+  }
+
+  /**
+   * Get provider name
+   * @returns {string}
+   */
+  getName() {
+    return 'OpenAI-Compatible';
+  }
+
+  /**
+   * Build request headers
+   * @private
+   */
+  _getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * POST a chat completion request
+   * Non-2xx responses are turned into errors carrying the HTTP status
+   * @private
+   */
+  async _request(body, signal) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this._getHeaders(),
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      let detail = response.statusText;
+      let payload = null;
+      try {
+        payload = await response.json();
+        detail = payload?.error?.message || payload?.message || detail;
+      } catch {
+        // Body was not JSON; keep the status text
+      }
+      const error = new Error(`[${response.status} ${response.statusText}] ${detail}`);
+      error.status = response.status;
+      error.retryAfter = response.headers.get('retry-after');
+      error.code = payload?.error?.code;
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * POST a streaming request, asking for usage when the server allows it
+   * A 400 that names `stream_options` turns the option off and resends once
+   * @private
+   */
+  async _requestStream(body, signal) {
+    if (!this.streamUsage) {
+      return this._request({ ...body, stream: true }, signal);
+    }
+
+    try {
+      // Servers that support it send a final chunk with token counts
+      return await this._request({ ...body, stream: true, stream_options: { include_usage: true } }, signal);
+    } catch (error) {
+      if (error.status !== 400 || !error.message.includes('stream_options')) throw error;
+      this.streamUsage = false;
+      return this._request({ ...body, stream: true }, signal);
+    }
+  }
+
+  /**
+   * Generate a streaming response
+   * @param {string} prompt - User prompt
+   * @param {Object} options - Additional options
+   * @param {Array} options.conversationHistory - Messages preceding the prompt
+   * @param {string} options.contextSummary - Summary of older turns not sent verbatim
+   * @param {Array} options.attachments - Images sent with the prompt (needs a vision model)
+   * @param {Object} options.generationConfig - Generation parameters (temperature, topP, ...);
+   *   candidateCount is not sent, since a stream shows a single response
+   * @param {Function} options.onChunk - Callback for each chunk (receives accumulated text)
+   * @param {Function} options.onComplete - Callback when streaming completes
+   * @param {Function} options.onError - Callback on error
+   * @param {Function} options.onRetry - Callback before each retry wait
+   * @returns {Promise<string|undefined>} - Undefined when cancelled
+   */
+  async generateStreamingResponse(prompt, options = {}) {
+    if (!this.isConfigured()) {
+      const error = this._createError(ERROR_TYPES.API_KEY_MISSING, 'OpenAI-compatible endpoint not configured');
+      options.onError?.(error);
+      throw error;
+    }
+
+    const { conversationHistory = [], contextSummary, attachments } = options;
+    const messages = buildChatMessages(prompt, conversationHistory, { contextSummary, attachments })
+      .map(toOpenAIMessage);
+    const params = toRequestParams(normalizeStreamingConfig(options.generationConfig));
+
+    return this._runStream(async (modelName, attempt) => {
+      const response = await this._requestStream({ model: modelName, messages, ...params }, attempt.signal);
+
+      return this._collectStream(readServerSentEvents(response.body), (data) => {
+        const payload = JSON.parse(data);
+        if (payload.error) {
+          throw new Error(payload.error.message || 'Stream error');
+        }
+        if (payload.usage) attempt.onUsage(toUsage(payload.usage));
+        // Some servers interleave chunks for every choice; only the first one is shown
+        const choice = payload.choices?.find(item => (item.index ?? 0) === 0);
+        return choice?.delta?.content || '';
+      }, attempt);
+    }, options);
+  }
+
+  /**
+   * Generate a non-streaming response
+   * Uses the same fallback strategy as the streaming method
+   * @param {string} prompt - User prompt
+   * @param {Object} options - Additional options
+   * @param {Array} options.conversationHistory - Messages preceding the prompt
+   * @param {string} options.contextSummary - Summary of older turns not sent verbatim
+   * @param {Array} options.attachments - Images sent with the prompt (needs a vision model)
+   * @param {Object} options.generationConfig - Generation parameters (temperature, topP, ...)
+   * @param {Function} options.onRetry - Callback before each retry wait
+   * @param {AbortSignal} options.signal - Aborts the in-flight request
+   * @param {Function} options.onUsage - Receives `(usage, model)` when the server reports usage
+   * @returns {Promise<string>}
+   */
+  async generateResponse(prompt, options = {}) {
+    if (!this.isConfigured()) {
+      throw this._createError(ERROR_TYPES.API_KEY_MISSING, 'OpenAI-compatible endpoint not configured');
+    }
+
+    const { conversationHistory = [], contextSummary, attachments } = options;
+    const messages = buildChatMessages(prompt, conversationHistory, { contextSummary, attachments })
+      .map(toOpenAIMessage);
+    const params = toRequestParams(normalizeGenerationConfig(options.generationConfig));
+
+    return this._runRequest(async (modelName, { signal, onUsage }) => {
+      const response = await this._request({ model: modelName, messages, ...params, stream: false }, signal);
+      const payload = await response.json();
+      if (payload.usage) onUsage(toUsage(payload.usage));
+      return payload.choices?.[0]?.message?.content || '';
+    }, options);
+  }
+}
+
+export default {
+  OpenAICompatibleProvider,
+};
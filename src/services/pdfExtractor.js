@@ -0,0 +1,52 @@
+/**
+ * PDF Extractor
+ * Local PDF text extraction with pdf.js
+ *
+ * Loaded on demand, so pdf.js and its worker are only fetched the first time
+ * a PDF is attached. Nothing is uploaded; scanned PDFs without a text layer
+ * yield no text.
+ */
+
+import * as pdfjs from 'pdfjs-dist';
+import workerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+
+pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+
+/**
+ * Join a page's text items, keeping the line breaks pdf.js reports
+ * @private
+ */
+const pageToText = ({ items }) => {
+  return items
+    .map(item => `${item.str}${item.hasEOL ? '\n' : ''}`)
+    .join('')
+    .replace(/[ \t]+\n/g, '\n')
+    .trim();
+};
+
+/**
+ * Extract the text layer of a PDF
+ * @param {ArrayBuffer} data - PDF file contents
+ * @returns {Promise<{text: string, pages: number}>} - Each page starts with a `[Page N]` marker
+ */
+export const extractPdfText = async (data) => {
+  const document = await pdfjs.getDocument({ data, isEvalSupported: false }).promise;
+
+  try {
+    const pages = [];
+    for (let number = 1; number <= document.numPages; number++) {
+      const page = await document.getPage(number);
+      pages.push(pageToText(await page.getTextContent()));
+      page.cleanup();
+    }
+    const hasText = pages.some(Boolean);
+    return {
+      text: hasText ? pages.map((text, index) => `[Page ${index + 1}]\n${text}`).join('\n\n') : '',
+      pages: document.numPages,
+    };
+  } finally {
+    await document.destroy();
+  }
+};
+
+export default extractPdfText;
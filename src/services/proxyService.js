@@ -0,0 +1,236 @@
+/**
+ * Proxy AI Service
+ * Implementation of the AI Provider interface for the JARVIS proxy server (server/)
+ * The server holds the Gemini API key and relays Gemini's streamed responses as SSE,
+ * so no key is shipped to the browser
+ */
+
+import { AIProvider } from './aiService';
+import { readServerSentEvents } from './streamParsers';
+import { API_CONFIG, PROXY_CONFIG, ERROR_TYPES } from '../constants';
+import { getSystemPrompt, buildContextualPrompt } from '../constants/prompts';
+import { parseList } from '../utils/helpers';
+import { getBlockInfo, createBlockedError } from './errorClassifier';
+import { normalizeStreamingConfig, toSafetySettingsList } from './generationSettings';
+import { toUsage, toFunctionResponse } from './geminiFormat';
+
+/**
+ * Proxy Provider Implementation
+ * Sends Gemini REST requests to the proxy; model fallback, retries and
+ * tool calls run in the browser exactly as with GeminiProvider
+ */
+export class ProxyProvider extends AIProvider {
+  constructor(config = {}) {
+    super({
+      ...config,
+      model: config.model || import.meta.env.VITE_PROXY_MODEL || API_CONFIG.MODEL,
+      fallbackModels: config.fallbackModels ||
+        parseList(import.meta.env.VITE_PROXY_FALLBACK_MODELS) ||
+        API_CONFIG.FALLBACK_MODELS,
+    });
+    this.baseUrl = (config.baseUrl || import.meta.env.VITE_PROXY_URL || PROXY_CONFIG.BASE_URL)
+      .replace(/\/+$/, '');
+  }
+
+  /**
+   * Check if the proxy address is configured
+   * Whether the server has a key is only known once a request is made
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  /**
+   * Get provider name
+   * @returns {string}
+   */
+  getName() {
+    return 'Google Gemini (proxy)';
+  }
+
+  /**
+   * Count tokens through the proxy's countTokens route
+   * Falls back to the local estimate when the request fails
+   * @param {string} text - Text to measure
+   * @returns {Promise<number>}
+   */
+  async countTokens(text) {
+    if (!text) return super.countTokens(text);
+
+    try {
+      const response = await this._request('/count-tokens', {
+        model: this.getModelName(),
+        contents: [{ role: 'user', parts: [{ text }] }],
+      });
+      const { totalTokens } = await response.json();
+      return totalTokens;
+    } catch (error) {
+      console.warn('Token count failed, using estimate:', error.message);
+      return super.countTokens(text);
+    }
+  }
+
+  /**
+   * POST to a proxy route
+   * Non-2xx responses are turned into errors carrying the HTTP status and
+   * Gemini's error details; proxy setup problems become typed errors
+   * @private
+   */
+  async _request(path, body, signal) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method: 'POST',
+      // No credentials are sent: anything in the bundle is public, so the server
+      // identifies users itself (trusted SSO header or client address)
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      let detail = response.statusText;
+      let payload = null;
+      try {
+        payload = await response.json();
+        detail = payload?.error?.message || detail;
+      } catch {
+        // Body was not JSON; keep the status text
+      }
+
+      if (payload?.error?.code === 'API_KEY_MISSING') {
+        throw this._createError(ERROR_TYPES.API_KEY_MISSING, 'Gemini API key not configured on the proxy server');
+      }
+
+      const error = new Error(`[${response.status} ${response.statusText}] ${detail}`);
+      error.status = response.status;
+      error.retryAfter = response.headers.get('retry-after');
+      error.errorDetails = payload?.error?.details;
+      error.code = payload?.error?.code;
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * Build the Gemini request body shared by every turn and attempt
+   * @private
+   */
+  _buildRequest(prompt, options) {
+    const { conversationHistory = [], contextSummary, attachments, tools } = options;
+    const { history, message } = buildContextualPrompt(prompt, conversationHistory, { contextSummary, attachments });
+    const functionDeclarations = tools?.getFunctionDeclarations() || [];
+    const requested = toSafetySettingsList(options.safetySettings);
+
+    return {
+      contents: [
+        ...history,
+        { role: 'user', parts: Array.isArray(message) ? message : [{ text: message }] },
+      ],
+      systemInstruction: { parts: [{ text: getSystemPrompt() }] },
+      // Both paths read the proxy's event stream, which shows a single response
+      generationConfig: normalizeStreamingConfig(options.generationConfig),
+      // Per-request settings, when any are set, replace the configured `safetySettings`
+      safetySettings: requested.length > 0 ? requested : toSafetySettingsList(this.config.safetySettings),
+      ...(functionDeclarations.length > 0 && { tools: [{ functionDeclarations }] }),
+    };
+  }
+
+  /**
+   * Run one model's turns through the proxy
+   * Function calls and their results are appended to `contents`, since the
+   * server keeps no session between requests
+   * @private
+   */
+  _runTurns(request, modelName, attempt, tools) {
+    const contents = [...request.contents];
+    let modelParts = [];
+
+    return this._runToolLoop(async (toolResults, turn) => {
+      if (toolResults) {
+        contents.push(
+          { role: 'model', parts: modelParts },
+          { role: 'function', parts: toolResults.map(toFunctionResponse) },
+        );
+      }
+
+      const response = await this._request('/chat', { ...request, model: modelName, contents }, turn.signal);
+      const callParts = [];
+      const text = await this._collectStream(readServerSentEvents(response.body), (data) => {
+        const payload = JSON.parse(data);
+        if (payload.error) {
+          throw new Error(payload.error.message || 'Stream error');
+        }
+        // Every chunk carries running usage; the last one has the final counts
+        if (payload.usageMetadata) turn.onUsage(toUsage(payload.usageMetadata));
+        const block = getBlockInfo(payload);
+        if (block) throw createBlockedError(block);
+
+        const parts = payload.candidates?.[0]?.content?.parts || [];
+        // Call parts are echoed back unchanged, including any thought signature
+        callParts.push(...parts.filter(part => part.functionCall));
+        return parts.filter(part => part.text && !part.thought).map(part => part.text).join('');
+      }, turn);
+
+      modelParts = [...(text ? [{ text }] : []), ...callParts];
+      return { text, toolCalls: callParts.map(part => part.functionCall) };
+    }, attempt, tools);
+  }
+
+  /**
+   * Generate a streaming response through the proxy
+   * @param {string} prompt - User prompt
+   * @param {Object} options - Additional options
+   * @param {Array} options.conversationHistory - Messages preceding the prompt
+   * @param {string} options.contextSummary - Summary of older turns not sent verbatim
+   * @param {Array} options.attachments - Images and files sent with the prompt
+   * @param {Object} options.generationConfig - Generation parameters (temperature, topP, ...)
+   * @param {Object|Array} options.safetySettings - Harm category thresholds (overrides config.safetySettings)
+   * @param {ToolRegistry} options.tools - Local tools the model may call
+   * @param {Function} options.onToolStep - Callback for each executed tool call
+   * @param {Function} options.onChunk - Callback for each chunk (receives accumulated text)
+   * @param {Function} options.onComplete - Callback when streaming completes
+   * @param {Function} options.onError - Callback on error
+   * @param {Function} options.onRetry - Callback before each retry wait
+   * @returns {Promise<string|undefined>} - Undefined when cancelled
+   */
+  async generateStreamingResponse(prompt, options = {}) {
+    if (!this.isConfigured()) {
+      const error = this._createError(ERROR_TYPES.API_KEY_MISSING, 'Proxy URL not configured');
+      options.onError?.(error);
+      throw error;
+    }
+
+    const request = this._buildRequest(prompt, options);
+    return this._runStream(
+      (modelName, attempt) => this._runTurns(request, modelName, attempt, options.tools),
+      options,
+    );
+  }
+
+  /**
+   * Generate a non-streaming response through the proxy
+   * Reads the same event stream, without progress callbacks
+   * @param {string} prompt - User prompt
+   * @param {Object} options - Additional options (see generateStreamingResponse)
+   * @param {Function} options.onRetry - Callback before each retry wait
+   * @param {AbortSignal} options.signal - Aborts the in-flight request
+   * @param {Function} options.onUsage - Receives `(usage, model)` from `usageMetadata`
+   * @returns {Promise<string>}
+   */
+  async generateResponse(prompt, options = {}) {
+    if (!this.isConfigured()) {
+      throw this._createError(ERROR_TYPES.API_KEY_MISSING, 'Proxy URL not configured');
+    }
+
+    const request = this._buildRequest(prompt, options);
+    return this._runRequest(
+      (modelName, attempt) => this._runTurns(request, modelName, attempt, options.tools),
+      options,
+    );
+  }
+}
+
+export default {
+  ProxyProvider,
+};
@@ -0,0 +1,76 @@
+/**
+ * Request Timeouts
+ * Per-attempt abort controller enforcing time-to-first-token and total-duration limits
+ *
+ * - Linked to the caller's signal, so cancelling a stream aborts the in-flight request
+ * - Remembers which limit fired, so a timeout can be reported distinctly from a cancel
+ */
+
+// Which limit aborted the attempt
+export const TIMEOUT_KIND = {
+  FIRST_TOKEN: 'first-token',
+  TOTAL: 'total',
+};
+
+/**
+ * Create an abort controller for a single request attempt
+ * @param {AbortSignal} parentSignal - Caller's signal (user cancellation)
+ * @param {Object} options - Options
+ * @param {number} options.firstTokenTimeout - Abort if no output arrives within this many ms
+ * @param {number} options.totalTimeout - Abort if the attempt runs longer than this many ms
+ * @returns {{signal: AbortSignal, timedOut: string|null, markFirstToken: Function, dispose: Function}}
+ */
+export const createAttemptController = (parentSignal, { firstTokenTimeout, totalTimeout } = {}) => {
+  const controller = new AbortController();
+  let timedOut = null;
+
+  const startTimer = (ms, kind) => {
+    if (!ms || ms <= 0) return null;
+    return setTimeout(() => {
+      timedOut = kind;
+      controller.abort();
+    }, ms);
+  };
+
+  const onParentAbort = () => controller.abort();
+  if (parentSignal?.aborted) {
+    controller.abort();
+  } else {
+    parentSignal?.addEventListener('abort', onParentAbort, { once: true });
+  }
+
+  let firstTokenTimer = startTimer(firstTokenTimeout, TIMEOUT_KIND.FIRST_TOKEN);
+  const totalTimer = startTimer(totalTimeout, TIMEOUT_KIND.TOTAL);
+
+  return {
+    signal: controller.signal,
+
+    get timedOut() {
+      return timedOut;
+    },
+
+    /**
+     * Stop the first-token timer once output starts flowing
+     */
+    markFirstToken() {
+      if (firstTokenTimer) {
+        clearTimeout(firstTokenTimer);
+        firstTokenTimer = null;
+      }
+    },
+
+    /**
+     * Clear timers and detach from the parent signal
+     */
+    dispose() {
+      clearTimeout(firstTokenTimer);
+      clearTimeout(totalTimer);
+      parentSignal?.removeEventListener('abort', onParentAbort);
+    },
+  };
+};
+
+export default {
+  createAttemptController,
+  TIMEOUT_KIND,
+};
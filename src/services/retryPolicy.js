@@ -0,0 +1,212 @@
+/**
+ * Retry Policy
+ * Exponential backoff with jitter for transient AI API failures
+ *
+ * - Retryable: rate limits, server overload (5xx), timeouts, network drops
+ * - Not retried: bad requests, auth failures, missing models, exhausted quota
+ *   (quota and missing models fall back to the next model instead)
+ * - Fatal (no fallback either): auth failures, bad requests, safety blocks;
+ *   the fallback loop still moves on when a 403 refuses the model itself
+ * - Server-provided Retry-After / RetryInfo delays take precedence over backoff
+ */
+
+import { API_CONFIG, ERROR_TYPES } from '../constants';
+
+// HTTP statuses worth retrying against the same model
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// HTTP statuses that no amount of retrying or model switching will fix
+const FATAL_STATUSES = [400, 401, 403];
+
+/**
+ * Extract an HTTP status from provider errors
+ * @param {Error} error - Error from a provider or fetch
+ * @returns {number|null}
+ */
+export const getErrorStatus = (error) => {
+  if (typeof error?.status === 'number' && error.status > 0) return error.status;
+  const match = /\[(\d{3})[^\]]*\]/.exec(error?.message || '');
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Check whether a 429 means the quota is exhausted (vs. short-term rate limiting)
+ * @param {Error} error - Error to inspect
+ * @returns {boolean}
+ */
+export const isQuotaError = (error) => {
+  const message = error?.message?.toLowerCase() || '';
+  return message.includes('quota') || message.includes('resource has been exhausted');
+};
+
+/**
+ * Check if an error is transient and the same request may succeed later
+ * @param {Error} error - Error to inspect
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) => {
+  if (!error || error.name === 'AbortError' || error.hasPartialOutput) return false;
+  if (isQuotaError(error)) return false;
+  if (error.type === ERROR_TYPES.TIMEOUT) return true;
+
+  const status = getErrorStatus(error);
+  if (status) return RETRYABLE_STATUSES.includes(status);
+
+  // fetch() rejects with a TypeError on connection failures
+  const message = error.message?.toLowerCase() || '';
+  return error instanceof TypeError ||
+    message.includes('network') ||
+    message.includes('timeout') ||
+    message.includes('failed to fetch');
+};
+
+/**
+ * Check if an error makes trying fallback models pointless
+ * @param {Error} error - Error to inspect
+ * @returns {boolean}
+ */
+export const isFatalError = (error) => {
+  if (error?.hasPartialOutput) return true;
+  // Another model would refuse the same content
+  if (error?.type === ERROR_TYPES.SAFETY_BLOCKED) return true;
+  const status = getErrorStatus(error);
+  if (status) return FATAL_STATUSES.includes(status);
+  const message = error?.message?.toLowerCase() || '';
+  return message.includes('api key');
+};
+
+/**
+ * Parse a server-provided retry delay
+ * Supports `error.retryAfter` (Retry-After header: seconds or HTTP date)
+ * and Gemini `RetryInfo` details (`retryDelay: "4s"`)
+ * @param {Error} error - Error to inspect
+ * @returns {number|null} - Delay in ms, or null when none was provided
+ */
+export const getRetryAfterMs = (error) => {
+  const header = error?.retryAfter;
+  if (header != null && header !== '') {
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const retryInfo = error?.errorDetails?.find(detail => detail?.retryDelay);
+  if (retryInfo) {
+    const seconds = parseFloat(retryInfo.retryDelay);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+  }
+
+  return null;
+};
+
+/**
+ * Compute an exponential backoff delay with jitter
+ * Uses "equal jitter": half the exponential delay is fixed, half is random
+ * @param {number} retryNumber - 1 for the first retry, 2 for the second...
+ * @param {Object} options - Options
+ * @param {number} options.baseDelay - Delay before the first retry (ms)
+ * @param {number} options.maxDelay - Upper bound for any single delay (ms)
+ * @param {Function} options.random - Random source (for deterministic tests)
+ * @returns {number}
+ */
+export const computeBackoff = (retryNumber, {
+  baseDelay = API_CONFIG.RETRY_DELAY,
+  maxDelay = API_CONFIG.MAX_RETRY_DELAY,
+  random = Math.random,
+} = {}) => {
+  const exponential = Math.min(maxDelay, baseDelay * 2 ** (retryNumber - 1));
+  return Math.round(exponential / 2 + random() * (exponential / 2));
+};
+
+/**
+ * Sleep that rejects with an AbortError when the signal fires
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+export const delay = (ms, signal) => {
+  return new Promise((resolve, reject) => {
+    const abortError = () => {
+      const error = new Error('Retry wait aborted');
+      error.name = 'AbortError';
+      return error;
+    };
+
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    // A long-lived signal sees many waits, so each one removes its listener when it ends
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+};
+
+/**
+ * Run an operation with retries
+ * @param {Function} operation - Receives the attempt number (1-based), returns a promise
+ * @param {Object} options - Options
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {number} options.baseDelay - Delay before the first retry (ms)
+ * @param {number} options.maxDelay - Longest delay worth waiting; longer Retry-After values give up
+ * @param {AbortSignal} options.signal - Cancels pending waits
+ * @param {Function} options.shouldRetry - Decides whether an error is retryable
+ * @param {Function} options.onRetry - Called before each wait with
+ *   `{ attempt, maxAttempts, delayMs, retryAt, error }` where `attempt` is the upcoming attempt
+ * @returns {Promise<*>}
+ */
+export const withRetry = async (operation, {
+  maxRetries = API_CONFIG.MAX_RETRIES,
+  baseDelay = API_CONFIG.RETRY_DELAY,
+  maxDelay = API_CONFIG.MAX_RETRY_DELAY,
+  signal,
+  shouldRetry = isRetryableError,
+  onRetry,
+} = {}) => {
+  const maxAttempts = maxRetries + 1;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= maxAttempts || signal?.aborted || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const retryAfter = getRetryAfterMs(error);
+      if (retryAfter != null && retryAfter > maxDelay) {
+        // Server asked for a longer pause than we're willing to block for
+        throw error;
+      }
+
+      const delayMs = Math.max(retryAfter ?? 0, computeBackoff(attempt, { baseDelay, maxDelay }));
+      onRetry?.({
+        attempt: attempt + 1,
+        maxAttempts,
+        delayMs,
+        retryAt: Date.now() + delayMs,
+        error,
+      });
+
+      await delay(delayMs, signal);
+    }
+  }
+};
+
+export default {
+  withRetry,
+  computeBackoff,
+  getRetryAfterMs,
+  isRetryableError,
+  isFatalError,
+  isQuotaError,
+};
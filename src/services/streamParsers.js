@@ -0,0 +1,84 @@
+/**
+ * Stream Parsers
+ * Incremental readers for HTTP streaming formats used by AI backends
+ */
+
+/**
+ * Read a fetch body line by line
+ * @param {ReadableStream} body - Response body
+ * @returns {AsyncGenerator<string>} - Complete lines without trailing newline
+ */
+async function* readLines(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        yield line;
+      }
+    }
+
+    buffer += decoder.decode();
+    if (buffer) yield buffer;
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Parse a Server-Sent Events stream
+ * Yields the `data` payload of each event; the OpenAI `[DONE]` sentinel ends the stream
+ * @param {ReadableStream} body - Response body
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* readServerSentEvents(body) {
+  let dataLines = [];
+
+  for await (const line of readLines(body)) {
+    if (line === '') {
+      if (dataLines.length === 0) continue;
+      const data = dataLines.join('\n');
+      dataLines = [];
+      if (data === '[DONE]') return;
+      yield data;
+      continue;
+    }
+
+    // Comments (": keep-alive") and non-data fields are ignored
+    if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+  }
+
+  if (dataLines.length > 0) {
+    const data = dataLines.join('\n');
+    if (data !== '[DONE]') yield data;
+  }
+}
+
+/**
+ * Parse a newline-delimited JSON stream (one JSON object per line)
+ * @param {ReadableStream} body - Response body
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* readNDJSON(body) {
+  for await (const line of readLines(body)) {
+    if (line.trim()) {
+      yield JSON.parse(line);
+    }
+  }
+}
+
+export default {
+  readServerSentEvents,
+  readNDJSON,
+};
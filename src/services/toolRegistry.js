@@ -0,0 +1,151 @@
+/**
+ * Tool Registry
+ * Local functions the model can call, declared with JSON schemas
+ *
+ * A tool is `{ name, description, parameters, handler }`. `parameters` is a
+ * JSON schema object describing the arguments; `handler(args, context)` runs
+ * in the browser and returns any JSON-serializable value (or a promise of one).
+ * The registry context is shared by all handlers, e.g. `{ getConversations }`
+ * for conversation search.
+ */
+
+import { BUILTIN_TOOLS } from './tools';
+
+// JSON schema type checks used for argument validation
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+};
+
+/**
+ * Check arguments against a tool's parameter schema
+ * Covers required properties and top-level types, which is what models get wrong
+ * @private
+ * @returns {string|null} - Problem description, or null when valid
+ */
+const validateArgs = (schema = {}, args) => {
+  if (!TYPE_CHECKS.object(args)) return 'Arguments must be an object';
+
+  const missing = (schema.required || []).filter(key => args[key] == null);
+  if (missing.length > 0) return `Missing required argument: ${missing.join(', ')}`;
+
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    const check = TYPE_CHECKS[property.type];
+    if (args[key] != null && check && !check(args[key])) {
+      return `Argument "${key}" must be of type ${property.type}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Registry of callable tools
+ */
+export class ToolRegistry {
+  /**
+   * @param {Array} tools - Tools to register
+   * @param {Object} context - Passed to every handler as its second argument
+   */
+  constructor(tools = [], context = {}) {
+    this.tools = new Map();
+    this.context = context;
+    tools.forEach(tool => this.register(tool));
+  }
+
+  /**
+   * Add a tool
+   * @param {Object} tool - `{ name, description, parameters, handler }`
+   * @returns {ToolRegistry} - This registry, for chaining
+   */
+  register(tool) {
+    if (!tool?.name || typeof tool.handler !== 'function') {
+      throw new Error('A tool needs a name and a handler function');
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool "${tool.name}" is already registered`);
+    }
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+
+  /**
+   * Remove a tool
+   * @param {string} name - Tool name
+   * @returns {boolean} - Whether a tool was removed
+   */
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * @param {string} name - Tool name
+   * @returns {Object|undefined}
+   */
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  /**
+   * @param {string} name - Tool name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * @returns {Array} - Registered tools
+   */
+  list() {
+    return [...this.tools.values()];
+  }
+
+  /**
+   * Declarations to send to the model (Gemini `functionDeclarations` format)
+   * @returns {Array<{name: string, description: string, parameters: Object}>}
+   */
+  getFunctionDeclarations() {
+    return this.list().map(({ name, description, parameters }) => ({ name, description, parameters }));
+  }
+
+  /**
+   * Run a tool call requested by the model
+   * Failures are returned rather than thrown, so the model can read the
+   * error and correct itself on the next turn
+   * @param {Object} call - `{ name, args }`
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Passed to the handler context
+   * @returns {Promise<{name: string, args: Object, result: *, error: string|null, durationMs: number}>}
+   */
+  async execute({ name, args = {} }, { signal } = {}) {
+    const startedAt = performance.now();
+    const step = { name, args, result: null, error: null };
+
+    try {
+      const tool = this.tools.get(name);
+      if (!tool) throw new Error(`Unknown tool "${name}"`);
+
+      const problem = validateArgs(tool.parameters, args);
+      if (problem) throw new Error(problem);
+
+      step.result = await tool.handler(args, { ...this.context, signal });
+    } catch (error) {
+      step.error = error.message || String(error);
+    }
+
+    return { ...step, durationMs: Math.round(performance.now() - startedAt) };
+  }
+}
+
+/**
+ * Create a registry with the built-in tools
+ * @param {Object} context - Handler context (e.g. `{ getConversations }`)
+ * @returns {ToolRegistry}
+ */
+export const createDefaultToolRegistry = (context = {}) => new ToolRegistry(BUILTIN_TOOLS, context);
+
+export default ToolRegistry;
@@ -0,0 +1,186 @@
+/**
+ * Calculator Tool
+ * Evaluates arithmetic expressions with a small recursive-descent parser
+ * (no `eval`, so model-supplied input can't run code)
+ *
+ * Grammar:
+ *   expression := term (('+' | '-') term)*
+ *   term       := unary (('*' | '/' | '%') unary)*
+ *   unary      := ('+' | '-') unary | power
+ *   power      := call ('^' unary)?
+ *   call       := name '(' expression (',' expression)* ')' | primary
+ *   primary    := number | constant | '(' expression ')'
+ *
+ * `^` binds tighter than a leading sign and is right-associative, as in
+ * ordinary notation: -2^2 = -4, 2^-1 = 0.5, 2^3^2 = 512
+ */
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow,
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+};
+
+const TOKEN_PATTERN = /\s*(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?|[a-z_][a-z0-9_]*|\*\*|[-+*/%^(),])/iy;
+
+/**
+ * Split an expression into tokens
+ * @private
+ */
+const tokenize = (expression) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      if (!expression.slice(start).trim()) break;
+      throw new Error(`Unexpected character "${expression.slice(start).trim()[0]}"`);
+    }
+    // "**" is accepted as an alias for "^"
+    tokens.push(match[1] === '**' ? '^' : match[1]);
+  }
+
+  return tokens;
+};
+
+/**
+ * Evaluate an arithmetic expression
+ * @param {string} expression - e.g. "2 * (3 + 4) ^ 2" or "sqrt(2) * pi"
+ * @returns {number}
+ */
+export const evaluateExpression = (expression) => {
+  const tokens = tokenize(String(expression));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (token) => {
+    if (next() !== token) throw new Error(`Expected "${token}"`);
+  };
+
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  };
+
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const operator = next();
+      const right = parseUnary();
+      if (operator === '*') value *= right;
+      else if (operator === '/') value /= right;
+      else value %= right;
+    }
+    return value;
+  };
+
+  const parseUnary = () => {
+    if (peek() === '-') {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parseCall();
+    if (peek() === '^') {
+      next();
+      return base ** parseUnary();
+    }
+    return base;
+  };
+
+  const parseCall = () => {
+    const token = peek();
+    const name = token?.toLowerCase();
+    if (Object.hasOwn(FUNCTIONS, name ?? '') && tokens[position + 1] === '(') {
+      next();
+      next();
+      const args = [parseExpression()];
+      while (peek() === ',') {
+        next();
+        args.push(parseExpression());
+      }
+      expect(')');
+      return FUNCTIONS[name](...args);
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (token === undefined) throw new Error('Unexpected end of expression');
+    if (token === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+    if (/^[\d.]/.test(token)) return Number(token);
+    if (Object.hasOwn(CONSTANTS, token.toLowerCase())) return CONSTANTS[token.toLowerCase()];
+    throw new Error(`Unknown symbol "${token}"`);
+  };
+
+  const result = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position]}"`);
+  }
+  if (!Number.isFinite(result)) {
+    throw new Error('Result is not a finite number');
+  }
+  return result;
+};
+
+export const calculatorTool = {
+  name: 'calculator',
+  description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, ' +
+    'pi, e and the functions sqrt, cbrt, abs, round, floor, ceil, sin, cos, tan, asin, acos, atan, ' +
+    'exp, ln, log (base 10), log2, min, max and pow. Angles are in radians.',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: {
+        type: 'string',
+        description: 'Expression to evaluate, e.g. "(1.08 ^ 10) * 2500"',
+      },
+    },
+    required: ['expression'],
+  },
+  handler: ({ expression }) => ({
+    expression,
+    result: evaluateExpression(expression),
+  }),
+};
+
+export default calculatorTool;
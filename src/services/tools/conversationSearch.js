@@ -0,0 +1,108 @@
+/**
+ * Conversation Search Tool
+ * Searches the user's locally stored conversations
+ *
+ * Conversations come from the registry context (`context.getConversations()`,
+ * which may return a promise), so nothing leaves the browser except the
+ * snippets the model asks for.
+ */
+
+// Characters of context kept on each side of a match
+const SNIPPET_RADIUS = 80;
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+
+/**
+ * Cut a snippet around the first match of any term
+ * @private
+ */
+const buildSnippet = (text, index, length) => {
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, index + length + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Score a message against the query terms
+ * @private
+ */
+const matchMessage = (text, terms) => {
+  const haystack = text.toLowerCase();
+  let score = 0;
+  let firstIndex = -1;
+  let firstLength = 0;
+
+  for (const term of terms) {
+    const index = haystack.indexOf(term);
+    if (index === -1) continue;
+    score += haystack.split(term).length - 1;
+    if (firstIndex === -1 || index < firstIndex) {
+      firstIndex = index;
+      firstLength = term.length;
+    }
+  }
+
+  return score > 0 ? { score, snippet: buildSnippet(text, firstIndex, firstLength) } : null;
+};
+
+/**
+ * Search conversations for messages containing the query terms
+ * @param {Array} conversations - `[{ id, title, messages }]`
+ * @param {string} query - Free-text query; every word is matched independently
+ * @param {number} limit - Maximum number of results
+ * @returns {Array<{conversationId: string, title: string, sender: string, timestamp: number, snippet: string}>}
+ */
+export const searchConversations = (conversations, query, limit = DEFAULT_LIMIT) => {
+  const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) throw new Error('Query must not be empty');
+
+  const results = [];
+  for (const conversation of conversations || []) {
+    for (const message of conversation.messages || []) {
+      if (typeof message.text !== 'string' || !message.text) continue;
+      const match = matchMessage(message.text, terms);
+      if (!match) continue;
+      results.push({
+        conversationId: conversation.id,
+        title: conversation.title,
+        sender: message.sender,
+        timestamp: message.timestamp,
+        snippet: match.snippet,
+        score: match.score,
+      });
+    }
+  }
+
+  const count = Math.min(MAX_LIMIT, Math.max(1, Math.round(Number(limit) || DEFAULT_LIMIT)));
+  return results
+    .sort((a, b) => b.score - a.score || (b.timestamp || 0) - (a.timestamp || 0))
+    .slice(0, count)
+    .map(({ conversationId, title, sender, timestamp, snippet }) => ({
+      conversationId,
+      title,
+      sender,
+      timestamp,
+      snippet,
+    }));
+};
+
+export const conversationSearchTool = {
+  name: 'search_conversations',
+  description: 'Search the user\'s saved chat history for messages mentioning the given words. ' +
+    'Use this when the user refers to something discussed earlier.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Words to look for' },
+      limit: { type: 'integer', description: `Maximum number of results (default ${DEFAULT_LIMIT})` },
+    },
+    required: ['query'],
+  },
+  handler: async ({ query, limit }, context = {}) => {
+    const conversations = context.getConversations ? await context.getConversations() : [];
+    const results = searchConversations(conversations, query, limit);
+    return { query, count: results.length, results };
+  },
+};
+
+export default conversationSearchTool;
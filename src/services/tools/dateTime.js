@@ -0,0 +1,65 @@
+/**
+ * Date/Time Tool
+ * Reports the current date and time, optionally in another time zone
+ */
+
+/**
+ * Describe the current moment in a time zone
+ * @param {string} timeZone - IANA time zone (defaults to the user's)
+ * @param {Date} now - Moment to describe
+ * @returns {Object}
+ */
+export const describeNow = (timeZone, now = new Date()) => {
+  const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      dateStyle: 'full',
+      timeStyle: 'long',
+    });
+  } catch {
+    throw new Error(`Unknown time zone "${zone}"`);
+  }
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: zone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(now).map(part => [part.type, part.value]),
+  );
+
+  return {
+    timeZone: zone,
+    formatted: formatter.format(now),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}:${parts.second}`,
+    weekday: new Intl.DateTimeFormat('en-US', { timeZone: zone, weekday: 'long' }).format(now),
+    iso: now.toISOString(),
+    unix: Math.floor(now.getTime() / 1000),
+  };
+};
+
+export const dateTimeTool = {
+  name: 'current_datetime',
+  description: 'Get the current date, time and weekday. Use this instead of guessing today\'s date.',
+  parameters: {
+    type: 'object',
+    properties: {
+      timeZone: {
+        type: 'string',
+        description: 'IANA time zone such as "Europe/Berlin"; omit for the user\'s local time zone',
+      },
+    },
+  },
+  handler: ({ timeZone } = {}) => describeNow(timeZone),
+};
+
+export default dateTimeTool;
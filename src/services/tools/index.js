@@ -0,0 +1,23 @@
+/**
+ * Built-in Tools
+ * Local functions the model can call through the tool registry
+ *
+ * Each tool is `{ name, description, parameters, handler }` where parameters is a
+ * JSON schema object and handler is `(args, context) => result` (sync or async).
+ */
+
+import { calculatorTool } from './calculator';
+import { dateTimeTool } from './dateTime';
+import { unitConverterTool } from './unitConverter';
+import { conversationSearchTool } from './conversationSearch';
+
+export { calculatorTool, dateTimeTool, unitConverterTool, conversationSearchTool };
+
+export const BUILTIN_TOOLS = [
+  calculatorTool,
+  dateTimeTool,
+  unitConverterTool,
+  conversationSearchTool,
+];
+
+export default BUILTIN_TOOLS;
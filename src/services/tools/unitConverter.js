@@ -0,0 +1,134 @@
+/**
+ * Unit Conversion Tool
+ * Converts between units of the same dimension
+ *
+ * Linear units are stored as a factor to the dimension's base unit;
+ * temperature needs offsets and is handled separately.
+ */
+
+// Factor to the base unit of each dimension (m, kg, l, m/s, s, byte, m², J)
+const UNITS = {
+  length: {
+    mm: 0.001, cm: 0.01, m: 1, km: 1000,
+    in: 0.0254, ft: 0.3048, yd: 0.9144, mi: 1609.344, nmi: 1852,
+  },
+  mass: {
+    mg: 1e-6, g: 0.001, kg: 1, t: 1000,
+    oz: 0.028349523125, lb: 0.45359237, st: 6.35029318,
+  },
+  volume: {
+    ml: 0.001, cl: 0.01, dl: 0.1, l: 1, m3: 1000,
+    tsp: 0.00492892159375, tbsp: 0.01478676478125, floz: 0.0295735295625,
+    cup: 0.2365882365, pt: 0.473176473, qt: 0.946352946, gal: 3.785411784,
+  },
+  speed: {
+    'm/s': 1, 'km/h': 1 / 3.6, mph: 0.44704, kn: 0.514444, 'ft/s': 0.3048,
+  },
+  time: {
+    ms: 0.001, s: 1, min: 60, h: 3600, d: 86400, wk: 604800, yr: 31557600,
+  },
+  data: {
+    b: 1, kb: 1e3, mb: 1e6, gb: 1e9, tb: 1e12,
+    kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3, tib: 1024 ** 4,
+  },
+  area: {
+    mm2: 1e-6, cm2: 1e-4, m2: 1, ha: 1e4, km2: 1e6,
+    in2: 0.00064516, ft2: 0.09290304, acre: 4046.8564224, mi2: 2589988.110336,
+  },
+  energy: {
+    j: 1, kj: 1000, cal: 4.184, kcal: 4184, wh: 3600, kwh: 3.6e6,
+  },
+};
+
+// Spellings the model is likely to use, mapped to the keys above
+const ALIASES = {
+  meter: 'm', meters: 'm', metre: 'm', metres: 'm', kilometer: 'km', kilometers: 'km',
+  centimeter: 'cm', centimeters: 'cm', millimeter: 'mm', millimeters: 'mm',
+  inch: 'in', inches: 'in', foot: 'ft', feet: 'ft', yard: 'yd', yards: 'yd',
+  mile: 'mi', miles: 'mi',
+  gram: 'g', grams: 'g', kilogram: 'kg', kilograms: 'kg', kgs: 'kg', tonne: 't', tonnes: 't',
+  ounce: 'oz', ounces: 'oz', pound: 'lb', pounds: 'lb', lbs: 'lb', stone: 'st',
+  liter: 'l', liters: 'l', litre: 'l', litres: 'l', milliliter: 'ml', milliliters: 'ml',
+  gallon: 'gal', gallons: 'gal', quart: 'qt', quarts: 'qt', pint: 'pt', pints: 'pt', cups: 'cup',
+  'fl oz': 'floz', kph: 'km/h', kmh: 'km/h', knot: 'kn', knots: 'kn',
+  second: 's', seconds: 's', sec: 's', minute: 'min', minutes: 'min', hour: 'h', hours: 'h',
+  day: 'd', days: 'd', week: 'wk', weeks: 'wk', year: 'yr', years: 'yr',
+  byte: 'b', bytes: 'b', kilobyte: 'kb', megabyte: 'mb', gigabyte: 'gb', terabyte: 'tb',
+  joule: 'j', joules: 'j', calorie: 'cal', calories: 'cal',
+  c: 'celsius', '°c': 'celsius', f: 'fahrenheit', '°f': 'fahrenheit', k: 'kelvin',
+};
+
+const TEMPERATURE = {
+  celsius: { toKelvin: (v) => v + 273.15, fromKelvin: (v) => v - 273.15 },
+  fahrenheit: { toKelvin: (v) => (v - 32) * 5 / 9 + 273.15, fromKelvin: (v) => (v - 273.15) * 9 / 5 + 32 },
+  kelvin: { toKelvin: (v) => v, fromKelvin: (v) => v },
+};
+
+/**
+ * Resolve a unit name to its canonical key
+ * @private
+ */
+const normalizeUnit = (unit) => {
+  const key = String(unit).trim().toLowerCase();
+  return Object.hasOwn(ALIASES, key) ? ALIASES[key] : key;
+};
+
+/**
+ * Find the dimension a unit belongs to
+ * @private
+ */
+const findDimension = (unit) => {
+  if (Object.hasOwn(TEMPERATURE, unit)) return 'temperature';
+  return Object.keys(UNITS).find(dimension => Object.hasOwn(UNITS[dimension], unit)) || null;
+};
+
+/**
+ * Convert a value between units
+ * @param {number} value - Amount to convert
+ * @param {string} from - Source unit (e.g. "km", "miles", "°F")
+ * @param {string} to - Target unit
+ * @returns {{value: number, from: string, to: string, result: number, dimension: string}}
+ */
+export const convertUnits = (value, from, to) => {
+  const amount = Number(value);
+  if (!Number.isFinite(amount)) throw new Error('Value must be a number');
+
+  const source = normalizeUnit(from);
+  const target = normalizeUnit(to);
+  const dimension = findDimension(source);
+  if (!dimension) throw new Error(`Unknown unit "${from}"`);
+  if (findDimension(target) !== dimension) {
+    throw new Error(`Cannot convert ${dimension} unit "${from}" to "${to}"`);
+  }
+
+  const result = dimension === 'temperature'
+    ? TEMPERATURE[target].fromKelvin(TEMPERATURE[source].toKelvin(amount))
+    : amount * UNITS[dimension][source] / UNITS[dimension][target];
+
+  return {
+    value: amount,
+    from: source,
+    to: target,
+    // Drop floating-point noise like 0.30000000000000004
+    result: Number(result.toPrecision(12)),
+    dimension,
+  };
+};
+
+export const unitConverterTool = {
+  name: 'convert_units',
+  description: 'Convert a value between units of length, mass, volume, temperature, speed, time, ' +
+    'data size, area or energy (e.g. km to mi, °F to °C, GiB to GB, kcal to kJ).',
+  parameters: {
+    type: 'object',
+    properties: {
+      value: { type: 'number', description: 'Amount to convert' },
+      from: { type: 'string', description: 'Source unit, e.g. "km", "lb", "fahrenheit", "mib"' },
+      to: { type: 'string', description: 'Target unit of the same kind' },
+    },
+    required: ['value', 'from', 'to'],
+  },
+  handler: ({ value, from, to }) => convertUnits(value, from, to),
+};
+
+export default unitConverterTool;
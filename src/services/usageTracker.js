@@ -0,0 +1,224 @@
+/**
+ * Usage Tracker
+ * Token usage normalization, cost estimates and running totals
+ *
+ * Providers report usage as `{ promptTokens, outputTokens, totalTokens }`.
+ * Totals are persisted as one object under STORAGE_KEYS.USAGE:
+ *
+ *   {
+ *     conversations: { [conversationId]: totals },
+ *     days: { '2025-01-31': totals },
+ *     dailyBudget: 5,
+ *     budgetAcknowledged: '2025-01-31',
+ *   }
+ *
+ * where totals are `{ promptTokens, outputTokens, totalTokens, cost, requests, updatedAt }`.
+ */
+
+import { USAGE_CONFIG } from '../constants';
+
+// Initial value for STORAGE_KEYS.USAGE
+export const EMPTY_USAGE_STORE = {
+  conversations: {},
+  days: {},
+  dailyBudget: null,
+  budgetAcknowledged: null,
+};
+
+export const EMPTY_TOTALS = {
+  promptTokens: 0,
+  outputTokens: 0,
+  totalTokens: 0,
+  cost: 0,
+  requests: 0,
+};
+
+/**
+ * Read a JSON price table from the environment
+ * @private
+ */
+const readEnvPrices = () => {
+  const raw = import.meta.env.VITE_MODEL_PRICES;
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    console.warn('Ignoring VITE_MODEL_PRICES: not valid JSON');
+    return {};
+  }
+};
+
+/**
+ * Price table in effect: USAGE_CONFIG.PRICES with environment overrides
+ * @returns {Object} - `{ [model]: { input, output } }` in USD per million tokens
+ */
+export const getPriceTable = () => ({ ...USAGE_CONFIG.PRICES, ...readEnvPrices() });
+
+/**
+ * Daily budget from the environment, falling back to USAGE_CONFIG
+ * @returns {number} - USD, 0 when disabled
+ */
+export const getDefaultDailyBudget = () => {
+  const fromEnv = Number(import.meta.env.VITE_DAILY_BUDGET);
+  return Number.isFinite(fromEnv) && fromEnv > 0 ? fromEnv : USAGE_CONFIG.DAILY_BUDGET;
+};
+
+/**
+ * Build a usage record from provider token counts
+ * @param {number} promptTokens - Input tokens
+ * @param {number} outputTokens - Output tokens (including any reasoning tokens)
+ * @param {number} totalTokens - Reported total; computed when missing
+ * @returns {{promptTokens: number, outputTokens: number, totalTokens: number}|null}
+ */
+export const createUsage = (promptTokens, outputTokens, totalTokens) => {
+  if (promptTokens == null && outputTokens == null) return null;
+  const prompt = promptTokens || 0;
+  const output = outputTokens || 0;
+  return {
+    promptTokens: prompt,
+    outputTokens: output,
+    totalTokens: totalTokens || prompt + output,
+  };
+};
+
+/**
+ * Add two usage records, e.g. the turns of a tool-calling exchange
+ * @param {Object|null} a - Usage record
+ * @param {Object|null} b - Usage record
+ * @returns {Object|null} - Null when both are missing
+ */
+export const sumUsage = (a, b) => {
+  if (!a || !b) return a || b || null;
+  return createUsage(
+    a.promptTokens + b.promptTokens,
+    a.outputTokens + b.outputTokens,
+    a.totalTokens + b.totalTokens,
+  );
+};
+
+/**
+ * Find the price for a model
+ * Versioned names (e.g. "gemini-2.5-flash-001") use the longest listed prefix
+ * @param {string} model - Model name
+ * @param {Object} prices - Price table
+ * @returns {{input: number, output: number}|null}
+ */
+export const getModelPrice = (model, prices = getPriceTable()) => {
+  if (!model) return null;
+  if (prices[model]) return prices[model];
+
+  const prefix = Object.keys(prices)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+};
+
+/**
+ * Estimate the cost of a response
+ * @param {Object} usage - `{ promptTokens, outputTokens }`
+ * @param {string} model - Model that produced it
+ * @param {Object} prices - Price table
+ * @returns {number|null} - USD, or null when the model has no price
+ */
+export const estimateCost = (usage, model, prices = getPriceTable()) => {
+  const price = getModelPrice(model, prices);
+  if (!usage || !price) return null;
+  return (usage.promptTokens * price.input + usage.outputTokens * price.output) / 1e6;
+};
+
+/**
+ * Local calendar day for a timestamp
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} - e.g. "2025-01-31"
+ */
+export const getDayKey = (timestamp = Date.now()) => {
+  const date = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Add one response to a totals object
+ * @private
+ */
+const addToTotals = (totals = EMPTY_TOTALS, usage, cost, timestamp) => ({
+  promptTokens: totals.promptTokens + usage.promptTokens,
+  outputTokens: totals.outputTokens + usage.outputTokens,
+  totalTokens: totals.totalTokens + usage.totalTokens,
+  cost: totals.cost + (cost || 0),
+  requests: totals.requests + 1,
+  updatedAt: timestamp,
+});
+
+/**
+ * Keep the most recent entries of a totals map
+ * @private
+ */
+const keepRecent = (entries, limit) => Object.fromEntries(
+  Object.entries(entries)
+    .sort(([, a], [, b]) => (b.updatedAt || 0) - (a.updatedAt || 0))
+    .slice(0, limit),
+);
+
+/**
+ * Return a store with one response added to its conversation and day totals
+ * @param {Object} store - Persisted usage store
+ * @param {Object} entry - `{ conversationId, usage, cost, timestamp }`
+ * @returns {Object} - New store
+ */
+export const recordUsage = (store, { conversationId, usage, cost, timestamp = Date.now() }) => {
+  if (!usage) return store;
+  const current = { ...EMPTY_USAGE_STORE, ...store };
+  const day = getDayKey(timestamp);
+
+  const conversations = conversationId
+    ? {
+      ...current.conversations,
+      [conversationId]: addToTotals(current.conversations[conversationId], usage, cost, timestamp),
+    }
+    : current.conversations;
+  const days = {
+    ...current.days,
+    [day]: addToTotals(current.days[day], usage, cost, timestamp),
+  };
+
+  return {
+    ...current,
+    conversations: keepRecent(conversations, USAGE_CONFIG.MAX_CONVERSATIONS),
+    days: keepRecent(days, USAGE_CONFIG.MAX_DAYS),
+  };
+};
+
+/**
+ * Compare today's spend against the daily budget
+ * @param {number} spent - USD spent today
+ * @param {number} budget - Daily budget in USD (0 or null disables it)
+ * @returns {{budget: number, spent: number, ratio: number, nearing: boolean, exceeded: boolean}}
+ */
+export const getBudgetStatus = (spent, budget) => {
+  if (!budget) {
+    return { budget: 0, spent, ratio: 0, nearing: false, exceeded: false };
+  }
+  const ratio = spent / budget;
+  return {
+    budget,
+    spent,
+    ratio,
+    nearing: ratio >= USAGE_CONFIG.BUDGET_WARNING_RATIO,
+    exceeded: ratio >= 1,
+  };
+};
+
+export default {
+  EMPTY_USAGE_STORE,
+  EMPTY_TOTALS,
+  getPriceTable,
+  getDefaultDailyBudget,
+  createUsage,
+  sumUsage,
+  getModelPrice,
+  estimateCost,
+  getDayKey,
+  recordUsage,
+  getBudgetStatus,
+};
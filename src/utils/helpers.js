@@ -46,26 +46,54 @@ export const sanitizeInput = (input) => {
 /**
  * Validate message content
  * @param {string} message - Message to validate
- * @param {number} maxLength - Maximum allowed length
+ * @param {Object} options - Options
+ * @param {number} options.maxTokens - Tokens left for the message in the model's input window
+ * @param {number} options.tokenCount - Known token count for the message (estimated when omitted)
+ * @param {boolean} options.allowEmpty - Accept empty text (e.g. when images are attached)
  */
-export const validateMessage = (message, maxLength = 10000) => {
-  if (!message || typeof message !== 'string') {
+export const validateMessage = (message, { maxTokens = Infinity, tokenCount, allowEmpty = false } = {}) => {
+  if (typeof message !== 'string' || (!message && !allowEmpty)) {
     return { isValid: false, error: 'Message cannot be empty' };
   }
   
   const trimmed = message.trim();
   
-  if (trimmed.length === 0) {
+  if (trimmed.length === 0 && !allowEmpty) {
     return { isValid: false, error: 'Message cannot be empty' };
   }
   
-  if (trimmed.length > maxLength) {
-    return { isValid: false, error: `Message exceeds ${maxLength} characters` };
+  const tokens = tokenCount ?? estimateTokens(trimmed);
+  if (tokens > maxTokens) {
+    return {
+      isValid: false,
+      error: `Message is about ${tokens.toLocaleString()} tokens, but only ${Math.max(0, maxTokens).toLocaleString()} fit in the model's input limit`,
+    };
   }
   
   return { isValid: true, value: trimmed };
 };
 
+/**
+ * Estimate the token count of a string without calling the API
+ * Roughly 4 characters per token for English text and code
+ * @param {string} text - Text to measure
+ * @param {number} charsPerToken - Characters per token ratio
+ */
+export const estimateTokens = (text, charsPerToken = 4) => {
+  if (!text) return 0;
+  return Math.ceil(text.length / charsPerToken);
+};
+
+/**
+ * Parse a comma-separated list (e.g. from an environment variable)
+ * @param {string} value - Raw list string
+ * @returns {string[]|null} - Trimmed entries, or null when the value is empty
+ */
+export const parseList = (value) => {
+  if (!value) return null;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+};
+
 /**
  * Debounce function for performance optimization
  * @param {Function} func - Function to debounce
@@ -100,37 +128,51 @@ export const throttle = (func, limit) => {
 };
 
 /**
- * Parse error and return appropriate error type
- * @param {Error} error - Error object
+ * Format a duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - e.g. "850ms" or "2.4s"
  */
-export const parseError = (error) => {
-  const message = error?.message?.toLowerCase() || '';
-  
-  if (message.includes('api key') || message.includes('api_key')) {
-    return { type: 'API_KEY_INVALID', message: 'Invalid API key configuration' };
-  }
-  
-  if (message.includes('quota') || message.includes('limit')) {
-    return { type: 'QUOTA_EXCEEDED', message: 'API quota exceeded' };
-  }
-  
-  if (message.includes('network') || message.includes('fetch')) {
-    return { type: 'NETWORK_ERROR', message: 'Network connection error' };
-  }
-  
-  if (message.includes('rate') || message.includes('429')) {
-    return { type: 'RATE_LIMITED', message: 'Too many requests' };
-  }
-  
-  return { type: 'UNKNOWN', message: error?.message || 'An unknown error occurred' };
+export const formatDuration = (ms) => {
+  if (ms == null) return '';
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  return `${(ms / 1000).toFixed(1)}s`;
+};
+
+/**
+ * Format a token count for display
+ * @param {number} count - Number of tokens
+ * @returns {string} - e.g. "850" or "12.4k"
+ */
+export const formatTokenCount = (count) => {
+  if (count == null) return '';
+  if (count < 1000) return String(count);
+  if (count < 1000000) return `${(count / 1000).toFixed(1)}k`;
+  return `${(count / 1000000).toFixed(2)}M`;
+};
+
+/**
+ * Format an estimated cost in USD
+ * Small amounts keep enough precision to be distinguishable from zero
+ * @param {number} usd - Amount in USD
+ * @returns {string} - e.g. "$0.0004" or "$1.25"
+ */
+export const formatCost = (usd) => {
+  if (usd == null) return '';
+  if (usd === 0) return '$0.00';
+  if (usd < 0.01) return `$${usd.toFixed(4)}`;
+  return `$${usd.toFixed(2)}`;
 };
 
 /**
- * Check if the current environment has a valid API key
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - e.g. "850 B", "12.4 KB" or "3.1 MB"
  */
-export const hasValidApiKey = () => {
-  const key = import.meta.env.VITE_GEMINI_API_KEY;
-  return key && key.length > 0 && key !== 'your_api_key_here';
+export const formatFileSize = (bytes) => {
+  if (bytes == null) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 };
 
 /**
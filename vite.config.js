@@ -1,7 +1,12 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { jarvisProxy, jarvisKeyGuard, jarvisRuntimeEnv } from './server/vitePlugin.js'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  // The proxy reads server-only variables (e.g. GEMINI_API_KEY) from .env files too
+  const env = loadEnv(mode, process.cwd(), '')
+  return {
+    plugins: [react(), jarvisProxy(env), jarvisKeyGuard(env), jarvisRuntimeEnv()],
+  }
 })